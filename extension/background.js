@@ -14,26 +14,134 @@ import {
   getEncryptionStatusPayload,
   loadKeyRecord,
   retryImportPlaintextKey,
+  encryptWithPassphrase,
+  decryptWithPassphrase,
 } from './encryption.js';
 import { ensureSettings, saveSettings as persistSettings, defaultSettings, SETTINGS_KEY } from './settings.js';
 import { sessionGet, sessionSet, sessionRemove } from './session.js';
 import { encodeStateV2, decodeStateAny } from './state-codec.js';
 import { processUnsuspendTokenMessage } from './unsuspend-token-flow.js';
+import {
+  resolveSuspensionPolicy,
+  getShortestTimeoutMinutes,
+  siteRulePattern,
+  pageRulePattern,
+  hasNeverRule,
+  toggleNeverRule,
+} from './suspension-rules.js';
+import { buildExportPayload, wrapExportFile, validateExportFile, decodeExportPayload } from './session-export.js';
+import { parseForeignSuspendedUrl } from './foreign-suspenders.js';
+import {
+  MAX_PAUSE_MINUTES,
+  PAUSE_SCOPES,
+  emptyPauses,
+  normalizePauses,
+  getPauseKey,
+  setPause,
+  clearPause,
+  findActivePause,
+  listPauses,
+  getNextPauseExpiry,
+} from './pauses.js';
+import { detectUnsavedFormInput } from './form-probe.js';
+import { capturePageState, restorePageState, normalizePageState } from './page-state.js';
+import { duplicateKey, findSuspendedDuplicates } from './duplicates.js';
+import {
+  SAVED_SESSIONS_KEY,
+  normalizeSessionName,
+  normalizeSavedSessions,
+  summarizeSavedSessions,
+  buildSessionState,
+} from './saved-sessions.js';
+import {
+  applySnapshotRetention,
+  normalizeRetention,
+  normalizeSnapshotInterval,
+} from './snapshot-retention.js';
+import { CURRENT_STATE_ID, diffSuspendedTabs } from './snapshot-diff.js';
+import { normalizeOpenTarget, planRestoreWindows } from './snapshot-restore.js';
+import {
+  CLOSED_TABS_KEY,
+  normalizeClosedTabRetention,
+  normalizeClosedTabs,
+  createClosedTabRecord,
+  addClosedTabs,
+  pruneClosedTabs,
+} from './closed-tabs.js';
+import { matchRestoredTabs, parseParkedPageUrl } from './restart-recovery.js';
+import {
+  normalizeSchedules,
+  getActiveSchedules,
+  resolveScheduledPolicy,
+  scheduleCoversTab,
+  registerScheduleRuns,
+  selectDueSchedules,
+  getNextScheduleBoundary,
+  getShortestScheduleTimeout,
+} from './schedules.js';
+import {
+  WINDOW_POLICIES_KEY,
+  WINDOW_FINGERPRINT_SECRET_KEY,
+  WINDOW_POLICIES,
+  createFingerprintSecret,
+  importFingerprintKey,
+  buildWindowFingerprint,
+  normalizeWindowPolicies,
+  getWindowPolicy,
+  excludeFocusWindowTabs,
+  setWindowPolicy,
+  reconcileWindowPolicies,
+  windowPoliciesChanged,
+} from './window-policies.js';
+import {
+  STATS_KEY,
+  normalizeStats,
+  recordSuspensions,
+  recordResumes,
+  pruneStats,
+  summarizeStats,
+} from './stats.js';
+import { ESTIMATED_TAB_MEMORY_MB } from './dashboard-model.js';
+import {
+  SCREENSHOT_INDEX_KEY,
+  SCREENSHOT_KEY_PREFIX,
+  screenshotStorageKey,
+  normalizeScreenshotIndex,
+  selectScreenshotEvictions,
+} from './screenshot-store.js';
 
 const STATE_KEY = 'suspenderState';
 const SESSION_LAST_ACTIVE_KEY = 'lastActive';
+const SESSION_PAUSES_KEY = 'suspensionPauses';
+const PAUSE_EXPIRY_ALARM = 'pauseExpiry';
+const SCHEDULE_ALARM = 'scheduleBoundary';
+const SCHEDULE_RUNS_KEY = 'scheduleRuns';
+const SESSION_WINDOW_POLICIES_SINCE_KEY = 'windowPoliciesSince';
+// Window IDs are only trusted with matching contents this long into a browser session.
+const WINDOW_REMATCH_PERIOD_MS = 2 * 60 * 1000;
 const LEGACY_SESSION_PENDING_STATE_KEY = 'pendingSuspenderState';
-const SNAPSHOT_RETENTION_DAYS = 7;
-const SNAPSHOT_MAX = 20;
+const SESSION_SNAPSHOT_HASH_KEY = 'lastSnapshotHash';
 const TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
-const SNAPSHOT_PERIOD_MINUTES = 180;
+const RESTART_RECONCILE_RETRY_MS = 15 * 1000;
 const AUTO_SUSPEND_BATCH_LIMIT = 5;
+const MEMORY_PRESSURE_MAX_ROUNDS = 4;
+const MEMORY_PRESSURE_CHECK_MINUTES = 1;
+const ARCHIVE_WINDOW_CHECK_MINUTES = 1;
+const TAB_BUDGET_DEBOUNCE_MS = 500;
+const UI_REFRESH_DELAY_MS = 100;
+const DUPLICATE_SWEEP_DELAY_MS = 2000;
+const BADGE_MAX_COUNT = 99;
+const FORM_PROBE_TIMEOUT_MS = 500;
+const PAGE_STATE_CAPTURE_TIMEOUT_MS = 500;
+const PAGE_RESTORE_TTL_MS = 60 * 1000;
 const ALARM_PERIOD_DIVISOR = 3;
 const MAX_ALARM_PERIOD_MINUTES = 60;
 const STATE_VALIDATION_THROTTLE_MS = 60 * 1000;
 const VALIDATION_DEBOUNCE_MS = 250;
 const LAST_ACTIVE_FLUSH_DELAY_MS = 3000;
 const SNAPSHOT_DETAILS_CACHE_LIMIT = 10;
+const STATS_FLUSH_DELAY_MS = 2000;
+const STATS_REPORT_DAY_OPTIONS = [7, 30, 90];
 
 let cachedState = null;
 let lastActiveCache = {};
@@ -44,11 +152,53 @@ let validationRunning = false;
 // In-memory throttle gate. It intentionally resets on worker restart so the first
 // opportunistic request after wake-up can validate immediately.
 let nextValidationAllowedAt = 0;
-let whitelistRegexCacheKey = '';
-let whitelistRegexCache = [];
 let lastActiveDirty = false;
 let lastActiveFlushTimer = null;
 const snapshotDetailsCache = new Map();
+const tabBudgetTimers = new Map();
+const tabBudgetRunning = new Set();
+// Live group IDs whose title is listed in settings.neverSuspendGroups. Group IDs
+// change across browser restarts, so titles are what gets persisted.
+let neverSuspendGroupIds = new Set();
+let uiRefreshTimer = null;
+// Timed pauses live in session storage so they end with the browser session.
+let pausesCache = emptyPauses();
+// tabId -> { url, pageState, expiresAt } for resumed tabs still loading their page.
+const pendingPageRestores = new Map();
+// tabId -> { url, dataUri } for recently viewed tabs, so tabs suspended in the
+// background still get a preview. Kept in memory only.
+const recentScreenshots = new Map();
+let screenshotCaptureTimer = null;
+// Serializes index updates; evictions and writes from parallel suspensions would
+// otherwise overwrite each other's index changes.
+const withScreenshotLock = createLock();
+let duplicateSweepTimer = null;
+const withSavedSessionsLock = createLock();
+const withClosedTabsLock = createLock();
+let closedTabsCache = null; // Decrypted journal, loaded on first use
+const withStatsLock = createLock();
+let statsCache = null; // Decrypted statistics, loaded on first use
+// Suspensions and resumes arrive one tab at a time; they are written in batches.
+let pendingStats = { suspensions: [], resumes: [] };
+let statsFlushTimer = null;
+const withWindowPoliciesLock = createLock();
+let windowPoliciesCache = null; // As last stored; loaded on first use
+let windowFingerprintKey = null; // Promise of the HMAC key, created on first use
+// Windows whose closing has already triggered a snapshot.
+const closingWindowSnapshots = new Set();
+// Rendered toolbar icons keyed by status; built lazily because OffscreenCanvas is costly.
+const actionIconCache = new Map();
+
+// Returns a function that runs tasks one at a time, each after the previous
+// one settles, whether it succeeded or not.
+function createLock() {
+  let tail = Promise.resolve();
+  return fn => {
+    const run = tail.then(fn, fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
 
 // Lock hierarchy (acquire in this order to avoid deadlock):
 //   snapshotLock → stateLock
@@ -86,10 +236,12 @@ function stateIsLocked() {
 
 function markStateCorrupt(reason = 'corrupt-state') {
   stateCorruptionReason = reason;
+  scheduleUiRefresh();
 }
 
 function clearStateCorruption() {
   stateCorruptionReason = null;
+  scheduleUiRefresh();
 }
 
 function stateIsCorrupt() {
@@ -159,7 +311,7 @@ function setSnapshotDetailsCache(snapshotId, tabsMap) {
   }
 }
 
-async function runStateValidationNow(trigger = 'scheduled') {
+async function runStateValidationNow(trigger = 'scheduled', options = {}) {
   // Invariant: only one validation run at a time, with writes serialized by stateLock.
   // Throttle windows are enforced by callers and updated in finally for deterministic pacing.
   if (validationRunning) {
@@ -176,7 +328,7 @@ async function runStateValidationNow(trigger = 'scheduled') {
       if (!state || stateIsLocked() || stateIsCorrupt()) {
         return;
       }
-      await validateState(state);
+      await validateState(state, options);
     });
   } catch (err) {
     Logger.warn('State validation failed', { trigger, err: err?.message || String(err) });
@@ -203,30 +355,6 @@ function maybeScheduleValidation(trigger = 'get-state') {
   }, VALIDATION_DEBOUNCE_MS);
 }
 
-function buildWhitelistCacheKey(whitelist) {
-  if (!Array.isArray(whitelist) || whitelist.length === 0) {
-    return '';
-  }
-  return whitelist.map(item => String(item)).join('\n');
-}
-
-function getWhitelistRegexes(whitelist) {
-  const nextKey = buildWhitelistCacheKey(whitelist);
-  if (nextKey === whitelistRegexCacheKey) {
-    return whitelistRegexCache;
-  }
-  whitelistRegexCacheKey = nextKey;
-  whitelistRegexCache = [];
-  for (const pattern of whitelist || []) {
-    try {
-      whitelistRegexCache.push(wildcardToRegExp(pattern));
-    } catch (err) {
-      Logger.warn('Invalid whitelist pattern', pattern, err);
-    }
-  }
-  return whitelistRegexCache;
-}
-
 function markLastActiveDirty() {
   lastActiveDirty = true;
   if (lastActiveFlushTimer) {
@@ -260,7 +388,8 @@ async function flushLastActiveCache() {
 // --- Snapshot Service ---
 
 const SnapshotService = {
-  async createSnapshot() {
+  // `capturedState` is used as-is, for states copied before their tabs went away.
+  async createSnapshot({ capturedState = null } = {}) {
     const previousLock = snapshotLock;
     let release;
     snapshotLock = new Promise(resolve => { release = resolve; });
@@ -268,7 +397,7 @@ const SnapshotService = {
     try {
       await previousLock; // serialize
 
-      const state = await withStateLock(async () => {
+      const state = capturedState || await withStateLock(async () => {
         const loaded = await loadState();
         // Validate state against actual open tabs to ensure we only snapshot truly suspended tabs.
         await validateState(loaded);
@@ -278,7 +407,6 @@ const SnapshotService = {
       if (!state || !state.suspendedTabs || Object.keys(state.suspendedTabs).length === 0) {
         return;
       }
-      const encodedState = encodeStateV2(state);
 
       // We only create snapshots if we have the key to encrypt them (if encryption is on)
       const settings = await ensureSettings();
@@ -287,25 +415,21 @@ const SnapshotService = {
         return;
       }
 
-      let snapshotData;
-      if (settings.encryption.enabled) {
-        snapshotData = await encryptPayload(encodedState);
-      } else {
-        snapshotData = { plain: encodedState };
-      }
-
-      const snapshot = {
-        id: crypto.randomUUID(),
-        timestamp: Date.now(),
-        tabCount: Object.keys(state.suspendedTabs).length,
-        data: snapshotData
-      };
-
+      // Idle and window-close triggers often fire with nothing changed since the last one.
+      const hash = await hashEncodedState(encodeStateV2(state));
       const stored = await chrome.storage.local.get('backups');
       const existing = stored.backups || [];
-      const backups = pruneSnapshots([...existing, snapshot]);
+      const lastHash = (await sessionGet(SESSION_SNAPSHOT_HASH_KEY))[SESSION_SNAPSHOT_HASH_KEY];
+      if (hash === lastHash && existing.length) {
+        Logger.info('Skipping snapshot: no changes since the previous one');
+        return;
+      }
+
+      const snapshot = await buildSnapshotRecord(state);
+      const backups = await pruneSnapshots([...existing, snapshot]);
 
       await chrome.storage.local.set({ backups });
+      await sessionSet(SESSION_SNAPSHOT_HASH_KEY, hash);
       clearSnapshotDetailsCache();
       Logger.info('Snapshot created', { id: snapshot.id, tabCount: snapshot.tabCount });
     } catch (err) {
@@ -322,7 +446,7 @@ const SnapshotService = {
     try {
       await previousLock;
       const stored = await chrome.storage.local.get('backups');
-      const pruned = pruneSnapshots(stored.backups || []);
+      const pruned = await pruneSnapshots(stored.backups || []);
       if (pruned.length !== (stored.backups || []).length) {
         await chrome.storage.local.set({ backups: pruned });
         clearSnapshotDetailsCache();
@@ -330,15 +454,38 @@ const SnapshotService = {
       return pruned.map(b => ({
         id: b.id,
         timestamp: b.timestamp,
-        tabCount: b.tabCount
+        tabCount: b.tabCount,
+        source: b.source || 'auto',
       }));
     } finally {
       release?.();
     }
   },
 
-  async restoreSnapshot(snapshotId) {
-    await withStateLock(async () => {
+  async importSnapshots(records) {
+    const previousLock = snapshotLock;
+    let release;
+    snapshotLock = new Promise(resolve => { release = resolve; });
+    try {
+      await previousLock;
+      const stored = await chrome.storage.local.get('backups');
+      const existing = stored.backups || [];
+      const knownIds = new Set(existing.map(b => b.id));
+      const incoming = records.filter(record => !knownIds.has(record.id));
+      const backups = await pruneSnapshots([...existing, ...incoming]);
+      await chrome.storage.local.set({ backups });
+      clearSnapshotDetailsCache();
+      const keptIds = new Set(backups.map(b => b.id));
+      return incoming.filter(record => keptIds.has(record.id)).length;
+    } finally {
+      release?.();
+    }
+  },
+
+  // With `urls`, only the entries for those URLs are merged into the current
+  // state instead of replacing it. Either way, entries whose tab is gone are dropped.
+  async restoreSnapshot(snapshotId, { urls = null } = {}) {
+    return withStateLock(async () => {
       const stored = await chrome.storage.local.get('backups');
       const backups = stored.backups || [];
       const snapshot = backups.find(b => b.id === snapshotId);
@@ -352,29 +499,80 @@ const SnapshotService = {
         throw new Error('Encryption key required to restore this snapshot');
       }
       restoredState = sanitizeStateFaviconUrls(await getSnapshotData(snapshot));
+      let restoredTabIds = Object.keys(restoredState.suspendedTabs || {});
+      if (Array.isArray(urls)) {
+        const currentState = await loadState();
+        if (!currentState || stateIsLocked() || stateIsCorrupt()) {
+          throw new Error('State is locked');
+        }
+        const onlyUrls = new Set(urls);
+        // Entries already tracked for a tab are newer than anything in the snapshot.
+        restoredTabIds = restoredTabIds.filter(tabId => (
+          onlyUrls.has(restoredState.suspendedTabs[tabId]?.url) && !currentState.suspendedTabs[tabId]
+        ));
+        const suspendedTabs = { ...currentState.suspendedTabs };
+        for (const tabId of restoredTabIds) {
+          suspendedTabs[tabId] = restoredState.suspendedTabs[tabId];
+        }
+        restoredState = { ...currentState, suspendedTabs };
+      }
 
       cachedState = restoredState;
-      await validateState(cachedState);
+      await validateState(cachedState, { journalMissing: false });
       await saveState(cachedState);
       clearSnapshotDetailsCache();
-      Logger.info('Snapshot restored', { id: snapshotId });
+      const restored = restoredTabIds.filter(tabId => cachedState.suspendedTabs[tabId]).length;
+      Logger.info('Snapshot restored', { id: snapshotId, restored, partial: Array.isArray(urls) });
+      return restored;
     });
-    return true;
   }
 };
 
-function pruneSnapshots(list) {
-  if (!Array.isArray(list)) return [];
-  const cutoff = Date.now() - SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
-  const filtered = list.filter(item => typeof item.timestamp === 'number' && item.timestamp >= cutoff);
-  filtered.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-  return filtered.slice(0, SNAPSHOT_MAX);
+async function buildSnapshotRecord(state, { id = crypto.randomUUID(), timestamp = Date.now(), source = null } = {}) {
+  const encodedState = encodeStateV2(state);
+  const settings = await ensureSettings();
+  const record = {
+    id,
+    timestamp,
+    tabCount: Object.keys(state.suspendedTabs || {}).length,
+    data: settings.encryption.enabled ? await encryptPayload(encodedState) : { plain: encodedState },
+  };
+  if (source) {
+    record.source = source;
+  }
+  return record;
+}
+
+// The hash stays in session storage only: a plaintext digest next to the
+// encrypted snapshots would reveal when two of them are identical.
+async function hashEncodedState(encodedState) {
+  const bytes = new TextEncoder().encode(JSON.stringify(encodedState));
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function pruneSnapshots(list) {
+  const settings = await ensureSettings();
+  return applySnapshotRetention(list, normalizeRetention(settings, defaultSettings));
+}
+
+async function scheduleSnapshotAlarm({ force = false } = {}) {
+  const settings = await ensureSettings();
+  const periodInMinutes = normalizeSnapshotInterval(
+    settings.snapshotIntervalMinutes,
+    defaultSettings.snapshotIntervalMinutes
+  );
+  const existing = await chrome.alarms.get('snapshotTimer');
+  if (!force && existing?.periodInMinutes === periodInMinutes) {
+    return;
+  }
+  await chrome.alarms.create('snapshotTimer', { periodInMinutes });
 }
 
 async function getSnapshotById(snapshotId) {
   const stored = await chrome.storage.local.get('backups');
   let backups = stored.backups || [];
-  backups = pruneSnapshots(backups);
+  backups = await pruneSnapshots(backups);
   const snapshot = backups.find(b => b.id === snapshotId);
   if (backups.length !== (stored.backups || []).length) {
     await chrome.storage.local.set({ backups });
@@ -397,24 +595,90 @@ async function getSnapshotData(snapshot) {
   throw new Error('Invalid snapshot format');
 }
 
-async function openSnapshotTabs(snapshotId, { unsuspend = false } = {}) {
-  if (!unsuspend && !stateIsWritable()) {
-    return lockedMutationResponse();
+// Decrypted suspendedTabs map of a snapshot, served from the details cache when possible.
+async function loadSnapshotTabs(snapshotId) {
+  const cachedTabs = readSnapshotDetailsCache(snapshotId);
+  if (cachedTabs) {
+    return cachedTabs;
+  }
+  const snapshot = await getSnapshotById(snapshotId);
+  if (!snapshot) {
+    return null;
+  }
+  const state = await getSnapshotData(snapshot);
+  setSnapshotDetailsCache(snapshot.id, state.suspendedTabs || {});
+  return state.suspendedTabs || {};
+}
+
+// Either side may be CURRENT_STATE_ID to compare against the suspended tabs right now.
+async function getSnapshotDiff(fromId, toId) {
+  if (encryptionIsLocked() || !hasCryptoKey()) {
+    return { ok: false, locked: true, reason: encryptionReason() };
+  }
+  const sides = [];
+  for (const id of [fromId, toId]) {
+    if (id === CURRENT_STATE_ID) {
+      const state = await withStateLock(async () => loadState());
+      if (stateIsLocked() || stateIsCorrupt()) {
+        return { ok: false, locked: true, reason: stateLockReason() };
+      }
+      sides.push(state?.suspendedTabs || {});
+      continue;
+    }
+    const tabs = await loadSnapshotTabs(id);
+    if (!tabs) {
+      return { ok: false, error: 'not-found' };
+    }
+    sides.push(tabs);
   }
+  return { ok: true, ...diffSuspendedTabs(sides[0], sides[1]) };
+}
+
+async function openSnapshotTabs(snapshotId, options = {}) {
   const snapshot = await getSnapshotById(snapshotId);
   if (!snapshot) {
     return { ok: false, error: 'not-found' };
   }
-  const needsKey = !!snapshot.data?.ct;
+  return openRecordTabs(snapshot, options);
+}
+
+async function getLastFocusedNormalWindowId() {
+  try {
+    const win = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    return win && !win.incognito ? win.id : null;
+  } catch {
+    return null;
+  }
+}
+
+// Opens the tabs of a snapshot-format record (snapshot or saved session).
+async function openRecordTabs(record, options = {}) {
+  const needsKey = !!record.data?.ct;
   if (needsKey && (encryptionIsLocked() || !hasCryptoKey())) {
     return { ok: false, locked: true };
   }
-  const state = await getSnapshotData(snapshot);
-  const entries = Object.values(state?.suspendedTabs || {});
+  const state = await getSnapshotData(record);
+  return openSuspendedEntries(Object.values(state?.suspendedTabs || {}), options);
+}
+
+// Opens suspendedTabs-style entries, either parked or loaded. `urls` limits it to
+// the entries with those URLs; `target` picks the windows (see planRestoreWindows),
+// with `windowId` as the current window.
+async function openSuspendedEntries(entries, {
+  unsuspend = false,
+  reason = 'restored-from-snapshot',
+  urls = null,
+  target = 'new-window',
+  windowId = null,
+} = {}) {
+  if (!unsuspend && !stateIsWritable()) {
+    return lockedMutationResponse();
+  }
   if (!entries.length) {
-    return { ok: true, opened: 0 };
+    return { ok: true, opened: 0, openedIds: [] };
   }
 
+  const onlyUrls = Array.isArray(urls) ? new Set(urls) : null;
   const seenUrls = new Set();
   const existingUrls = new Set();
   if (!unsuspend) {
@@ -422,7 +686,7 @@ async function openSnapshotTabs(snapshotId, { unsuspend = false } = {}) {
       const currentState = await loadState();
       for (const entry of Object.values(currentState?.suspendedTabs || {})) {
         if (entry?.url) {
-          existingUrls.add(entry.url);
+          existingUrls.add(duplicateKey(entry.url));
         }
       }
     });
@@ -431,13 +695,20 @@ async function openSnapshotTabs(snapshotId, { unsuspend = false } = {}) {
   const filteredEntries = [];
   for (const entry of entries) {
     const parsedEntry = {
+      id: entry?.id,
       url: entry?.url,
       title: entry?.title,
       favIconUrl: entry?.favIconUrl,
+      windowId: entry?.windowId,
+      groupId: entry?.groupId,
+      groupTitle: entry?.groupTitle || '',
+      groupColor: entry?.groupColor || '',
+      pageState: entry?.pageState || null,
     };
     if (!isSafeUrl(parsedEntry.url)) continue;
+    if (onlyUrls && !onlyUrls.has(parsedEntry.url)) continue;
     if (!unsuspend) {
-      const urlKey = parsedEntry.url;
+      const urlKey = duplicateKey(parsedEntry.url);
       if (existingUrls.has(urlKey) || seenUrls.has(urlKey)) {
         continue; // Avoid duplicates in state and tabs
       }
@@ -447,92 +718,1328 @@ async function openSnapshotTabs(snapshotId, { unsuspend = false } = {}) {
   }
 
   if (!filteredEntries.length) {
-    return { ok: true, opened: 0 };
+    return { ok: true, opened: 0, openedIds: [] };
   }
 
-  const win = await chrome.windows.create({ url: 'about:blank', focused: true });
-  const windowId = win.id;
-  const tabs = win.tabs || [];
-  let firstTabId = tabs[0]?.id || null;
-  let firstTabUsed = false;
+  let layout = target;
+  let currentWindowId = null;
+  if (target === 'current-window') {
+    currentWindowId = Number.isInteger(windowId) ? windowId : await getLastFocusedNormalWindowId();
+    if (currentWindowId === null) {
+      layout = 'new-window';
+    }
+  }
   let opened = 0;
+  // IDs of the entries that got a tab, for callers whose entries carry one.
+  const openedIds = [];
   const settings = await ensureSettings();
   const pendingStateEntries = [];
 
-  for (const entry of filteredEntries) {
-    let urlToOpen;
-    let isSuspended = false;
-    let token = null;
+  for (const batch of planRestoreWindows(filteredEntries, layout)) {
+    let batchWindowId = currentWindowId;
+    let blankTabId = null;
+    if (batch.newWindow) {
+      const win = await chrome.windows.create({ url: 'about:blank', focused: true });
+      batchWindowId = win.id;
+      blankTabId = win.tabs?.[0]?.id || null;
+    }
+    const groupedTabs = new Map();
+    const batchStateEntries = [];
 
-    if (unsuspend) {
-      urlToOpen = entry.url;
-    } else {
-      // Construct suspended URL directly.
-      token = crypto.randomUUID();
-      const suspendedUrl = new URL(chrome.runtime.getURL('suspended.html'));
-      suspendedUrl.searchParams.set('token', token);
-      if (settings.embedOriginalUrl !== false) {
-        suspendedUrl.searchParams.set('url', entry.url);
-        if (entry.title) suspendedUrl.searchParams.set('title', entry.title);
+    for (const entry of batch.entries) {
+      let urlToOpen;
+      let isSuspended = false;
+      let token = null;
+
+      if (unsuspend) {
+        urlToOpen = entry.url;
+      } else {
+        // Construct suspended URL directly.
+        token = crypto.randomUUID();
+        urlToOpen = buildSuspendedPageUrl(entry, token, settings);
+        isSuspended = true;
+      }
+
+      let tab;
+      if (blankTabId) {
+        tab = await chrome.tabs.update(blankTabId, { url: urlToOpen, active: true });
+        blankTabId = null;
+      } else {
+        tab = await chrome.tabs.create({ windowId: batchWindowId, url: urlToOpen, active: false });
+      }
+      opened += 1;
+      if (entry.id !== undefined) {
+        openedIds.push(entry.id);
       }
-      if (shouldEmbedFaviconParam(settings, entry.favIconUrl)) {
-        suspendedUrl.searchParams.set('favicon', entry.favIconUrl);
+      if (unsuspend) {
+        queuePageRestore(tab.id, entry.url, entry.pageState);
       }
 
-      urlToOpen = suspendedUrl.toString();
-      isSuspended = true;
+      if (isGroupedTab(entry)) {
+        // Group IDs are only unique per session, so key by the recorded window too.
+        const groupKey = `${entry.windowId}:${entry.groupId}`;
+        if (!groupedTabs.has(groupKey)) {
+          groupedTabs.set(groupKey, { title: entry.groupTitle, color: entry.groupColor, tabIds: [] });
+        }
+        groupedTabs.get(groupKey).tabIds.push(tab.id);
+      }
+
+      if (isSuspended) {
+        const now = Date.now();
+        batchStateEntries.push({
+          tabId: tab.id,
+          metadata: {
+            url: entry.url,
+            title: entry.title,
+            favIconUrl: isLocalFaviconParamSafe(entry.favIconUrl) ? entry.favIconUrl : '',
+            windowId: batchWindowId,
+            suspendedAt: now,
+            method: 'page',
+            reason,
+            token,
+            tokenIssuedAt: now,
+            tokenUsed: false,
+            ...(entry.pageState ? { pageState: entry.pageState } : {}),
+          },
+        });
+        existingUrls.add(duplicateKey(entry.url));
+      }
     }
 
-    let tab;
-    if (opened === 0 && firstTabId) {
-      tab = await chrome.tabs.update(firstTabId, { url: urlToOpen, active: true });
-      firstTabUsed = true;
-    } else {
-      tab = await chrome.tabs.create({ windowId, url: urlToOpen, active: false });
-    }
-    opened += 1;
-
-    if (isSuspended) {
-      const now = Date.now();
-      pendingStateEntries.push({
-        tabId: tab.id,
-        metadata: {
-          url: entry.url,
-          title: entry.title,
-          favIconUrl: isLocalFaviconParamSafe(entry.favIconUrl) ? entry.favIconUrl : '',
-          windowId,
-          suspendedAt: now,
-          method: 'page',
-          reason: 'restored-from-snapshot',
-          token,
-          tokenIssuedAt: now,
-          tokenUsed: false,
-        },
-      });
-      existingUrls.add(entry.url);
+    const groupAssignments = await recreateTabGroups(batchWindowId, groupedTabs);
+    for (const entry of batchStateEntries) {
+      Object.assign(entry.metadata, groupAssignments.get(entry.tabId));
     }
+    pendingStateEntries.push(...batchStateEntries);
   }
 
   if (!unsuspend && pendingStateEntries.length) {
     await withStateLock(async () => {
       const currentState = await loadState();
-      const currentUrls = new Set(Object.values(currentState?.suspendedTabs || {}).map(item => item.url));
+      const currentUrls = new Set(Object.values(currentState?.suspendedTabs || {}).map(item => duplicateKey(item.url)));
       for (const entry of pendingStateEntries) {
-        if (currentUrls.has(entry.metadata.url)) {
+        const urlKey = duplicateKey(entry.metadata.url);
+        if (currentUrls.has(urlKey)) {
           continue;
         }
         currentState.suspendedTabs[entry.tabId] = entry.metadata;
-        currentUrls.add(entry.metadata.url);
+        currentUrls.add(urlKey);
+        recordSuspensionStats([entry.metadata]);
       }
       await saveState(currentState);
     });
   }
 
-  if (opened > 0 && firstTabId && !firstTabUsed) {
-    await chrome.tabs.remove(firstTabId).catch(() => null);
+  return { ok: true, opened, openedIds };
+}
+
+// --- Saved Sessions ---
+
+async function loadSavedSessions() {
+  const stored = await chrome.storage.local.get(SAVED_SESSIONS_KEY);
+  return normalizeSavedSessions(stored[SAVED_SESSIONS_KEY]);
+}
+
+async function listSavedSessions() {
+  return { ok: true, sessions: summarizeSavedSessions(await loadSavedSessions()) };
+}
+
+// Saves every open tab in normal windows, parked or live, under `name`.
+async function saveNamedSession(name) {
+  const sessionName = normalizeSessionName(name);
+  if (!sessionName) {
+    return { ok: false, error: 'name-required' };
+  }
+  const settings = await ensureSettings();
+  if (settings.encryption.enabled && (encryptionIsLocked() || !hasCryptoKey())) {
+    return { ok: false, locked: true, reason: encryptionReason() };
+  }
+  const state = await withStateLock(async () => loadState());
+  if (stateIsLocked() || stateIsCorrupt()) {
+    return { ok: false, locked: true, reason: stateLockReason() };
+  }
+  const suspendedPagePrefix = chrome.runtime.getURL('suspended.html');
+  const tabs = (await chrome.tabs.query({ windowType: 'normal' })).filter(tab => (
+    state?.suspendedTabs?.[tab.id]
+    || (!tab.url?.startsWith(suspendedPagePrefix) && getSuspendSafetySkipReason(tab) === null)
+  ));
+  if (!tabs.length) {
+    return { ok: false, error: 'no-tabs' };
+  }
+  const groups = new Map();
+  for (const tab of tabs) {
+    if (isGroupedTab(tab) && !groups.has(tab.groupId)) {
+      const info = await getTabGroupInfo(tab);
+      groups.set(tab.groupId, { title: info.groupTitle, color: info.groupColor });
+    }
+  }
+  const sessionState = buildSessionState(tabs, state?.suspendedTabs, { groups });
+  const record = { ...await buildSnapshotRecord(sessionState), name: sessionName };
+  await withSavedSessionsLock(async () => {
+    const sessions = await loadSavedSessions();
+    await chrome.storage.local.set({ [SAVED_SESSIONS_KEY]: [...sessions, record] });
+  });
+  Logger.info('Saved named session', { id: record.id, tabCount: record.tabCount });
+  return { ok: true, id: record.id, tabCount: record.tabCount };
+}
+
+async function renameSavedSession(sessionId, name) {
+  const sessionName = normalizeSessionName(name);
+  if (!sessionName) {
+    return { ok: false, error: 'name-required' };
+  }
+  return withSavedSessionsLock(async () => {
+    const sessions = await loadSavedSessions();
+    const record = sessions.find(item => item.id === sessionId);
+    if (!record) {
+      return { ok: false, error: 'not-found' };
+    }
+    record.name = sessionName;
+    await chrome.storage.local.set({ [SAVED_SESSIONS_KEY]: sessions });
+    return { ok: true };
+  });
+}
+
+async function deleteSavedSession(sessionId) {
+  return withSavedSessionsLock(async () => {
+    const sessions = await loadSavedSessions();
+    const remaining = sessions.filter(item => item.id !== sessionId);
+    if (remaining.length === sessions.length) {
+      return { ok: false, error: 'not-found' };
+    }
+    await chrome.storage.local.set({ [SAVED_SESSIONS_KEY]: remaining });
+    return { ok: true };
+  });
+}
+
+async function openSavedSession(sessionId, { unsuspend = false } = {}) {
+  const record = (await loadSavedSessions()).find(item => item.id === sessionId);
+  if (!record) {
+    return { ok: false, error: 'not-found' };
+  }
+  return openRecordTabs(record, { unsuspend, reason: 'restored-from-session' });
+}
+
+// --- Recently Closed ---
+
+async function loadClosedTabs() {
+  if (closedTabsCache) {
+    return closedTabsCache;
+  }
+  const stored = await chrome.storage.local.get(CLOSED_TABS_KEY);
+  closedTabsCache = stored[CLOSED_TABS_KEY]
+    ? normalizeClosedTabs(await decryptPayload(stored[CLOSED_TABS_KEY]))
+    : [];
+  return closedTabsCache;
+}
+
+async function saveClosedTabs(records) {
+  closedTabsCache = records;
+  if (!records.length) {
+    await chrome.storage.local.remove(CLOSED_TABS_KEY);
+    return;
+  }
+  await chrome.storage.local.set({ [CLOSED_TABS_KEY]: await encryptPayload(records) });
+}
+
+async function getClosedTabRetention() {
+  const settings = await ensureSettings();
+  return normalizeClosedTabRetention(settings, defaultSettings);
+}
+
+// Records state entries that were just dropped. Runs detached so callers holding
+// the state lock never wait on the journal.
+function journalClosedTabs(entries, cause) {
+  const records = entries
+    .filter(entry => isSafeUrl(entry?.url))
+    .map(entry => createClosedTabRecord(entry, { cause }));
+  if (!records.length || encryptionIsLocked() || !hasCryptoKey()) {
+    return;
+  }
+  withClosedTabsLock(async () => {
+    const retention = await getClosedTabRetention();
+    if (!retention.closedTabsMax) {
+      return;
+    }
+    await saveClosedTabs(addClosedTabs(await loadClosedTabs(), records, retention));
+  }).catch(err => {
+    Logger.warn('Failed to record closed tabs', { error: err?.message || String(err) });
+  });
+}
+
+async function listClosedTabs() {
+  if (encryptionIsLocked() || !hasCryptoKey()) {
+    return { ok: false, locked: true, reason: encryptionReason() };
+  }
+  return withClosedTabsLock(async () => {
+    const journal = await loadClosedTabs();
+    const pruned = pruneClosedTabs(journal, await getClosedTabRetention());
+    if (pruned.length !== journal.length) {
+      await saveClosedTabs(pruned);
+    }
+    // Form contents stay in the background.
+    return { ok: true, tabs: pruned.map(({ pageState, ...record }) => record) };
+  });
+}
+
+// Reopens journal records in the current window and removes them from the journal.
+async function restoreClosedTabs(ids, { unsuspend = false, windowId = null } = {}) {
+  if (encryptionIsLocked() || !hasCryptoKey()) {
+    return { ok: false, locked: true, reason: encryptionReason() };
+  }
+  const wanted = new Set(Array.isArray(ids) ? ids : []);
+  const records = await withClosedTabsLock(async () => (
+    (await loadClosedTabs()).filter(record => wanted.has(record.id))
+  ));
+  if (!records.length) {
+    return { ok: false, error: 'not-found' };
+  }
+  const result = await openSuspendedEntries(records, {
+    unsuspend,
+    reason: 'restored-from-closed',
+    target: 'current-window',
+    windowId,
+  });
+  // Records skipped as unsafe or already open stay in the journal.
+  const openedIds = new Set(result.openedIds || []);
+  if (result.ok && openedIds.size) {
+    await withClosedTabsLock(async () => {
+      await saveClosedTabs((await loadClosedTabs()).filter(record => !openedIds.has(record.id)));
+    });
+  }
+  return result;
+}
+
+async function clearClosedTabs() {
+  await withClosedTabsLock(async () => saveClosedTabs([]));
+  return { ok: true };
+}
+
+// --- Statistics ---
+
+async function loadStats() {
+  if (statsCache) {
+    return statsCache;
+  }
+  const stored = await chrome.storage.local.get(STATS_KEY);
+  statsCache = normalizeStats(stored[STATS_KEY] ? await decryptPayload(stored[STATS_KEY]) : null);
+  return statsCache;
+}
+
+async function saveStats(stats) {
+  statsCache = stats;
+  await chrome.storage.local.set({ [STATS_KEY]: await encryptPayload(stats) });
+}
+
+function scheduleStatsFlush() {
+  if (statsFlushTimer) {
+    return;
+  }
+  statsFlushTimer = setTimeout(() => {
+    statsFlushTimer = null;
+    flushStats().catch(err => {
+      Logger.warn('Failed to record statistics', { error: err?.message || String(err) });
+    });
+  }, STATS_FLUSH_DELAY_MS);
+}
+
+async function flushStats() {
+  if (statsFlushTimer) {
+    clearTimeout(statsFlushTimer);
+    statsFlushTimer = null;
+  }
+  const { suspensions, resumes } = pendingStats;
+  if (!suspensions.length && !resumes.length) {
+    return;
+  }
+  pendingStats = { suspensions: [], resumes: [] };
+  if (encryptionIsLocked() || !hasCryptoKey()) {
+    return;
+  }
+  await withStatsLock(async () => {
+    const stats = await loadStats();
+    recordSuspensions(stats, suspensions);
+    recordResumes(stats, resumes);
+    await saveStats(pruneStats(stats));
+  });
+}
+
+// `entries` are suspension metadata; `memoryMb` is what parking the tab freed.
+function recordSuspensionStats(entries, memoryMb = 0) {
+  pendingStats.suspensions.push(...entries.map(entry => ({ reason: entry.reason, url: entry.url, memoryMb })));
+  scheduleStatsFlush();
+}
+
+// Called where a resumed entry leaves state.suspendedTabs, so each resume counts once.
+function recordResumeStats(entries) {
+  pendingStats.resumes.push(...entries.map(entry => ({ suspendedAt: entry.suspendedAt })));
+  scheduleStatsFlush();
+}
+
+// chrome.processes only exists on the dev channel. A renderer can host several
+// tabs, so its private memory is an upper bound for any one of them.
+async function measureTabMemoryMb(tabId) {
+  if (!chrome.processes?.getProcessIdForTab) {
+    return ESTIMATED_TAB_MEMORY_MB;
+  }
+  try {
+    const processId = await chrome.processes.getProcessIdForTab(tabId);
+    const info = await chrome.processes.getProcessInfo(processId, true);
+    const bytes = info?.[processId]?.privateMemory;
+    return Number.isFinite(bytes) && bytes > 0 ? Math.round(bytes / (1024 * 1024)) : ESTIMATED_TAB_MEMORY_MB;
+  } catch {
+    return ESTIMATED_TAB_MEMORY_MB;
+  }
+}
+
+async function getStatsReport(days) {
+  if (encryptionIsLocked() || !hasCryptoKey()) {
+    return { ok: false, locked: true, reason: encryptionReason() };
+  }
+  await flushStats();
+  const stats = await withStatsLock(async () => loadStats());
+  const range = STATS_REPORT_DAY_OPTIONS.includes(days) ? days : 30;
+  const state = stateIsLocked() ? null : await withStateLock(async () => loadState());
+  const suspendedNow = Object.keys(state?.suspendedTabs || {}).length;
+  return {
+    ok: true,
+    summary: summarizeStats(stats, { days: range }),
+    current: { suspended: suspendedNow, estimatedMemoryMb: suspendedNow * ESTIMATED_TAB_MEMORY_MB },
+  };
+}
+
+async function resetStats() {
+  pendingStats = { suspensions: [], resumes: [] };
+  await withStatsLock(async () => {
+    statsCache = null;
+    await chrome.storage.local.remove(STATS_KEY);
+  });
+  return { ok: true };
+}
+
+// --- Session Export / Import ---
+
+async function exportSessions(passphrase) {
+  if (typeof passphrase !== 'string' || !passphrase) {
+    return { ok: false, error: 'passphrase-required' };
+  }
+  if (encryptionIsLocked() || !hasCryptoKey()) {
+    return { ok: false, locked: true, reason: encryptionReason() };
+  }
+  const state = await withStateLock(async () => loadState());
+  if (stateIsCorrupt()) {
+    return { ok: false, locked: true, reason: stateLockReason() };
+  }
+
+  const stored = await chrome.storage.local.get('backups');
+  const snapshots = [];
+  for (const snapshot of await pruneSnapshots(stored.backups || [])) {
+    try {
+      snapshots.push({ id: snapshot.id, timestamp: snapshot.timestamp, state: await getSnapshotData(snapshot) });
+    } catch (err) {
+      Logger.warn('Skipping unreadable snapshot during export', { id: snapshot.id, err: err?.message });
+    }
+  }
+
+  const now = Date.now();
+  const payload = buildExportPayload({ state, snapshots, exportedAt: now });
+  const encrypted = await encryptWithPassphrase(payload, passphrase);
+  Logger.info('Sessions exported', { tabCount: payload.state.tabs.length, snapshotCount: snapshots.length });
+  return {
+    ok: true,
+    file: wrapExportFile(encrypted, now),
+    tabCount: payload.state.tabs.length,
+    snapshotCount: snapshots.length,
+  };
+}
+
+async function importSessions(file, passphrase) {
+  if (typeof passphrase !== 'string' || !passphrase) {
+    return { ok: false, error: 'passphrase-required' };
+  }
+  if (encryptionIsLocked() || !hasCryptoKey()) {
+    return { ok: false, locked: true, reason: encryptionReason() };
+  }
+  const validation = validateExportFile(file);
+  if (!validation.ok) {
+    return validation;
+  }
+
+  let imported;
+  try {
+    imported = decodeExportPayload(await decryptWithPassphrase(validation.envelope, passphrase));
+  } catch (err) {
+    Logger.warn('Failed to decrypt session export', { error: err?.name || String(err) });
+    return { ok: false, error: 'bad-passphrase' };
+  }
+
+  const records = [];
+  for (const snapshot of imported.snapshots) {
+    records.push(await buildSnapshotRecord(sanitizeStateFaviconUrls(snapshot.state), {
+      id: snapshot.id,
+      timestamp: snapshot.timestamp,
+      source: 'import',
+    }));
+  }
+  // Tab IDs in the exported live state are meaningless here, so it lands in
+  // history as a fresh snapshot that can be reopened with OPEN_SNAPSHOT.
+  if (Object.keys(imported.state.suspendedTabs).length) {
+    records.push(await buildSnapshotRecord(sanitizeStateFaviconUrls(imported.state), { source: 'import' }));
+  }
+
+  const added = await SnapshotService.importSnapshots(records);
+  Logger.info('Sessions imported', { received: records.length, added });
+  return { ok: true, added, skipped: records.length - added };
+}
+
+// --- Migration From Other Suspenders ---
+
+async function scanForeignSuspendedTabs() {
+  const tabs = await chrome.tabs.query({});
+  const found = [];
+  for (const tab of tabs) {
+    if (tab.incognito) continue;
+    const parsed = parseForeignSuspendedUrl(tab.url, chrome.runtime.id);
+    if (!parsed) continue;
+    found.push({ tabId: tab.id, windowId: tab.windowId, ...parsed });
+  }
+  return found;
+}
+
+async function migrateForeignSuspendedTabs(tabIds) {
+  if (!stateIsWritable()) {
+    return lockedMutationResponse();
+  }
+  // Only convert what the preview showed; rescanning guards against tabs that changed since.
+  const requested = Array.isArray(tabIds) ? new Set(tabIds.filter(Number.isInteger)) : null;
+  const candidates = (await scanForeignSuspendedTabs()).filter(item => !requested || requested.has(item.tabId));
+  const patches = [];
+  let failed = 0;
+  for (const item of candidates) {
+    const tab = await chrome.tabs.get(item.tabId).catch(() => null);
+    if (!tab) {
+      failed += 1;
+      continue;
+    }
+    const favIconUrl = await captureFaviconAsDataUri(item.url);
+    const parkedTab = { ...tab, url: item.url, title: item.title || item.url, favIconUrl };
+    const result = await suspendViaPage(parkedTab, 'migrated', { deferStateWrite: true });
+    if (result?.ok && result.patch) {
+      patches.push(result.patch);
+    } else {
+      failed += 1;
+    }
+  }
+  await commitSuspensionPatches(patches);
+  Logger.info('Migrated tabs from other suspenders', { migrated: patches.length, failed });
+  return { ok: true, migrated: patches.length, failed };
+}
+
+// --- Tab Groups ---
+
+function isGroupedTab(tab) {
+  return Number.isInteger(tab?.groupId) && tab.groupId >= 0;
+}
+
+async function getTabGroupInfo(tab) {
+  if (!isGroupedTab(tab) || !chrome.tabGroups?.get) {
+    return {};
+  }
+  try {
+    const group = await chrome.tabGroups.get(tab.groupId);
+    return { groupTitle: group.title || '', groupColor: group.color || '' };
+  } catch {
+    return {};
+  }
+}
+
+async function refreshNeverSuspendGroups() {
+  if (!chrome.tabGroups?.query) {
+    return;
+  }
+  try {
+    const settings = await ensureSettings();
+    const titles = new Set(settings.neverSuspendGroups || []);
+    const next = new Set();
+    if (titles.size) {
+      for (const group of await chrome.tabGroups.query({})) {
+        if (group.title && titles.has(group.title)) {
+          next.add(group.id);
+        }
+      }
+    }
+    neverSuspendGroupIds = next;
+  } catch (err) {
+    Logger.warn('Failed to refresh never-suspend groups', err);
+  }
+}
+
+async function getWindowGroups(windowId) {
+  if (!chrome.tabGroups?.query || !Number.isInteger(windowId)) {
+    return [];
+  }
+  const [groups, tabs, settings] = await Promise.all([
+    chrome.tabGroups.query({ windowId }),
+    chrome.tabs.query({ windowId }),
+    ensureSettings(),
+  ]);
+  const state = stateIsLocked() || stateIsCorrupt() ? null : await withStateLock(async () => loadState());
+  const suspendedIds = new Set(Object.keys(state?.suspendedTabs || {}).map(Number));
+  const neverTitles = new Set(settings.neverSuspendGroups || []);
+  const summaries = groups.map(group => {
+    const members = tabs.filter(tab => tab.groupId === group.id);
+    return {
+      id: group.id,
+      title: group.title || '',
+      color: group.color,
+      collapsed: !!group.collapsed,
+      tabCount: members.length,
+      suspendedCount: members.filter(tab => suspendedIds.has(tab.id)).length,
+      neverSuspend: !!group.title && neverTitles.has(group.title),
+      firstIndex: Math.min(...members.map(tab => tab.index)),
+    };
+  });
+  summaries.sort((a, b) => a.firstIndex - b.firstIndex);
+  return summaries;
+}
+
+async function suspendGroup(groupId) {
+  if (!stateIsWritable()) {
+    return lockedMutationResponse({ skip: true });
+  }
+  const tabs = await chrome.tabs.query({ groupId });
+  // Manual group suspension applies safety checks only, like SUSPEND_CURRENT.
+  const candidates = tabs.filter(tab => !tab.discarded && getSuspendSafetySkipReason(tab) === null);
+  const patches = await suspendTabsConcurrently(candidates, 'manual');
+  await commitSuspensionPatches(patches);
+  return { ok: true, suspended: patches.length };
+}
+
+async function resumeGroup(groupId) {
+  const memberIds = (await chrome.tabs.query({ groupId })).map(tab => tab.id);
+  return resumeTabs(memberIds);
+}
+
+function toTabIdSet(tabIds) {
+  return new Set((Array.isArray(tabIds) ? tabIds : []).filter(Number.isInteger));
+}
+
+// Manual suspension of a hand-picked set of tabs; safety checks only, like SUSPEND_GROUP.
+async function suspendTabs(tabIds) {
+  if (!stateIsWritable()) {
+    return lockedMutationResponse({ skip: true });
+  }
+  const wanted = toTabIdSet(tabIds);
+  const suspendedPagePrefix = chrome.runtime.getURL('suspended.html');
+  const candidates = (await chrome.tabs.query({})).filter(tab => (
+    wanted.has(tab.id) && isLiveTab(tab, suspendedPagePrefix) && getSuspendSafetySkipReason(tab) === null
+  ));
+  const patches = await suspendTabsConcurrently(candidates, 'manual');
+  await commitSuspensionPatches(patches);
+  return { ok: true, suspended: patches.length };
+}
+
+// State entries are dropped by handleTabRemoved as the removals come in.
+async function closeTabs(tabIds) {
+  const results = await Promise.allSettled([...toTabIdSet(tabIds)].map(tabId => chrome.tabs.remove(tabId)));
+  return { ok: true, closed: results.filter(result => result.status === 'fulfilled').length };
+}
+
+async function moveTabs(tabIds, windowId, index = -1) {
+  const ids = [...toTabIdSet(tabIds)];
+  if (!ids.length || !Number.isInteger(windowId) || !Number.isInteger(index) || index < -1) {
+    return { ok: false, error: 'invalid-target' };
+  }
+  let moved;
+  try {
+    moved = await chrome.tabs.move(ids, { windowId, index });
+  } catch (err) {
+    // Pinned and unpinned tabs cannot be interleaved, and windows may have closed.
+    Logger.warn('Failed to move tabs', err);
+    return { ok: false, error: 'move-failed' };
+  }
+  if (stateIsWritable()) {
+    // Snapshots reopen parked tabs by their recorded window, so keep it current.
+    await withStateLock(async () => {
+      const state = await loadState();
+      let modified = false;
+      for (const tabId of ids) {
+        const entry = state?.suspendedTabs?.[tabId];
+        if (entry && entry.windowId !== windowId) {
+          entry.windowId = windowId;
+          modified = true;
+        }
+      }
+      if (modified) {
+        await saveState(state);
+      }
+    });
+  }
+  return { ok: true, moved: Array.isArray(moved) ? moved.length : 1 };
+}
+
+// Closes every suspended tab that duplicates a more recently suspended one.
+// Automatic sweeps leave the tab the user is looking at alone.
+async function closeSuspendedDuplicates({ skipActive = false } = {}) {
+  if (!stateIsWritable()) {
+    return lockedMutationResponse();
+  }
+  const state = await withStateLock(() => loadState());
+  let extras = findSuspendedDuplicates(state?.suspendedTabs).flatMap(group => group.extras);
+  if (skipActive && extras.length) {
+    const activeIds = new Set((await chrome.tabs.query({ active: true })).map(tab => tab.id));
+    extras = extras.filter(tabId => !activeIds.has(tabId));
+  }
+  const { closed } = await closeTabs(extras);
+  if (closed) {
+    Logger.info('Closed duplicate suspended tabs', { count: closed });
+  }
+  return { ok: true, closed };
+}
+
+// Runs after state writes so a suspension that duplicates an already parked page
+// replaces the older copy. Closing tabs writes state again; that sweep finds nothing.
+function scheduleDuplicateSweep() {
+  if (duplicateSweepTimer) {
+    clearTimeout(duplicateSweepTimer);
+  }
+  duplicateSweepTimer = setTimeout(async () => {
+    duplicateSweepTimer = null;
+    try {
+      if ((await ensureSettings()).autoCloseDuplicates) {
+        await closeSuspendedDuplicates({ skipActive: true });
+      }
+    } catch (err) {
+      Logger.warn('Duplicate sweep failed', err);
+    }
+  }, DUPLICATE_SWEEP_DELAY_MS);
+}
+
+// Resumes the listed tabs that are suspended, without focusing any of them.
+async function resumeTabs(tabIds) {
+  if (!stateIsWritable()) {
+    return lockedMutationResponse();
+  }
+  const wanted = toTabIdSet(tabIds);
+  let resumedCount = 0;
+  await withStateLock(async () => {
+    if (!stateIsWritable()) {
+      return;
+    }
+    const state = await loadState();
+    for (const [tabIdStr, entry] of Object.entries(state?.suspendedTabs || {})) {
+      const tabId = Number(tabIdStr);
+      if (!wanted.has(tabId)) continue;
+      const resumed = await resumeSuspendedTab(tabId, entry, { focus: false, reloadIfDiscarded: true });
+      if (resumed) {
+        recordResumeStats([entry]);
+        delete state.suspendedTabs[tabId];
+        resumedCount += 1;
+      }
+    }
+    if (resumedCount) {
+      await saveState(state);
+    }
+  });
+  return { ok: true, resumed: resumedCount };
+}
+
+async function setGroupNeverSuspend(groupId, enabled) {
+  const group = await chrome.tabGroups.get(groupId).catch(() => null);
+  if (!group) {
+    return { ok: false, error: 'not-found' };
+  }
+  if (!group.title) {
+    return { ok: false, error: 'untitled-group' };
+  }
+  const settings = await ensureSettings();
+  const titles = new Set(settings.neverSuspendGroups || []);
+  if (enabled) {
+    titles.add(group.title);
+  } else {
+    titles.delete(group.title);
+  }
+  await saveSettings({ ...settings, neverSuspendGroups: [...titles] });
+  return { ok: true };
+}
+
+// Recreates saved groups around freshly opened tabs. Returns tabId -> group fields.
+async function recreateTabGroups(windowId, groupedTabs) {
+  const assignments = new Map();
+  if (!chrome.tabGroups?.update) {
+    return assignments;
+  }
+  for (const { title, color, tabIds } of groupedTabs.values()) {
+    try {
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+      const update = { title };
+      if (color) {
+        update.color = color;
+      }
+      await chrome.tabGroups.update(groupId, update);
+      for (const tabId of tabIds) {
+        assignments.set(tabId, { groupId, groupTitle: title, groupColor: color });
+      }
+    } catch (err) {
+      Logger.warn('Failed to recreate tab group', { title, err: err?.message || String(err) });
+    }
+  }
+  return assignments;
+}
+
+// --- Schedules ---
+
+// Wakes the worker when a schedule starts or ends, so time windows take effect
+// on time rather than at the next periodic tick.
+async function scheduleBoundaryAlarm() {
+  const settings = await ensureSettings();
+  const next = getNextScheduleBoundary(normalizeSchedules(settings.schedules));
+  if (next) {
+    await chrome.alarms.create(SCHEDULE_ALARM, { when: next });
+  } else {
+    await chrome.alarms.clear(SCHEDULE_ALARM);
+  }
+}
+
+async function loadScheduleRuns() {
+  const stored = await chrome.storage.local.get(SCHEDULE_RUNS_KEY);
+  return stored[SCHEDULE_RUNS_KEY] || {};
+}
+
+// Starts the run history of newly saved 'suspend-all' schedules from now.
+async function syncScheduleRuns() {
+  const settings = await ensureSettings();
+  const runs = registerScheduleRuns(normalizeSchedules(settings.schedules), await loadScheduleRuns());
+  await chrome.storage.local.set({ [SCHEDULE_RUNS_KEY]: runs });
+}
+
+// Returns the 'suspend-all' schedules due now and records that they ran.
+async function takeDueSchedules(schedules, now) {
+  const lastRuns = await loadScheduleRuns();
+  const { due, runs } = selectDueSchedules(schedules, lastRuns, now);
+  if (JSON.stringify(runs) !== JSON.stringify(lastRuns)) {
+    await chrome.storage.local.set({ [SCHEDULE_RUNS_KEY]: runs });
+  }
+  return due;
+}
+
+function groupTabsByWindow(tabs) {
+  const byWindow = new Map();
+  for (const tab of tabs) {
+    if (!byWindow.has(tab.windowId)) {
+      byWindow.set(tab.windowId, []);
+    }
+    byWindow.get(tab.windowId).push(tab);
+  }
+  return byWindow;
+}
+
+// Tabs a due 'suspend-all' schedule covers. The inactivity timeout is ignored;
+// safety checks, never-suspend rules, pauses and exclusions still apply.
+function selectScheduledTabs(tabs, settings, dueSchedules, tabsByWindow, handledIds) {
+  return tabs.filter(tab => (
+    !handledIds.has(tab.id)
+    && !tab.discarded
+    && getSuspendSafetySkipReason(tab) === null
+    && !isExcludedByPolicy(tab, resolveSuspensionPolicy(tab.url, settings))
+    && dueSchedules.some(schedule => scheduleCoversTab(schedule, tab, tabsByWindow.get(tab.windowId)))
+  ));
+}
+
+// IDs of tabs an active 'pause' schedule covers; no automatic pass parks them.
+function getScheduledPauseIds(tabs, activeSchedules, tabsByWindow) {
+  return new Set(tabs
+    .filter(tab => resolveScheduledPolicy(activeSchedules, tab, tabsByWindow.get(tab.windowId))?.paused)
+    .map(tab => tab.id));
+}
+
+// --- Window Policies ---
+
+async function loadWindowPolicies() {
+  if (!windowPoliciesCache) {
+    const stored = await chrome.storage.local.get(WINDOW_POLICIES_KEY);
+    windowPoliciesCache = normalizeWindowPolicies(stored[WINDOW_POLICIES_KEY]);
+  }
+  return windowPoliciesCache;
+}
+
+async function saveWindowPolicies(records) {
+  windowPoliciesCache = records;
+  await chrome.storage.local.set({ [WINDOW_POLICIES_KEY]: records });
+}
+
+function getWindowFingerprintKey() {
+  if (!windowFingerprintKey) {
+    windowFingerprintKey = (async () => {
+      const stored = await chrome.storage.local.get(WINDOW_FINGERPRINT_SECRET_KEY);
+      let secret = stored[WINDOW_FINGERPRINT_SECRET_KEY];
+      if (typeof secret !== 'string' || !/^[0-9a-f]{64}$/.test(secret)) {
+        secret = createFingerprintSecret();
+        await chrome.storage.local.set({ [WINDOW_FINGERPRINT_SECRET_KEY]: secret });
+      }
+      return importFingerprintKey(secret);
+    })();
+    windowFingerprintKey.catch(() => {
+      windowFingerprintKey = null;
+    });
+  }
+  return windowFingerprintKey;
+}
+
+// Parked pages count as the page they stand in for, so a window matches
+// whether its tabs are live or parked. Incognito pages are left out.
+async function fingerprintWindowTabs(tabs) {
+  const suspendedPagePrefix = chrome.runtime.getURL('suspended.html');
+  const suspendedTabs = cachedState?.suspendedTabs || {};
+  const urls = tabs.filter(tab => !tab.incognito).map(tab => {
+    const url = tab.pendingUrl || tab.url;
+    return parseParkedPageUrl(url, suspendedPagePrefix)?.url || suspendedTabs[tab.id]?.url || url;
+  });
+  return buildWindowFingerprint(urls, await getWindowFingerprintKey());
+}
+
+// Session storage is emptied when the browser exits, so a missing start time
+// means this is a new browser session and stored window IDs may be reused.
+async function getWindowPolicySessionStart(now) {
+  const stored = await sessionGet(SESSION_WINDOW_POLICIES_SINCE_KEY);
+  if (Number.isFinite(stored[SESSION_WINDOW_POLICIES_SINCE_KEY])) {
+    return stored[SESSION_WINDOW_POLICIES_SINCE_KEY];
+  }
+  await sessionSet(SESSION_WINDOW_POLICIES_SINCE_KEY, now);
+  return now;
+}
+
+// Re-associates policy records with the open windows of `tabs` and returns them.
+// Storage is only written when a record actually changed.
+async function reconcileWindowPolicyRecords(tabs) {
+  return withWindowPoliciesLock(async () => {
+    const now = Date.now();
+    const sessionStart = await getWindowPolicySessionStart(now);
+    const records = await loadWindowPolicies();
+    if (!records.length) {
+      return records;
+    }
+    const windows = await Promise.all([...groupTabsByWindow(tabs)].map(async ([id, windowTabs]) => ({
+      id,
+      fingerprint: await fingerprintWindowTabs(windowTabs),
+    })));
+    const next = reconcileWindowPolicies(records, windows, {
+      now,
+      afterRestart: now - sessionStart < WINDOW_REMATCH_PERIOD_MS,
+    });
+    if (windowPoliciesChanged(records, next)) {
+      await saveWindowPolicies(next);
+    }
+    return next;
+  });
+}
+
+async function reconcileOpenWindowPolicies() {
+  return reconcileWindowPolicyRecords(await chrome.tabs.query({ windowType: 'normal' }));
+}
+
+function isArchivableTab(tab, settings) {
+  return !tab.active
+    && !tab.discarded
+    && getSuspendSafetySkipReason(tab) === null
+    && !isExcludedByPolicy(tab, resolveSuspensionPolicy(tab.url, settings));
+}
+
+async function getWindowPolicyFor(windowId) {
+  if (!Number.isInteger(windowId)) {
+    return { ok: false, error: 'invalid-window' };
+  }
+  return { ok: true, policy: getWindowPolicy(await reconcileOpenWindowPolicies(), windowId) };
+}
+
+// Archiving parks the window's background tabs at once; later ticks keep them parked.
+async function setWindowPolicyFor(windowId, policy) {
+  if (!Number.isInteger(windowId) || !WINDOW_POLICIES.includes(policy)) {
+    return { ok: false, error: 'invalid-policy' };
+  }
+  const tabs = await chrome.tabs.query({ windowId });
+  const fingerprint = await fingerprintWindowTabs(tabs);
+  await withWindowPoliciesLock(async () => {
+    await saveWindowPolicies(setWindowPolicy(await loadWindowPolicies(), windowId, policy, fingerprint));
+  });
+  await scheduleAutoSuspendAlarm();
+  if (policy !== 'archive') {
+    return { ok: true, policy, suspended: 0 };
+  }
+  if (!stateIsWritable()) {
+    // The policy is stored; its tabs are parked once the state is unlocked.
+    return { ...lockedMutationResponse({ skip: true }), policy, suspended: 0 };
+  }
+  const settings = await ensureSettings();
+  const patches = await suspendTabsConcurrently(tabs.filter(tab => isArchivableTab(tab, settings)), 'archive-window');
+  await commitSuspensionPatches(patches);
+  return { ok: true, policy, suspended: patches.length };
+}
+
+// --- Suspension Pauses ---
+
+async function loadPauses() {
+  const stored = await sessionGet(SESSION_PAUSES_KEY);
+  pausesCache = normalizePauses(stored[SESSION_PAUSES_KEY]);
+}
+
+// Persists pauses (dropping expired ones) and re-arms the expiry alarm.
+async function savePauses(pauses) {
+  pausesCache = normalizePauses(pauses);
+  await sessionSet(SESSION_PAUSES_KEY, pausesCache);
+  const nextExpiry = getNextPauseExpiry(pausesCache);
+  if (nextExpiry) {
+    await chrome.alarms.create(PAUSE_EXPIRY_ALARM, { when: nextExpiry });
+  } else {
+    await chrome.alarms.clear(PAUSE_EXPIRY_ALARM);
+  }
+  scheduleUiRefresh();
+}
+
+async function pauseSuspension({ scope, tabId, minutes }) {
+  if (!PAUSE_SCOPES.includes(scope)) {
+    return { ok: false, error: 'invalid-scope' };
+  }
+  const duration = Math.round(Number(minutes));
+  if (!Number.isFinite(duration) || duration < 1 || duration > MAX_PAUSE_MINUTES) {
+    return { ok: false, error: 'invalid-duration' };
+  }
+  const tab = Number.isInteger(tabId) ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  if (scope !== 'all' && !tab) {
+    return { ok: false, error: 'not-found' };
+  }
+  const key = getPauseKey(scope, { tabId, url: tab ? await getOriginalTabUrl(tab) : '' });
+  if (!key) {
+    return { ok: false, error: 'invalid-url' };
+  }
+  const until = Date.now() + duration * 60 * 1000;
+  await savePauses(setPause(pausesCache, scope, key, until));
+  return { ok: true, scope, key, until };
+}
+
+async function cancelPause({ scope, key }) {
+  if (!PAUSE_SCOPES.includes(scope) || typeof key !== 'string') {
+    return { ok: false, error: 'invalid-scope' };
+  }
+  await savePauses(clearPause(pausesCache, scope, key));
+  return { ok: true };
+}
+
+async function getPauses(tabId) {
+  const pauses = normalizePauses(pausesCache);
+  const tab = Number.isInteger(tabId) ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  const active = tab ? findActivePause(pauses, { tabId, url: await getOriginalTabUrl(tab) }) : null;
+  const list = listPauses(pauses);
+  for (const pause of list) {
+    if (pause.scope === 'tab') {
+      const pausedTab = await chrome.tabs.get(Number(pause.key)).catch(() => null);
+      pause.label = pausedTab?.title || pausedTab?.url || `Tab ${pause.key}`;
+    } else {
+      pause.label = pause.scope === 'all' ? 'All tabs' : pause.key;
+    }
+  }
+  return { ok: true, active, pauses: list };
+}
+
+// --- Toolbar Action ---
+
+// Debounced refresh of everything that mirrors the active tab and state:
+// the toolbar badge/icon and the context menu items.
+function scheduleUiRefresh() {
+  if (uiRefreshTimer) {
+    clearTimeout(uiRefreshTimer);
+  }
+  uiRefreshTimer = setTimeout(() => {
+    uiRefreshTimer = null;
+    refreshActionState().catch(err => Logger.warn('Failed to refresh toolbar badge', err));
+    refreshContextMenus().catch(err => Logger.warn('Failed to refresh context menus', err));
+  }, UI_REFRESH_DELAY_MS);
+}
+
+const ACTION_ICON_COLORS = {
+  ok: '#3b82f6',
+  exempt: '#22c55e',
+  locked: '#f59e0b',
+  corrupt: '#ef4444',
+};
+
+// Draws a 16-unit glyph scaled to `size`: "Z" normally, a check mark for tabs that
+// will not be suspended, a padlock when locked and "!" when state is corrupt.
+function drawActionIcon(status, size) {
+  const canvas = new OffscreenCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  const unit = size / 16;
+  ctx.scale(unit, unit);
+  ctx.fillStyle = ACTION_ICON_COLORS[status];
+  ctx.beginPath();
+  ctx.roundRect(0.5, 0.5, 15, 15, 3.5);
+  ctx.fill();
+
+  ctx.fillStyle = '#ffffff';
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  if (status === 'locked') {
+    ctx.lineWidth = 1.6;
+    ctx.arc(8, 7.5, 2.6, Math.PI, 0);
+    ctx.stroke();
+    ctx.fillRect(4, 7.5, 8, 5.5);
+  } else if (status === 'corrupt') {
+    ctx.fillRect(7, 3, 2, 6.5);
+    ctx.fillRect(7, 11, 2, 2);
+  } else if (status === 'exempt') {
+    ctx.moveTo(4, 8.5);
+    ctx.lineTo(7, 11.5);
+    ctx.lineTo(12, 4.5);
+    ctx.stroke();
+  } else {
+    ctx.moveTo(4.5, 4.5);
+    ctx.lineTo(11.5, 4.5);
+    ctx.lineTo(4.5, 11.5);
+    ctx.lineTo(11.5, 11.5);
+    ctx.stroke();
+  }
+  return ctx.getImageData(0, 0, size, size);
+}
+
+function getActionIcon(status) {
+  if (typeof OffscreenCanvas === 'undefined') {
+    return null;
+  }
+  if (!actionIconCache.has(status)) {
+    actionIconCache.set(status, { 16: drawActionIcon(status, 16), 32: drawActionIcon(status, 32) });
+  }
+  return actionIconCache.get(status);
+}
+
+function getActionStatus() {
+  if (stateIsCorrupt()) {
+    return 'corrupt';
+  }
+  return stateIsLocked() ? 'locked' : 'ok';
+}
+
+// Why a tab will never be auto-suspended, for the per-tab toolbar indicator.
+function describeTabExemption(tab, settings) {
+  const pause = findActivePause(pausesCache, { tabId: tab.id, url: tab.url });
+  if (pause) {
+    const until = new Date(pause.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `Suspension paused until ${until}`;
+  }
+  if (neverSuspendGroupIds.has(tab.groupId)) {
+    return 'Tab group is never suspended';
+  }
+  const url = tab.url?.startsWith(chrome.runtime.getURL('suspended.html')) ? null : tab.url;
+  if (url && resolveSuspensionPolicy(url, settings).never) {
+    return `Never suspending ${siteRulePattern(url) || 'this site'}`;
+  }
+  return null;
+}
+
+function formatBadgeCount(count) {
+  if (!count) {
+    return '';
+  }
+  return count > BADGE_MAX_COUNT ? `${BADGE_MAX_COUNT}+` : String(count);
+}
+
+async function setActionIcon(status, tabId) {
+  const imageData = getActionIcon(status);
+  if (!imageData) {
+    return;
+  }
+  const details = Number.isInteger(tabId) ? { imageData, tabId } : { imageData };
+  await chrome.action.setIcon(details).catch(() => null);
+}
+
+// Per-tab values are written for the active tab of every window; inactive tabs pick
+// up fresh values when activation triggers the next refresh.
+async function refreshActionState() {
+  await ready;
+  const status = getActionStatus();
+  const settings = await ensureSettings();
+  const scope = settings.badgeScope;
+  await setActionIcon(status);
+  await chrome.action.setBadgeBackgroundColor({ color: ACTION_ICON_COLORS[status] });
+
+  const allTabs = await chrome.tabs.query({});
+  const activeTabs = allTabs.filter(tab => tab.active);
+  if (status !== 'ok') {
+    const title = status === 'corrupt'
+      ? 'Local Suspender: session state is corrupted. Reset encryption from options.'
+      : 'Local Suspender: locked. Unlock from options.';
+    await chrome.action.setBadgeText({ text: '' });
+    await chrome.action.setTitle({ title });
+    for (const tab of activeTabs) {
+      await setActionIcon(status, tab.id);
+      await chrome.action.setBadgeText({ tabId: tab.id, text: '' }).catch(() => null);
+      await chrome.action.setTitle({ tabId: tab.id, title }).catch(() => null);
+    }
+    return;
+  }
+
+  const state = await withStateLock(async () => loadState());
+  const windowByTabId = new Map(allTabs.map(tab => [tab.id, tab.windowId]));
+  const suspendedPerWindow = new Map();
+  let suspendedTotal = 0;
+  for (const tabId of Object.keys(state?.suspendedTabs || {})) {
+    const windowId = windowByTabId.get(Number(tabId));
+    if (windowId === undefined) continue;
+    suspendedTotal += 1;
+    suspendedPerWindow.set(windowId, (suspendedPerWindow.get(windowId) || 0) + 1);
+  }
+
+  await chrome.action.setBadgeText({ text: scope === 'global' ? formatBadgeCount(suspendedTotal) : '' });
+  await chrome.action.setTitle({ title: 'Local Suspender' });
+  for (const tab of activeTabs) {
+    const count = scope === 'global' ? suspendedTotal : suspendedPerWindow.get(tab.windowId) || 0;
+    const exemption = describeTabExemption(tab, settings);
+    const countLabel = scope === 'global' ? `${count} suspended tabs` : `${count} suspended tabs in this window`;
+    await setActionIcon(exemption ? 'exempt' : 'ok', tab.id);
+    await chrome.action.setBadgeText({ tabId: tab.id, text: scope === 'off' ? '' : formatBadgeCount(count) }).catch(() => null);
+    await chrome.action.setTitle({
+      tabId: tab.id,
+      title: exemption ? `Local Suspender: ${countLabel}. ${exemption}.` : `Local Suspender: ${countLabel}`,
+    }).catch(() => null);
+  }
+}
+
+// --- Context Menus ---
+
+// Tab-level items also appear on the toolbar icon's context menu.
+const TAB_MENU_CONTEXTS = ['page', 'frame', 'action'];
+
+async function setupContextMenus() {
+  await chrome.contextMenus.removeAll();
+  const items = [
+    { id: 'suspend-tab', title: 'Suspend this tab', contexts: TAB_MENU_CONTEXTS },
+    { id: 'unsuspend-tab', title: 'Unsuspend this tab', contexts: TAB_MENU_CONTEXTS, visible: false },
+    { id: 'suspend-other-tabs', title: 'Suspend other tabs in this window', contexts: TAB_MENU_CONTEXTS },
+    { id: 'never-suspend-site', title: 'Never suspend this site', contexts: TAB_MENU_CONTEXTS },
+    { id: 'never-suspend-page', title: 'Never suspend this URL', contexts: TAB_MENU_CONTEXTS },
+    { id: 'open-link-suspended', title: 'Open link in new suspended tab', contexts: ['link'] },
+  ];
+  for (const item of items) {
+    chrome.contextMenus.create(item, () => {
+      if (chrome.runtime.lastError) {
+        Logger.warn('Failed to create context menu item', { id: item.id, error: chrome.runtime.lastError.message });
+      }
+    });
+  }
+  scheduleUiRefresh();
+}
+
+// Chrome cannot update menus while they are open, so items track the active tab instead.
+async function refreshContextMenus() {
+  await ready;
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab) {
+    return;
+  }
+  const state = stateIsWritable() ? await withStateLock(async () => loadState()) : null;
+  const isParked = tab.url?.startsWith(chrome.runtime.getURL('suspended.html'));
+  const isSuspended = isParked || !!state?.suspendedTabs?.[tab.id];
+  const url = await getOriginalTabUrl(tab);
+  const site = siteRulePattern(url);
+  const page = pageRulePattern(url);
+  const { rules } = await ensureSettings();
+  const canSuspend = getSuspendSafetySkipReason(tab) === null;
+
+  const updates = {
+    'suspend-tab': { visible: !isSuspended, enabled: canSuspend },
+    'unsuspend-tab': { visible: isSuspended },
+    'never-suspend-site': {
+      enabled: !!site,
+      title: site && hasNeverRule(rules, site) ? `Allow suspending ${site}` : `Never suspend ${site || 'this site'}`,
+    },
+    'never-suspend-page': {
+      enabled: !!page && page !== site,
+      title: page && hasNeverRule(rules, page) ? 'Allow suspending this URL' : 'Never suspend this URL',
+    },
+  };
+  await Promise.all(Object.entries(updates).map(([id, props]) => chrome.contextMenus.update(id, props).catch(() => null)));
+}
+
+async function openLinkSuspended(linkUrl, sourceTab) {
+  if (!isSafeUrl(linkUrl)) {
+    return { ok: false, error: 'unsafe-url' };
+  }
+  if (sourceTab?.incognito) {
+    return { ok: true, skipped: 'incognito' };
+  }
+  if (!stateIsWritable()) {
+    return lockedMutationResponse();
+  }
+  const settings = await ensureSettings();
+  const token = crypto.randomUUID();
+  const createProperties = { url: buildSuspendedPageUrl({ url: linkUrl }, token, settings), active: false };
+  if (sourceTab?.id >= 0) {
+    createProperties.windowId = sourceTab.windowId;
+    createProperties.index = sourceTab.index + 1;
+    createProperties.openerTabId = sourceTab.id;
+  }
+  const tab = await chrome.tabs.create(createProperties);
+  const now = Date.now();
+  await withStateLock(async () => {
+    if (!stateIsWritable()) {
+      return;
+    }
+    const state = await loadState();
+    state.suspendedTabs[tab.id] = {
+      url: linkUrl,
+      title: '',
+      favIconUrl: '',
+      windowId: tab.windowId,
+      suspendedAt: now,
+      method: 'page',
+      reason: 'opened-suspended',
+      token,
+      tokenIssuedAt: now,
+      tokenUsed: false,
+    };
+    await saveState(state);
+    recordSuspensionStats([state.suspendedTabs[tab.id]]);
+  });
+  return { ok: true, tabId: tab.id };
+}
+
+async function handleContextMenuClick(info, tab) {
+  await ready;
+  if (initError) {
+    return;
   }
-
-  return { ok: true, opened };
+  try {
+    switch (info.menuItemId) {
+      case 'suspend-tab':
+        await suspendCurrentTab(tab);
+        break;
+      case 'unsuspend-tab':
+        await resumeTab(tab?.id);
+        break;
+      case 'suspend-other-tabs': {
+        if (!tab) break;
+        const tabs = await chrome.tabs.query({ windowId: tab.windowId });
+        await suspendInactiveTabs(tabs, { ignoreTimeout: true });
+        break;
+      }
+      case 'never-suspend-site':
+        await toggleNeverSuspendSite(tab);
+        break;
+      case 'never-suspend-page':
+        await toggleNeverSuspendSite(tab, { scope: 'page' });
+        break;
+      case 'open-link-suspended':
+        await openLinkSuspended(info.linkUrl, tab);
+        break;
+      default:
+        break;
+    }
+  } catch (err) {
+    Logger.error('Context menu action failed', { id: info.menuItemId, err: err?.message || String(err) });
+  }
+  scheduleUiRefresh();
 }
 
 // --- Initialization ---
@@ -550,9 +2057,12 @@ async function init() {
   try {
     await ensureSettings();
     await loadLastActive();
+    await loadPauses();
     await clearLegacyPendingState();
 
     await initializeEncryption();
+    await refreshNeverSuspendGroups();
+    scheduleUiRefresh();
 
     // Only schedule if not already scheduled
     const alarm = await chrome.alarms.get('autoSuspend');
@@ -560,10 +2070,8 @@ async function init() {
       await scheduleAutoSuspendAlarm();
     }
 
-    const snapshotAlarm = await chrome.alarms.get('snapshotTimer');
-    if (!snapshotAlarm) {
-      await chrome.alarms.create('snapshotTimer', { periodInMinutes: SNAPSHOT_PERIOD_MINUTES });
-    }
+    await scheduleSnapshotAlarm();
+    await scheduleBoundaryAlarm();
 
     const validateAlarm = await chrome.alarms.get('stateValidator');
     if (!validateAlarm) {
@@ -586,23 +2094,34 @@ chrome.runtime.onInstalled.addListener(handleInstalled);
 chrome.runtime.onStartup.addListener(handleStartup);
 chrome.runtime.onMessage.addListener(handleMessage);
 chrome.tabs.onActivated.addListener(handleTabActivated);
+chrome.tabs.onCreated.addListener(handleTabCreated);
 chrome.windows.onFocusChanged.addListener(handleWindowFocusChanged);
+chrome.windows.onRemoved.addListener(handleWindowRemoved);
 chrome.tabs.onRemoved.addListener(handleTabRemoved);
 chrome.tabs.onUpdated.addListener(handleTabUpdated);
 chrome.alarms.onAlarm.addListener(handleAlarm);
 chrome.idle.onStateChanged.addListener(handleIdleStateChange);
 chrome.storage.onChanged.addListener(handleStorageChanged);
+chrome.commands.onCommand.addListener(handleCommand);
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+if (chrome.tabGroups) {
+  chrome.tabGroups.onCreated.addListener(handleTabGroupChanged);
+  chrome.tabGroups.onUpdated.addListener(handleTabGroupChanged);
+  chrome.tabGroups.onRemoved.addListener(handleTabGroupChanged);
+}
 
 // --- Event Handlers ---
 
 async function handleInstalled(details) {
+  // Menu items persist across browser restarts, so they are only rebuilt here.
+  setupContextMenus().catch(err => Logger.warn('Failed to set up context menus', err));
   // onInstalled is a special case where we might want to force a reset
   if (details.reason === 'install') {
     await ready;
     await chrome.storage.local.set({ [SETTINGS_KEY]: defaultSettings });
     await saveState({ suspendedTabs: {} });
     await scheduleAutoSuspendAlarm(); // Force schedule on install
-    await chrome.alarms.create('snapshotTimer', { periodInMinutes: SNAPSHOT_PERIOD_MINUTES });
+    await scheduleSnapshotAlarm({ force: true });
     try {
       await chrome.runtime.openOptionsPage();
     } catch (err) {
@@ -611,13 +2130,26 @@ async function handleInstalled(details) {
   } else if (details.reason === 'update') {
     await ready; // Wait for init to ensure we have settings
     await scheduleAutoSuspendAlarm(); // Ensure alarm is correct after update
-    await chrome.alarms.create('snapshotTimer', { periodInMinutes: SNAPSHOT_PERIOD_MINUTES });
+    await scheduleSnapshotAlarm({ force: true });
   }
 }
 
 async function handleStartup() {
   await ready;
   await clearLegacyPendingState();
+  // Tab IDs change across restarts; match restored parked pages to their entries
+  // now and once more after session restore has had time to finish. Entries are
+  // only pruned on the second pass, since their tabs may still be on the way.
+  // Window policies are matched back to their windows the same way.
+  const reconcileWindows = () => reconcileOpenWindowPolicies().catch(err => {
+    Logger.warn('Failed to re-associate window policies', err);
+  });
+  await runStateValidationNow('startup', { rekeyOnly: true });
+  await reconcileWindows();
+  setTimeout(() => {
+    void runStateValidationNow('startup-retry', { rekey: true });
+    void reconcileWindows();
+  }, RESTART_RECONCILE_RETRY_MS);
 }
 
 function handleStorageChanged(changes, areaName) {
@@ -647,6 +2179,11 @@ async function saveSettings(nextSettings) {
   }
   await persistSettings(merged);
   await scheduleAutoSuspendAlarm(); // Reschedule when settings change
+  await scheduleSnapshotAlarm();
+  await syncScheduleRuns();
+  await scheduleBoundaryAlarm();
+  await refreshNeverSuspendGroups();
+  scheduleUiRefresh();
 }
 
 async function loadState() {
@@ -701,6 +2238,8 @@ async function saveState(state) {
   await reconciliationLock;
   cachedState = state;
   await saveStateInternal(state);
+  scheduleUiRefresh();
+  scheduleDuplicateSweep();
 }
 
 function isSafeUrl(url) {
@@ -729,6 +2268,21 @@ function shouldEmbedFaviconParam(settings, favIconUrl) {
   return settings.embedOriginalUrl !== false && isLocalFaviconParamSafe(favIconUrl);
 }
 
+function buildSuspendedPageUrl({ url, title, favIconUrl }, token, settings) {
+  const suspendedUrl = new URL(chrome.runtime.getURL('suspended.html'));
+  suspendedUrl.searchParams.set('token', token);
+  if (settings.embedOriginalUrl !== false) {
+    suspendedUrl.searchParams.set('url', url);
+    if (title) {
+      suspendedUrl.searchParams.set('title', title);
+    }
+  }
+  if (shouldEmbedFaviconParam(settings, favIconUrl)) {
+    suspendedUrl.searchParams.set('favicon', favIconUrl);
+  }
+  return suspendedUrl.toString();
+}
+
 function sanitizeStateFaviconUrls(state) {
   if (!state || typeof state !== 'object' || !state.suspendedTabs || typeof state.suspendedTabs !== 'object') {
     return state;
@@ -742,68 +2296,41 @@ function sanitizeStateFaviconUrls(state) {
   return state;
 }
 
-function wildcardToRegExp(pattern) {
-  // Normalize pattern: remove protocol, www, trailing slash
-  let p = pattern.trim().toLowerCase();
-  p = p.replace(/^(https?:\/\/)?(www\.)?/, '');
-  if (p.endsWith('/')) {
-    p = p.slice(0, -1);
+async function getOriginalTabUrl(tab) {
+  if (!tab.url?.startsWith(chrome.runtime.getURL('suspended.html'))) {
+    return tab.url;
   }
-
-  // Escape regex characters except *
-  const escaped = p.replace(/[.+^${}()|[\]\\]/g, '\\$&');
-
-  // Convert * to .*
-  // If pattern ends with *, it matches prefix.
-  // If pattern starts with *, it matches suffix.
-  // If no *, we match exact domain or path prefix.
-
-  let regexString = escaped.replace(/\*/g, '.*?');
-
-  // If it's just a domain like "leetcode.com", we want to match "leetcode.com" AND "leetcode.com/problems" AND "sub.leetcode.com"
-  // But we don't want "myleetcode.com"
-
-  // Simple heuristic: if no slash, assume domain match
-  if (!p.includes('/')) {
-    // Match exact domain or subdomain
-    // regex: (^|\.)leetcode\.com(\/|$)
-    regexString = `(^|\\.)${regexString}(\\/|$)`;
-  } else {
-    // Path match, anchor start
-    regexString = `^${regexString}`;
+  if (stateIsWritable()) {
+    const state = await withStateLock(async () => loadState());
+    const entry = state?.suspendedTabs?.[tab.id];
+    if (entry?.url) {
+      return entry.url;
+    }
   }
-
-  return new RegExp(regexString);
+  return new URL(tab.url).searchParams.get('url');
 }
 
-function matchesWhitelist(url, whitelist) {
-  if (!url) return false;
-  if (!Array.isArray(whitelist) || whitelist.length === 0) {
-    return false;
+// Adds a never-suspend rule for the tab's site (or page, with `scope: 'page'`),
+// or removes it when one already exists.
+async function toggleNeverSuspendSite(tab, { scope = 'site' } = {}) {
+  if (!tab) {
+    return { ok: false, error: 'no-tab' };
   }
-
-  // Normalize URL for matching: lower-case host/path, strip protocol and www
-  let normalized = '';
-  try {
-    const u = new URL(url);
-    const host = (u.hostname || '').toLowerCase().replace(/^www\./, '');
-    const path = (u.pathname || '').toLowerCase();
-    normalized = `${host}${path}`;
-  } catch (err) {
-    // Fallback: strip protocol/www manually
-    normalized = url.toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '');
+  const url = await getOriginalTabUrl(tab);
+  const pattern = scope === 'page' ? pageRulePattern(url) : siteRulePattern(url);
+  if (!pattern) {
+    return { ok: false, error: 'invalid-url' };
   }
-
-  const regexes = getWhitelistRegexes(whitelist);
-  for (const regex of regexes) {
-    if (regex.test(normalized)) {
-      return true;
-    }
+  const settings = await ensureSettings();
+  const { rules, neverSuspend } = toggleNeverRule(settings.rules, pattern);
+  await saveSettings({ ...settings, rules });
+  if (neverSuspend) {
+    await unsuspendNeverSuspendTabs(await ensureSettings());
   }
-  return false;
+  return { ok: true, neverSuspend, pattern };
 }
 
-async function unsuspendWhitelistedTabs(whitelist) {
+async function unsuspendNeverSuspendTabs(settings) {
   if (!stateIsWritable()) {
     return;
   }
@@ -816,10 +2343,12 @@ async function unsuspendWhitelistedTabs(whitelist) {
 
     const entries = Object.entries(state.suspendedTabs);
     for (const [tabIdStr, entry] of entries) {
-      if (matchesWhitelist(entry.url, whitelist)) {
+      if (resolveSuspensionPolicy(entry.url, settings).never) {
         const tabId = Number(tabIdStr);
-        Logger.info('Auto-unsuspending whitelisted tab', { tabId, url: entry.url });
-        await resumeSuspendedTab(tabId, entry, { focus: false, reloadIfDiscarded: true });
+        Logger.info('Auto-unsuspending tab matched by never-suspend rule', { tabId, url: entry.url });
+        if (await resumeSuspendedTab(tabId, entry, { focus: false, reloadIfDiscarded: true })) {
+          recordResumeStats([entry]);
+        }
         delete state.suspendedTabs[tabId];
       }
     }
@@ -827,23 +2356,39 @@ async function unsuspendWhitelistedTabs(whitelist) {
   });
 }
 
-async function validateState(state) {
+// Entries whose tab no longer exists go to the recently-closed journal unless
+// `journalMissing` is false (e.g. when the state came from an old snapshot).
+// Restored parked pages are only re-attached with `rekey` (after a restart or
+// unlock), since matching by URL could otherwise move an unrelated entry. With
+// `rekeyOnly`, they are re-attached and nothing is pruned.
+async function validateState(state, { journalMissing = true, rekey = false, rekeyOnly = false } = {}) {
   if (!state || !state.suspendedTabs) return;
-
-  const tabIds = Object.keys(state.suspendedTabs).map(Number);
-  if (tabIds.length === 0) return;
+  if (Object.keys(state.suspendedTabs).length === 0) return;
 
   // Batch query tabs once to avoid N calls
   const allTabs = await chrome.tabs.query({});
   const tabMap = new Map(allTabs.map(t => [t.id, t]));
   const suspendedPagePrefix = chrome.runtime.getURL('suspended.html');
 
-  let changed = false;
+  // Re-key parked pages that came back under new IDs before pruning missing tabs.
+  const reissued = rekey || rekeyOnly ? rekeyRestoredTabs(state, allTabs, suspendedPagePrefix) : [];
+  if (rekeyOnly) {
+    if (reissued.length) {
+      await saveState(state);
+      reloadReissuedTabs(reissued);
+    }
+    return;
+  }
+  const tabIds = Object.keys(state.suspendedTabs).map(Number);
+
+  let changed = reissued.length > 0;
+  const missing = [];
   for (const tabId of tabIds) {
     const entry = state.suspendedTabs[tabId];
     const tab = tabMap.get(tabId);
 
     if (!tab) {
+      missing.push(entry);
       delete state.suspendedTabs[tabId];
       changed = true;
       continue;
@@ -880,14 +2425,60 @@ async function validateState(state) {
     }
   }
 
+  if (journalMissing && missing.length) {
+    journalClosedTabs(missing, 'missing');
+  }
   if (changed) {
     await saveState(state);
   }
+  if (reissued.length) {
+    reloadReissuedTabs(reissued);
+  }
+}
+
+// Moves entries for restored parked pages under their new tab IDs with fresh
+// tokens. The pages still carry the old token until reloadReissuedTabs runs.
+function rekeyRestoredTabs(state, tabs, suspendedPagePrefix) {
+  const matches = matchRestoredTabs(state.suspendedTabs, tabs, suspendedPagePrefix);
+  if (!matches.length) {
+    return [];
+  }
+  const moved = matches.map(match => ({ ...match, entry: state.suspendedTabs[match.fromTabId] }));
+  for (const { fromTabId } of moved) {
+    delete state.suspendedTabs[fromTabId];
+  }
+  const now = Date.now();
+  const reissued = moved.map(({ toTabId, windowId, entry }) => {
+    const next = {
+      ...entry,
+      windowId,
+      token: crypto.randomUUID(),
+      tokenIssuedAt: now,
+      tokenUsed: false,
+    };
+    state.suspendedTabs[toTabId] = next;
+    return { tabId: toTabId, previousToken: entry.token, entry: next };
+  });
+  Logger.info('Re-attached restored parked tabs', { count: reissued.length });
+  return reissued;
+}
+
+function reloadReissuedTabs(reissued) {
+  ensureSettings().then(async settings => {
+    for (const { tabId, previousToken, entry } of reissued) {
+      renameScreenshot(previousToken, entry.token);
+      await chrome.tabs.update(tabId, { url: buildSuspendedPageUrl(entry, entry.token, settings) })
+        .catch(err => Logger.warn('Failed to reload restored parked tab', { tabId, error: err?.message }));
+    }
+  }).catch(err => Logger.warn('Failed to reload restored parked tabs', err));
 }
 
 async function handleTabActivated(activeInfo) {
   await ready;
   await markTabActive(activeInfo.tabId);
+  scheduleTabBudgetEnforcement(activeInfo.windowId);
+  scheduleUiRefresh();
+  scheduleActiveTabScreenshot();
   const settings = await ensureSettings();
   if (settings.unsuspendMethod === 'activate') {
     const tab = await chrome.tabs.get(activeInfo.tabId).catch(() => null);
@@ -897,11 +2488,66 @@ async function handleTabActivated(activeInfo) {
   }
 }
 
+async function handleTabCreated(tab) {
+  await ready;
+  if (tab?.windowId !== undefined) {
+    scheduleTabBudgetEnforcement(tab.windowId);
+  }
+}
+
+async function handleCommand(command, tab) {
+  await ready;
+  if (initError) {
+    return;
+  }
+  try {
+    const [activeTab] = tab ? [tab] : await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    let result;
+    switch (command) {
+      case 'suspend-current-tab':
+        result = await suspendCurrentTab(activeTab);
+        break;
+      case 'unsuspend-current-tab':
+        result = await resumeTab(activeTab?.id);
+        break;
+      case 'suspend-other-tabs': {
+        if (!activeTab) return;
+        const tabs = await chrome.tabs.query({ windowId: activeTab.windowId });
+        result = await suspendInactiveTabs(tabs, { ignoreTimeout: true });
+        break;
+      }
+      case 'suspend-other-windows': {
+        const tabs = await chrome.tabs.query({ windowType: 'normal' });
+        const others = tabs.filter(candidate => candidate.windowId !== activeTab?.windowId);
+        result = await suspendInactiveTabs(others, { ignoreTimeout: true });
+        break;
+      }
+      case 'toggle-never-suspend-site':
+        result = await toggleNeverSuspendSite(activeTab);
+        break;
+      default:
+        Logger.warn('Unknown command', { command });
+        return;
+    }
+    if (result?.ok === false || result?.skipped) {
+      Logger.info('Command had no effect', { command, result });
+    }
+  } catch (err) {
+    Logger.error('Command failed', { command, err: err?.message || String(err) });
+  }
+}
+
+async function handleTabGroupChanged() {
+  await ready;
+  await refreshNeverSuspendGroups();
+}
+
 async function handleWindowFocusChanged(windowId) {
   await ready;
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
     return;
   }
+  scheduleUiRefresh();
   const [tab] = await chrome.tabs.query({ active: true, windowId });
   if (tab) {
     await markTabActive(tab.id);
@@ -911,10 +2557,23 @@ async function handleWindowFocusChanged(windowId) {
   }
 }
 
-async function handleTabRemoved(tabId) {
+// Tabs of a closing window are removed one by one; the window stays marked as
+// snapshotted until it is gone, so the later removals do not snapshot again.
+function handleWindowRemoved(windowId) {
+  closingWindowSnapshots.delete(windowId);
+}
+
+async function handleTabRemoved(tabId, removeInfo) {
   await ready;
+  if (removeInfo?.isWindowClosing) {
+    snapshotClosingWindow(removeInfo.windowId);
+  }
   delete lastActiveCache[tabId];
   markLastActiveDirty();
+  pendingPageRestores.delete(tabId);
+  if (pausesCache.tabs[tabId]) {
+    await savePauses(clearPause(pausesCache, 'tab', String(tabId)));
+  }
   if (!stateIsWritable()) {
     return;
   }
@@ -925,6 +2584,8 @@ async function handleTabRemoved(tabId) {
       }
       const state = await loadState();
       if (state && state.suspendedTabs && state.suspendedTabs[tabId]) {
+        deleteScreenshot(state.suspendedTabs[tabId].token);
+        journalClosedTabs([state.suspendedTabs[tabId]], 'closed');
         delete state.suspendedTabs[tabId];
         await saveState(state);
       }
@@ -939,6 +2600,15 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
   if (changeInfo.status === 'loading') {
     await markTabActive(tabId);
   }
+  if (changeInfo.url && tab?.active) {
+    scheduleUiRefresh();
+  }
+  if (changeInfo.status === 'complete' && pendingPageRestores.has(tabId)) {
+    await applyPendingPageRestore(tabId, tab);
+  }
+  if (changeInfo.status === 'complete' && tab?.active) {
+    scheduleActiveTabScreenshot();
+  }
   if (!stateIsWritable()) {
     return;
   }
@@ -965,6 +2635,7 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
             modified = true;
           }
         } else if (state.suspendedTabs[tabId]?.method === 'discard') {
+          recordResumeStats([state.suspendedTabs[tabId]]);
           delete state.suspendedTabs[tabId];
           modified = true;
         }
@@ -973,6 +2644,7 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
       if (tab.url && !tab.url.startsWith('chrome-extension://')) {
         if (state.suspendedTabs[tabId]?.method === 'page') {
           if (!tab.url.startsWith(chrome.runtime.getURL('suspended.html'))) {
+            recordResumeStats([state.suspendedTabs[tabId]]);
             delete state.suspendedTabs[tabId];
             modified = true;
           }
@@ -996,6 +2668,11 @@ async function handleAlarm(alarm) {
     await SnapshotService.createSnapshot();
   } else if (alarm.name === 'stateValidator') {
     await runStateValidationNow('alarm');
+  } else if (alarm.name === PAUSE_EXPIRY_ALARM) {
+    await savePauses(pausesCache);
+  } else if (alarm.name === SCHEDULE_ALARM) {
+    await scheduleBoundaryAlarm();
+    await autoSuspendTick();
   }
 }
 
@@ -1003,7 +2680,24 @@ async function handleIdleStateChange(newState) {
   await ready;
   if (newState === 'locked' || newState === 'idle') {
     await autoSuspendTick();
+    if ((await ensureSettings()).snapshotOnIdleOrClose) {
+      await SnapshotService.createSnapshot();
+    }
+  }
+}
+
+// Closing a window (including at browser shutdown) removes its tabs one by one,
+// and each removal drops the tab from state. The copy is taken synchronously on
+// the first removal, before any of those deletions can run.
+function snapshotClosingWindow(windowId) {
+  if (closingWindowSnapshots.has(windowId) || !cachedState || !stateIsWritable()) {
+    return;
   }
+  closingWindowSnapshots.add(windowId);
+  const capturedState = structuredClone(cachedState);
+  ensureSettings()
+    .then(settings => (settings.snapshotOnIdleOrClose ? SnapshotService.createSnapshot({ capturedState }) : null))
+    .catch(err => Logger.warn('Window-close snapshot failed', err));
 }
 
 async function markTabActive(tabId) {
@@ -1049,13 +2743,65 @@ async function autoSuspendTick() {
     markLastActiveDirty();
   }
 
+  const schedules = normalizeSchedules(settings.schedules);
+  const activeSchedules = getActiveSchedules(schedules, now);
+  const windowPolicies = await reconcileWindowPolicyRecords(tabs);
+  const tabsByWindow = groupTabsByWindow(tabs);
+  // Focus windows and tabs under a 'pause' schedule sit out every automatic
+  // pass; archive windows skip the inactivity timeout and park all their
+  // background tabs.
+  const autoTabs = excludeFocusWindowTabs(windowPolicies, tabs);
+  const pausedIds = getScheduledPauseIds(autoTabs, activeSchedules, tabsByWindow);
+  const eligibleTabs = [];
   const candidates = [];
-  for (const tab of tabs) {
-    if (shouldSuspendTab(tab, settings, now)) {
-      candidates.push(tab);
+  const archiveTabs = [];
+  for (const [windowId, windowTabs] of groupTabsByWindow(autoTabs)) {
+    const policy = getWindowPolicy(windowPolicies, windowId);
+    for (const tab of windowTabs) {
+      if (pausedIds.has(tab.id)) {
+        continue;
+      }
+      eligibleTabs.push(tab);
+      if (policy === 'archive') {
+        if (isArchivableTab(tab, settings)) {
+          archiveTabs.push(tab);
+        }
+        continue;
+      }
+      const scheduled = resolveScheduledPolicy(activeSchedules, tab, windowTabs);
+      if (shouldSuspendTab(tab, settings, now, scheduled)) {
+        candidates.push(tab);
+      }
+    }
+  }
+
+  const statePatches = await suspendTabsConcurrently(candidates, 'auto');
+  statePatches.push(...await suspendTabsConcurrently(archiveTabs, 'archive-window'));
+  const handledIds = new Set([...candidates, ...archiveTabs].map(tab => tab.id));
+  const dueSchedules = await takeDueSchedules(schedules, now);
+  if (dueSchedules.length) {
+    const scheduledTabs = selectScheduledTabs(eligibleTabs, settings, dueSchedules, tabsByWindow, handledIds);
+    Logger.info('Running scheduled suspension', { schedules: dueSchedules.length, tabs: scheduledTabs.length });
+    statePatches.push(...await suspendTabsConcurrently(scheduledTabs, 'scheduled'));
+    for (const tab of scheduledTabs) {
+      handledIds.add(tab.id);
     }
   }
+  const overBudget = selectOverBudgetTabs(autoTabs, settings, handledIds, pausedIds);
+  if (overBudget.length) {
+    statePatches.push(...await suspendTabsConcurrently(overBudget, 'tab-budget'));
+    for (const tab of overBudget) {
+      handledIds.add(tab.id);
+    }
+  }
+  if (settings.memoryPressureEnabled) {
+    statePatches.push(...await relieveMemoryPressure(eligibleTabs, settings, handledIds));
+  }
+  await commitSuspensionPatches(statePatches);
+  await flushLastActiveCache();
+}
 
+async function suspendTabsConcurrently(candidates, reason) {
   const limit = AUTO_SUSPEND_BATCH_LIMIT;
   let index = 0;
   const statePatches = [];
@@ -1063,13 +2809,13 @@ async function autoSuspendTick() {
     while (index < candidates.length) {
       const current = candidates[index++];
       try {
-        const result = await suspendTab(current, 'auto', { deferStateWrite: true });
+        const result = await suspendTab(current, reason, { deferStateWrite: true });
         if (result?.ok && result.patch) {
           statePatches.push(result.patch);
         }
       } catch (err) {
         if (!err.message.includes('No tab with id')) {
-          Logger.warn('Failed to auto-suspend tab', { tabId: current.id, err });
+          Logger.warn('Failed to suspend tab', { tabId: current.id, reason, err });
         }
       }
     }
@@ -1077,39 +2823,269 @@ async function autoSuspendTick() {
 
   const workers = Array.from({ length: Math.min(limit, candidates.length) }, () => worker());
   await Promise.all(workers);
-  if (statePatches.length > 0) {
+  return statePatches;
+}
+
+// Shared by the SUSPEND_CURRENT message and keyboard commands.
+async function suspendCurrentTab(tab, { force = false } = {}) {
+  if (!stateIsWritable()) {
+    return lockedMutationResponse({ skip: true });
+  }
+  if (!tab) {
+    // No active tab available in current window.
+    return { ok: true, skipped: 'policy-excluded' };
+  }
+  // Manual current-tab suspension enforces only safety checks:
+  // - incognito => skipped: 'incognito'
+  // - unsafe/internal URL => skipped: 'unsafe-url'
+  // - unsaved form input (when protection is on) => skipped: 'unsaved-form', unless forced
+  // Auto policy rules (active/pinned/audible/site rules/inactive threshold) do not apply here.
+  const safetySkip = getSuspendSafetySkipReason(tab);
+  if (safetySkip) {
+    return { ok: true, skipped: safetySkip };
+  }
+  if (!force && await hasUnsavedFormInput(tab, await ensureSettings())) {
+    return { ok: true, skipped: 'unsaved-form' };
+  }
+  const result = await suspendTab(tab, 'manual', { ignoreUnsavedForms: true });
+  if (result?.locked) {
+    return lockedMutationResponse({ skip: true });
+  }
+  return { ok: true };
+}
+
+// Suspends non-active tabs from `tabs`. By default only tabs past their auto-suspend
+// timeout qualify; `ignoreTimeout` keeps the safety and policy exclusions but drops
+// the idle requirement (used by the "suspend other tabs" commands).
+async function suspendInactiveTabs(tabs, { ignoreTimeout = false } = {}) {
+  if (!stateIsWritable()) {
+    return lockedMutationResponse({ skip: true });
+  }
+  const settings = await ensureSettings();
+  const now = Date.now();
+  const patches = [];
+  for (const tab of tabs) {
+    if (tab.active) continue;
+    const eligible = ignoreTimeout
+      ? !tab.discarded && getSuspendSafetySkipReason(tab) === null
+        && !isExcludedByPolicy(tab, resolveSuspensionPolicy(tab.url, settings))
+      : shouldSuspendTab(tab, settings, now);
+    if (!eligible) continue;
+    try {
+      const result = await suspendTab(tab, 'manual', { deferStateWrite: true });
+      if (result?.ok && result.patch) {
+        patches.push(result.patch);
+      }
+    } catch (err) {
+      if (!err.message?.includes('No tab with id')) {
+        Logger.warn('Failed to suspend inactive tab', { tabId: tab.id, err });
+      }
+    }
+  }
+  await commitSuspensionPatches(patches);
+  return { ok: true };
+}
+
+async function resumeTab(tabId) {
+  if (!stateIsWritable()) {
+    return lockedMutationResponse();
+  }
+  if (typeof tabId === 'number' && Number.isInteger(tabId)) {
     await withStateLock(async () => {
-      const state = await loadState();
-      if (!state) {
+      if (!stateIsWritable()) {
         return;
       }
-      const allTabs = await chrome.tabs.query({});
-      const tabMap = new Map(allTabs.map(tab => [tab.id, tab]));
-      const suspendedPagePrefix = chrome.runtime.getURL('suspended.html');
-      let modified = false;
-      for (const patch of statePatches) {
-        if (!patch?.tabId || !patch?.metadata) {
-          continue;
-        }
-        const tab = tabMap.get(patch.tabId);
-        if (!tab) {
-          continue;
-        }
-        if (patch.metadata.method === 'discard' && !tab.discarded) {
-          continue;
+      const state = await loadState();
+      const entry = state?.suspendedTabs?.[tabId];
+      if (entry) {
+        const resumed = await resumeSuspendedTab(tabId, entry, { focus: true });
+        if (resumed) {
+          recordResumeStats([entry]);
+          delete state.suspendedTabs[tabId];
+          await saveState(state);
         }
-        if (patch.metadata.method === 'page' && !tab.url?.startsWith(suspendedPagePrefix)) {
-          continue;
+      } else {
+        try {
+          await chrome.tabs.update(tabId, { active: true });
+        } catch (err) {
+          Logger.warn('Failed to activate tab during resume fallback', err);
         }
-        state.suspendedTabs[patch.tabId] = patch.metadata;
-        modified = true;
-      }
-      if (modified) {
-        await saveState(state);
       }
     });
   }
-  await flushLastActiveCache();
+  return { ok: true };
+}
+
+function isLiveTab(tab, suspendedPagePrefix) {
+  return !tab.discarded && !tab.url?.startsWith(suspendedPagePrefix);
+}
+
+// Picks the least-recently-used eligible tabs in each window whose live tab count
+// exceeds maxLiveTabsPerWindow. Tabs in handledIds are already being suspended.
+// Tabs in `exemptIds` still count towards their window's budget but are never picked.
+function selectOverBudgetTabs(tabs, settings, handledIds, exemptIds = new Set()) {
+  const budget = Math.round(Number(settings.maxLiveTabsPerWindow) || 0);
+  if (budget <= 0) {
+    return [];
+  }
+  const suspendedPagePrefix = chrome.runtime.getURL('suspended.html');
+  const windows = new Map();
+  for (const tab of tabs) {
+    if (handledIds.has(tab.id) || !isLiveTab(tab, suspendedPagePrefix)) {
+      continue;
+    }
+    if (!windows.has(tab.windowId)) {
+      windows.set(tab.windowId, []);
+    }
+    windows.get(tab.windowId).push(tab);
+  }
+
+  const selected = [];
+  for (const liveTabs of windows.values()) {
+    const excess = liveTabs.length - budget;
+    if (excess <= 0) {
+      continue;
+    }
+    const eligible = liveTabs
+      .filter(tab => !tab.active && !exemptIds.has(tab.id) && getSuspendSafetySkipReason(tab) === null)
+      .filter(tab => !isExcludedByPolicy(tab, resolveSuspensionPolicy(tab.url, settings)))
+      .sort((a, b) => getLastActiveAt(a) - getLastActiveAt(b));
+    selected.push(...eligible.slice(0, excess));
+  }
+  return selected;
+}
+
+function scheduleTabBudgetEnforcement(windowId) {
+  if (typeof windowId !== 'number' || windowId === chrome.windows.WINDOW_ID_NONE) {
+    return;
+  }
+  // Debounced per window so bursts (session restore, "open all") enforce once.
+  clearTimeout(tabBudgetTimers.get(windowId));
+  tabBudgetTimers.set(windowId, setTimeout(() => {
+    tabBudgetTimers.delete(windowId);
+    void enforceTabBudget(windowId);
+  }, TAB_BUDGET_DEBOUNCE_MS));
+}
+
+async function enforceTabBudget(windowId) {
+  if (tabBudgetRunning.has(windowId) || !stateIsWritable()) {
+    return;
+  }
+  tabBudgetRunning.add(windowId);
+  try {
+    const settings = await ensureSettings();
+    if (!(settings.maxLiveTabsPerWindow > 0)) {
+      return;
+    }
+    // Focus windows are never auto-suspended, whatever their size.
+    if ((await getWindowPolicyFor(windowId)).policy === 'focus') {
+      return;
+    }
+    const tabs = await chrome.tabs.query({ windowId, windowType: 'normal' });
+    const activeSchedules = getActiveSchedules(normalizeSchedules(settings.schedules));
+    const pausedIds = getScheduledPauseIds(tabs, activeSchedules, groupTabsByWindow(tabs));
+    const overBudget = selectOverBudgetTabs(tabs, settings, new Set(), pausedIds);
+    if (!overBudget.length) {
+      return;
+    }
+    const patches = await suspendTabsConcurrently(overBudget, 'tab-budget');
+    await commitSuspensionPatches(patches);
+    Logger.info('Suspended tabs over window budget', { windowId, count: patches.length });
+  } catch (err) {
+    Logger.warn('Failed to enforce tab budget', { windowId, err: err?.message || String(err) });
+  } finally {
+    tabBudgetRunning.delete(windowId);
+  }
+}
+
+async function isMemoryLow(settings) {
+  if (!chrome.system?.memory?.getInfo) {
+    return false;
+  }
+  try {
+    const info = await chrome.system.memory.getInfo();
+    if (!info?.capacity) {
+      return false;
+    }
+    const availablePercent = (info.availableCapacity / info.capacity) * 100;
+    return availablePercent < settings.memoryPressureThresholdPercent;
+  } catch (err) {
+    Logger.warn('Failed to read system memory info', err);
+    return false;
+  }
+}
+
+function getLastActiveAt(tab) {
+  return lastActiveCache[tab.id] || tab.lastAccessed || 0;
+}
+
+// Suspends least-recently-used eligible tabs, one batch at a time, until free
+// memory climbs back above the threshold. The inactivity timer is ignored here.
+async function relieveMemoryPressure(tabs, settings, handledIds) {
+  if (!(await isMemoryLow(settings))) {
+    return [];
+  }
+  const queue = tabs
+    .filter(tab => !handledIds.has(tab.id) && !tab.discarded)
+    .filter(tab => getSuspendSafetySkipReason(tab) === null)
+    .filter(tab => !isExcludedByPolicy(tab, resolveSuspensionPolicy(tab.url, settings)))
+    .sort((a, b) => getLastActiveAt(a) - getLastActiveAt(b));
+
+  const patches = [];
+  for (let round = 0; round < MEMORY_PRESSURE_MAX_ROUNDS && queue.length; round += 1) {
+    const batch = queue.splice(0, AUTO_SUSPEND_BATCH_LIMIT);
+    patches.push(...await suspendTabsConcurrently(batch, 'memory-pressure'));
+    if (!(await isMemoryLow(settings))) {
+      break;
+    }
+  }
+  if (patches.length) {
+    Logger.info('Suspended tabs under memory pressure', { count: patches.length });
+  }
+  return patches;
+}
+
+// Records deferred suspensions in one write, keeping only patches whose tab
+// still looks suspended (discarded, or sitting on the parked page). Kept patches
+// go into the statistics, with the memory reading suspendTab attached if any.
+async function commitSuspensionPatches(patches) {
+  if (!patches.length) {
+    return;
+  }
+  await withStateLock(async () => {
+    const state = await loadState();
+    if (!state) {
+      return;
+    }
+    const allTabs = await chrome.tabs.query({});
+    const tabMap = new Map(allTabs.map(tab => [tab.id, tab]));
+    const suspendedPagePrefix = chrome.runtime.getURL('suspended.html');
+    const committed = [];
+    for (const patch of patches) {
+      if (!patch?.tabId || !patch?.metadata) {
+        continue;
+      }
+      const tab = tabMap.get(patch.tabId);
+      if (!tab) {
+        continue;
+      }
+      if (patch.metadata.method === 'discard' && !tab.discarded) {
+        continue;
+      }
+      if (patch.metadata.method === 'page' && !tab.url?.startsWith(suspendedPagePrefix)) {
+        continue;
+      }
+      state.suspendedTabs[patch.tabId] = patch.metadata;
+      committed.push(patch);
+    }
+    if (!committed.length) {
+      return;
+    }
+    await saveState(state);
+    for (const patch of committed) {
+      recordSuspensionStats([patch.metadata], patch.memoryMb);
+    }
+  });
 }
 
 function getSuspendSafetySkipReason(tab) {
@@ -1122,39 +3098,126 @@ function getSuspendSafetySkipReason(tab) {
   if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
     return 'unsafe-url';
   }
-  if (!isSafeUrl(tab.url)) {
-    return 'unsafe-url';
+  if (!isSafeUrl(tab.url)) {
+    return 'unsafe-url';
+  }
+  return null;
+}
+
+function isExcludedByPolicy(tab, policy) {
+  if (policy.never || neverSuspendGroupIds.has(tab.groupId)) {
+    return true;
+  }
+  if (findActivePause(pausesCache, { tabId: tab.id, url: tab.url })) {
+    return true;
+  }
+  if (policy.excludeActive && tab.active) {
+    return true;
+  }
+  if (policy.excludePinned && tab.pinned) {
+    return true;
+  }
+  if (policy.excludeAudible && tab.audible) {
+    return true;
   }
-  return null;
+  return false;
 }
 
-function shouldSuspendByAutoPolicy(tab, settings, now) {
-  if (settings.excludeActive && tab.active) {
+// `scheduled` is the tab's active schedule from resolveScheduledPolicy, if any.
+function shouldSuspendByAutoPolicy(tab, settings, now, scheduled = null) {
+  // The first matching site rule overrides the global timeout and exclusions.
+  const policy = resolveSuspensionPolicy(tab.url, settings);
+  if (scheduled?.paused || isExcludedByPolicy(tab, policy)) {
     return false;
   }
-  if (settings.excludePinned && tab.pinned) {
+  const lastActive = lastActiveCache[tab.id] || tab.lastAccessed || now;
+  // An active schedule's timeout replaces both the default and the site rule's.
+  const threshold = (scheduled?.timeoutMinutes ?? policy.autoSuspendMinutes) * 60 * 1000;
+  if (!threshold || threshold <= 0) {
     return false;
   }
-  if (settings.excludeAudible && tab.audible) {
+  return now - lastActive >= threshold;
+}
+
+// Opt-in probe for half-written forms. Pages we cannot script (no host permission,
+// store pages, slow frames) count as clean so protection never blocks suspension outright.
+async function hasUnsavedFormInput(tab, settings) {
+  if (!settings.protectUnsavedForms || tab.discarded || !chrome.scripting?.executeScript) {
     return false;
   }
-  if (settings.whitelist.length && matchesWhitelist(tab.url, settings.whitelist)) {
+  if (!/^https?:/.test(tab.url || '')) {
     return false;
   }
-  const lastActive = lastActiveCache[tab.id] || tab.lastAccessed || now;
-  const threshold = settings.autoSuspendMinutes * 60 * 1000;
-  if (!threshold || threshold <= 0) {
-    return false;
+  const probe = chrome.scripting.executeScript({
+    target: { tabId: tab.id, allFrames: true },
+    func: detectUnsavedFormInput,
+  }).catch(() => []);
+  const timeout = new Promise(resolve => setTimeout(() => resolve([]), FORM_PROBE_TIMEOUT_MS));
+  const results = await Promise.race([probe, timeout]);
+  return results.some(frame => frame?.result === true);
+}
+
+// Discarded tabs keep their own scroll position, so capture only matters for parked pages.
+async function capturePageStateFromTab(tab, settings) {
+  const includeFields = !!settings.restoreFormFields;
+  if (!(settings.restoreScrollPosition || includeFields) || !chrome.scripting?.executeScript) {
+    return null;
+  }
+  if (tab.discarded || !/^https?:/.test(tab.url || '')) {
+    return null;
+  }
+  const capture = chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: capturePageState,
+    args: [includeFields],
+  }).catch(() => []);
+  const timeout = new Promise(resolve => setTimeout(() => resolve([]), PAGE_STATE_CAPTURE_TIMEOUT_MS));
+  const [frame] = await Promise.race([capture, timeout]);
+  const pageState = normalizePageState(frame?.result);
+  if (pageState && !settings.restoreScrollPosition) {
+    pageState.x = 0;
+    pageState.y = 0;
+  }
+  return pageState;
+}
+
+function queuePageRestore(tabId, url, pageState) {
+  if (pageState) {
+    pendingPageRestores.set(tabId, { url, pageState, expiresAt: Date.now() + PAGE_RESTORE_TTL_MS });
+  }
+}
+
+function stripUrlHash(url) {
+  return typeof url === 'string' ? url.split('#')[0] : '';
+}
+
+async function applyPendingPageRestore(tabId, tab) {
+  const pending = pendingPageRestores.get(tabId);
+  pendingPageRestores.delete(tabId);
+  if (!pending || pending.expiresAt < Date.now()) {
+    return;
+  }
+  // A redirect or a different page means the saved offsets no longer apply.
+  if (stripUrlHash(tab?.url) !== stripUrlHash(pending.url)) {
+    return;
+  }
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: restorePageState,
+      args: [pending.pageState],
+    });
+  } catch (err) {
+    Logger.warn('Failed to restore page state', { tabId, err: err?.message || String(err) });
   }
-  return now - lastActive >= threshold;
 }
 
-function shouldSuspendTab(tab, settings, now) {
-  return getSuspendSafetySkipReason(tab) === null && shouldSuspendByAutoPolicy(tab, settings, now);
+function shouldSuspendTab(tab, settings, now, scheduled = null) {
+  return getSuspendSafetySkipReason(tab) === null && shouldSuspendByAutoPolicy(tab, settings, now, scheduled);
 }
 
 function buildSuspensionMetadata(tab, reason, method, extras = {}) {
-  return {
+  const metadata = {
     ...extras, // e.g. token fields — explicit fields below always take priority
 
     url: tab.url,
@@ -1165,6 +3228,15 @@ function buildSuspensionMetadata(tab, reason, method, extras = {}) {
     reason,
     favIconUrl: isLocalFaviconParamSafe(tab.favIconUrl) ? tab.favIconUrl : '',
   };
+  if (isGroupedTab(tab)) {
+    metadata.groupId = tab.groupId;
+    metadata.groupTitle = tab.groupTitle || '';
+    metadata.groupColor = tab.groupColor || '';
+  }
+  if (method === 'page' && tab.pageState) {
+    metadata.pageState = tab.pageState;
+  }
+  return metadata;
 }
 
 const FAVICON_CAPTURE_TIMEOUT_MS = 500;
@@ -1199,13 +3271,7 @@ async function captureFaviconAsDataUri(pageUrl) {
       const normalizedType = (blob.type || '').split(';')[0].trim().toLowerCase();
       if (!FAVICON_SAFE_MIMES.has(normalizedType)) return '';
 
-      const buffer = await blob.arrayBuffer();
-      const bytes = new Uint8Array(buffer);
-      let binary = '';
-      for (let i = 0; i < bytes.length; i += 0x8000) {
-        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
-      }
-      return `data:${normalizedType};base64,${btoa(binary)}`;
+      return blobToDataUri(blob, normalizedType);
     } finally {
       clearTimeout(timeoutId);
     }
@@ -1215,27 +3281,236 @@ async function captureFaviconAsDataUri(pageUrl) {
   }
 }
 
-async function suspendTab(tab, reason, { deferStateWrite = false } = {}) {
+async function blobToDataUri(blob, type) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+}
+
+// --- Screenshot Previews ---
+
+const SCREENSHOT_WIDTH = 480;
+const SCREENSHOT_QUALITY = 0.5;
+const SCREENSHOT_MAX_BYTES = 64 * 1024; // Per image, as a data URI
+const SCREENSHOT_QUOTA_BYTES = 3 * 1024 * 1024; // Shares chrome.storage.local with state
+const SCREENSHOT_CAPTURE_DELAY_MS = 1000;
+const SCREENSHOT_ORPHAN_GRACE_MS = 10 * 60 * 1000;
+const RECENT_SCREENSHOT_LIMIT = 10;
+
+// captureVisibleTab only sees the selected tab of a window, so `tab` must be active.
+async function captureVisibleScreenshot(tab) {
+  if (!tab?.active || tab.incognito || !isSafeUrl(tab.url) || typeof OffscreenCanvas === 'undefined') {
+    return '';
+  }
+  try {
+    const fullSize = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 70 });
+    const bitmap = await createImageBitmap(await (await fetch(fullSize)).blob());
+    const scale = Math.min(1, SCREENSHOT_WIDTH / bitmap.width);
+    const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: SCREENSHOT_QUALITY });
+    const dataUri = await blobToDataUri(blob, 'image/jpeg');
+    return dataUri.length <= SCREENSHOT_MAX_BYTES ? dataUri : '';
+  } catch (err) {
+    // Missing host access, minimized windows and capture rate limits all land here.
+    return '';
+  }
+}
+
+function scheduleActiveTabScreenshot() {
+  if (screenshotCaptureTimer) {
+    clearTimeout(screenshotCaptureTimer);
+  }
+  screenshotCaptureTimer = setTimeout(async () => {
+    screenshotCaptureTimer = null;
+    try {
+      if (!(await ensureSettings()).screenshotPreviews) {
+        return;
+      }
+      const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      const dataUri = await captureVisibleScreenshot(tab);
+      if (!dataUri) {
+        return;
+      }
+      recentScreenshots.delete(tab.id);
+      recentScreenshots.set(tab.id, { url: tab.url, dataUri });
+      if (recentScreenshots.size > RECENT_SCREENSHOT_LIMIT) {
+        recentScreenshots.delete(recentScreenshots.keys().next().value);
+      }
+    } catch (err) {
+      Logger.warn('Failed to capture tab screenshot', err);
+    }
+  }, SCREENSHOT_CAPTURE_DELAY_MS);
+}
+
+async function getScreenshotForSuspension(tab) {
+  if (tab.active) {
+    const fresh = await captureVisibleScreenshot(tab);
+    if (fresh) {
+      return fresh;
+    }
+  }
+  const recent = recentScreenshots.get(tab.id);
+  return recent?.url === tab.url ? recent.dataUri : '';
+}
+
+async function loadScreenshotIndex() {
+  const stored = await chrome.storage.local.get(SCREENSHOT_INDEX_KEY);
+  return normalizeScreenshotIndex(stored[SCREENSHOT_INDEX_KEY]);
+}
+
+async function storeScreenshot(token, url, dataUri) {
+  if (!hasCryptoKey()) {
+    return;
+  }
+  const record = await encryptPayload({ url, dataUri, capturedAt: Date.now() });
+  await withScreenshotLock(async () => {
+    const index = await loadScreenshotIndex();
+    const now = Date.now();
+    index[token] = { bytes: dataUri.length, lastUsedAt: now };
+    const liveTokens = new Set(Object.values(cachedState?.suspendedTabs || {}).map(entry => entry.token));
+    const evicted = selectScreenshotEvictions(index, {
+      quotaBytes: SCREENSHOT_QUOTA_BYTES,
+      liveTokens: cachedState ? liveTokens : null,
+      orphanBefore: now - SCREENSHOT_ORPHAN_GRACE_MS,
+    });
+    for (const evictedToken of evicted) {
+      delete index[evictedToken];
+    }
+    if (!evicted.includes(token)) {
+      await chrome.storage.local.set({ [screenshotStorageKey(token)]: record });
+    }
+    await chrome.storage.local.set({ [SCREENSHOT_INDEX_KEY]: index });
+    if (evicted.length) {
+      await chrome.storage.local.remove(evicted.map(screenshotStorageKey));
+    }
+  });
+}
+
+async function loadScreenshot(token, url) {
+  if (!token || !hasCryptoKey()) {
+    return '';
+  }
+  const key = screenshotStorageKey(token);
+  const stored = await chrome.storage.local.get(key);
+  if (!stored[key]) {
+    return '';
+  }
+  try {
+    const record = await decryptPayload(stored[key]);
+    if (record?.url !== url || typeof record.dataUri !== 'string' || !record.dataUri.startsWith('data:image/jpeg;')) {
+      return '';
+    }
+    await withScreenshotLock(async () => {
+      const index = await loadScreenshotIndex();
+      if (index[token]) {
+        index[token].lastUsedAt = Date.now();
+        await chrome.storage.local.set({ [SCREENSHOT_INDEX_KEY]: index });
+      }
+    });
+    return record.dataUri;
+  } catch (err) {
+    Logger.warn('Failed to read screenshot preview', { error: err?.name || String(err) });
+    return '';
+  }
+}
+
+function deleteScreenshot(token) {
+  if (!token) {
+    return;
+  }
+  withScreenshotLock(async () => {
+    const index = await loadScreenshotIndex();
+    if (!index[token]) {
+      return;
+    }
+    delete index[token];
+    await chrome.storage.local.set({ [SCREENSHOT_INDEX_KEY]: index });
+    await chrome.storage.local.remove(screenshotStorageKey(token));
+  }).catch(err => Logger.warn('Failed to delete screenshot preview', err));
+}
+
+// Screenshots are keyed by token, so a reissued token takes its preview along.
+function renameScreenshot(fromToken, toToken) {
+  if (!fromToken || !toToken) {
+    return;
+  }
+  withScreenshotLock(async () => {
+    const index = await loadScreenshotIndex();
+    if (!index[fromToken]) {
+      return;
+    }
+    const fromKey = screenshotStorageKey(fromToken);
+    const stored = await chrome.storage.local.get(fromKey);
+    index[toToken] = index[fromToken];
+    delete index[fromToken];
+    if (stored[fromKey]) {
+      await chrome.storage.local.set({ [screenshotStorageKey(toToken)]: stored[fromKey] });
+    }
+    await chrome.storage.local.set({ [SCREENSHOT_INDEX_KEY]: index });
+    await chrome.storage.local.remove(fromKey);
+  }).catch(err => Logger.warn('Failed to move screenshot preview', err));
+}
+
+async function clearScreenshots() {
+  await withScreenshotLock(async () => {
+    const stored = await chrome.storage.local.get(null);
+    const keys = Object.keys(stored).filter(key => key.startsWith(SCREENSHOT_KEY_PREFIX));
+    await chrome.storage.local.remove([...keys, SCREENSHOT_INDEX_KEY]);
+  });
+  recentScreenshots.clear();
+}
+
+async function suspendTab(tab, reason, { deferStateWrite = false, ignoreUnsavedForms = false } = {}) {
   const blockedReason = stateWriteBlockedReason();
   if (blockedReason) {
     return { ok: false, locked: true, reason: blockedReason };
   }
 
-  const [faviconDataUri, settings] = await Promise.all([
+  const settings = await ensureSettings();
+  if (!ignoreUnsavedForms && await hasUnsavedFormInput(tab, settings)) {
+    return { ok: false, skipped: 'unsaved-form' };
+  }
+  const [faviconDataUri, groupInfo, memoryMb] = await Promise.all([
     captureFaviconAsDataUri(tab.url),
-    ensureSettings(),
+    getTabGroupInfo(tab),
+    measureTabMemoryMb(tab.id),
   ]);
-  const tabWithFavicon = faviconDataUri
-    ? { ...tab, favIconUrl: faviconDataUri }
-    : tab;
+  const tabWithFavicon = { ...tab, ...groupInfo };
+  if (faviconDataUri) {
+    tabWithFavicon.favIconUrl = faviconDataUri;
+  }
   if (tab.favIconUrl && !faviconDataUri) {
     Logger.info('Favicon capture failed; original URL will not persist', { tabId: tab.id });
   }
 
-  if (settings.unsuspendMethod === 'manual') {
-    return suspendViaPage(tabWithFavicon, reason, { deferStateWrite });
+  let result;
+  if (resolveSuspensionPolicy(tab.url, settings).method === 'page') {
+    const [pageState, screenshot] = await Promise.all([
+      capturePageStateFromTab(tab, settings),
+      settings.screenshotPreviews ? getScreenshotForSuspension(tab) : '',
+    ]);
+    if (pageState) {
+      tabWithFavicon.pageState = pageState;
+    }
+    if (screenshot) {
+      tabWithFavicon.screenshot = screenshot;
+    }
+    result = await suspendViaPage(tabWithFavicon, reason, { deferStateWrite });
+  } else {
+    result = await suspendViaDiscard(tabWithFavicon, reason, { deferStateWrite });
+  }
+  if (result?.patch) {
+    // Deferred suspensions are counted once commitSuspensionPatches keeps them.
+    result.patch.memoryMb = memoryMb;
+  } else if (result?.ok) {
+    recordSuspensionStats([{ reason, url: tab.url }], memoryMb);
   }
-  return suspendViaDiscard(tabWithFavicon, reason, { deferStateWrite });
+  return result;
 }
 
 async function suspendViaDiscard(tab, reason, { deferStateWrite = false } = {}) {
@@ -1292,20 +3567,15 @@ async function suspendViaPage(tab, reason, { deferStateWrite = false } = {}) {
     tokenIssuedAt: now,
     tokenUsed: false,
   });
-  const suspendedUrl = new URL(chrome.runtime.getURL('suspended.html'));
-  suspendedUrl.searchParams.set('token', token);
-  if (settings.embedOriginalUrl !== false) {
-    suspendedUrl.searchParams.set('url', tab.url);
-    if (tab.title) {
-      suspendedUrl.searchParams.set('title', tab.title);
-    }
-  }
-  if (shouldEmbedFaviconParam(settings, tab.favIconUrl)) {
-    suspendedUrl.searchParams.set('favicon', tab.favIconUrl);
-  }
+  const suspendedUrl = buildSuspendedPageUrl(tab, token, settings);
 
   try {
-    await chrome.tabs.update(tab.id, { url: suspendedUrl.toString() });
+    await chrome.tabs.update(tab.id, { url: suspendedUrl });
+    if (tab.screenshot) {
+      storeScreenshot(token, tab.url, tab.screenshot).catch(err => {
+        Logger.warn('Failed to store screenshot preview', err);
+      });
+    }
     if (deferStateWrite) {
       return {
         ok: true,
@@ -1349,6 +3619,7 @@ async function maybeAutoUnsuspend(tab) {
     }
     const resumed = await resumeSuspendedTab(tab.id, metadata, { focus: false });
     if (resumed) {
+      recordResumeStats([metadata]);
       delete state.suspendedTabs[tab.id];
       await saveState(state);
     }
@@ -1357,8 +3628,19 @@ async function maybeAutoUnsuspend(tab) {
 
 async function scheduleAutoSuspendAlarm() {
   const settings = await ensureSettings();
-  const threshold = Math.max(1, Math.round(settings.autoSuspendMinutes));
-  const period = Math.min(MAX_ALARM_PERIOD_MINUTES, Math.max(1, Math.round(threshold / ALARM_PERIOD_DIVISOR)));
+  const scheduleTimeout = getShortestScheduleTimeout(normalizeSchedules(settings.schedules));
+  const ruleTimeout = getShortestTimeoutMinutes(settings);
+  const shortest = scheduleTimeout && ruleTimeout ? Math.min(scheduleTimeout, ruleTimeout) : scheduleTimeout || ruleTimeout;
+  const threshold = Math.max(1, Math.round(shortest));
+  let period = Math.min(MAX_ALARM_PERIOD_MINUTES, Math.max(1, Math.round(threshold / ALARM_PERIOD_DIVISOR)));
+  if (settings.memoryPressureEnabled) {
+    // Memory can run out long before any inactivity threshold is reached.
+    period = Math.min(period, MEMORY_PRESSURE_CHECK_MINUTES);
+  }
+  if ((await loadWindowPolicies()).some(record => record.policy === 'archive')) {
+    // Tabs left behind in an archive window are parked within a minute.
+    period = Math.min(period, ARCHIVE_WINDOW_CHECK_MINUTES);
+  }
   await chrome.alarms.clear('autoSuspend');
   await chrome.alarms.create('autoSuspend', {
     delayInMinutes: period,
@@ -1393,7 +3675,9 @@ async function resumeSuspendedTab(tabId, metadata, { focus = true, reloadIfDisca
     if (focus) {
       updateInfo.active = true;
     }
+    queuePageRestore(tabId, metadata.url, metadata.pageState);
     await chrome.tabs.update(tabId, updateInfo);
+    deleteScreenshot(metadata.token);
     return true;
   } catch (err) {
     Logger.warn('Failed to resume suspended tab', err);
@@ -1502,11 +3786,14 @@ async function reconcilePendingStateAfterUnlock() {
 
 async function unlockAndReconcile(passkey) {
   const result = await decryptWithPasskey(passkey);
+  scheduleUiRefresh();
   if (result?.ok) {
     await reconcilePendingStateAfterUnlock();
     if (stateIsCorrupt()) {
       return { ok: false, error: 'corrupt-state' };
     }
+    // Startup reconciliation cannot run while locked; catch up now.
+    void runStateValidationNow('unlock', { rekey: true });
   }
   return result;
 }
@@ -1517,7 +3804,15 @@ async function resetEncryption() {
   clearStateCorruption();
   clearSnapshotDetailsCache();
   cachedState = null;
-  await chrome.storage.local.remove([STATE_KEY, 'backups']);
+  // Saved sessions, screenshots, the closed-tab journal and statistics use the
+  // discarded key too.
+  closedTabsCache = null;
+  statsCache = null;
+  pendingStats = { suspensions: [], resumes: [] };
+  await chrome.storage.local.remove([STATE_KEY, 'backups', SAVED_SESSIONS_KEY, CLOSED_TABS_KEY, STATS_KEY]);
+  await sessionRemove(SESSION_SNAPSHOT_HASH_KEY);
+  await clearScreenshots();
+
   await clearLegacyPendingState();
 
   const settings = await ensureSettings();
@@ -1555,10 +3850,11 @@ function handleMessage(message, sender, sendResponse) {
         const { payload } = message;
         await saveSettings(payload);
 
-        // Check if we need to auto-unsuspend tabs based on new whitelist
-        if (payload.whitelist && payload.whitelist.length > 0) {
-          unsuspendWhitelistedTabs(payload.whitelist).catch(err => {
-            Logger.error('Failed to auto-unsuspend whitelisted tabs', err);
+        // Wake parked tabs that a never-suspend rule now covers
+        const savedSettings = await ensureSettings();
+        if (savedSettings.rules.some(rule => rule.enabled && rule.action === 'never')) {
+          unsuspendNeverSuspendTabs(savedSettings).catch(err => {
+            Logger.error('Failed to auto-unsuspend never-suspend tabs', err);
           });
         }
 
@@ -1599,105 +3895,37 @@ function handleMessage(message, sender, sendResponse) {
         break;
       }
       case 'SUSPEND_CURRENT': {
-        if (!stateIsWritable()) {
-          sendResponse(lockedMutationResponse({ skip: true }));
-          break;
-        }
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (!tab) {
-          // No active tab available in current window.
-          sendResponse({ ok: true, skipped: 'policy-excluded' });
-          break;
-        }
-        // Manual current-tab suspension enforces only safety checks:
-        // - incognito => skipped: 'incognito'
-        // - unsafe/internal URL => skipped: 'unsafe-url'
-        // Auto policy rules (active/pinned/audible/whitelist/inactive threshold) do not apply here.
-        const safetySkip = getSuspendSafetySkipReason(tab);
-        if (safetySkip) {
-          sendResponse({ ok: true, skipped: safetySkip });
-          break;
-        }
-        const result = await suspendTab(tab, 'manual');
-        if (result?.locked) {
-          sendResponse(lockedMutationResponse({ skip: true }));
-          break;
-        }
-        sendResponse({ ok: true });
+        sendResponse(await suspendCurrentTab(tab, { force: message.force === true }));
         break;
       }
       case 'SUSPEND_INACTIVE': {
-        if (!stateIsWritable()) {
-          sendResponse(lockedMutationResponse({ skip: true }));
-          break;
-        }
         const tabs = await chrome.tabs.query({ windowType: 'normal' });
-        const settings = await ensureSettings();
-        const patches = [];
-        for (const tab of tabs) {
-          if (tab.active) continue;
-          if (shouldSuspendTab(tab, settings, Date.now())) {
-            try {
-              const result = await suspendTab(tab, 'manual', { deferStateWrite: true });
-              if (result?.ok && result.patch) {
-                patches.push(result.patch);
-              }
-            } catch (err) {
-              if (!err.message?.includes('No tab with id')) {
-                Logger.warn('Failed to suspend inactive tab', { tabId: tab.id, err });
-              }
-            }
-          }
-        }
-        if (patches.length > 0) {
-          await withStateLock(async () => {
-            const state = await loadState();
-            if (!state) return;
-            const allTabs = await chrome.tabs.query({});
-            const tabMap = new Map(allTabs.map(t => [t.id, t]));
-            const prefix = chrome.runtime.getURL('suspended.html');
-            for (const patch of patches) {
-              if (!patch?.tabId || !patch?.metadata) continue;
-              const t = tabMap.get(patch.tabId);
-              if (!t) continue;
-              if (patch.metadata.method === 'discard' && !t.discarded) continue;
-              if (patch.metadata.method === 'page' && !t.url?.startsWith(prefix)) continue;
-              state.suspendedTabs[patch.tabId] = patch.metadata;
-            }
-            await saveState(state);
-          });
-        }
-        sendResponse({ ok: true });
+        sendResponse(await suspendInactiveTabs(tabs));
         break;
       }
       case 'RESUME_TAB': {
-        if (!stateIsWritable()) {
-          sendResponse(lockedMutationResponse());
-          break;
-        }
-        if (typeof message.tabId === 'number' && Number.isInteger(message.tabId)) {
-          await withStateLock(async () => {
-            if (!stateIsWritable()) {
-              return;
-            }
-            const state = await loadState();
-            const entry = state?.suspendedTabs?.[message.tabId];
-            if (entry) {
-              const resumed = await resumeSuspendedTab(message.tabId, entry, { focus: true });
-              if (resumed) {
-                delete state.suspendedTabs[message.tabId];
-                await saveState(state);
-              }
-            } else {
-              try {
-                await chrome.tabs.update(message.tabId, { active: true });
-              } catch (err) {
-                Logger.warn('Failed to activate tab during resume fallback', err);
-              }
-            }
-          });
-        }
-        sendResponse({ ok: true });
+        sendResponse(await resumeTab(message.tabId));
+        break;
+      }
+      case 'RESUME_TABS': {
+        sendResponse(await resumeTabs(message.tabIds));
+        break;
+      }
+      case 'SUSPEND_TABS': {
+        sendResponse(await suspendTabs(message.tabIds));
+        break;
+      }
+      case 'CLOSE_TABS': {
+        sendResponse(await closeTabs(message.tabIds));
+        break;
+      }
+      case 'CLOSE_DUPLICATES': {
+        sendResponse(await closeSuspendedDuplicates());
+        break;
+      }
+      case 'MOVE_TABS': {
+        sendResponse(await moveTabs(message.tabIds, message.windowId, message.index ?? -1));
         break;
       }
       case 'RESUME_ALL': {
@@ -1718,6 +3946,7 @@ function handleMessage(message, sender, sendResponse) {
             const tabId = Number(tabIdStr);
             const resumed = await resumeSuspendedTab(tabId, entry, { focus: false, reloadIfDiscarded: true });
             if (resumed) {
+              recordResumeStats([entry]);
               delete state.suspendedTabs[tabId];
             }
           }
@@ -1761,10 +3990,15 @@ function handleMessage(message, sender, sendResponse) {
           entry = Object.values(state.suspendedTabs || {}).find(item => item.token === token);
         }
         if (!entry) {
+          // Possibly a page restored under a new tab ID; validation re-attaches and reloads it.
+          maybeScheduleValidation('unknown-token');
           sendResponse({ found: false });
           break;
         }
-        sendResponse({ found: true, info: entry });
+        const screenshot = (await ensureSettings()).screenshotPreviews
+          ? await loadScreenshot(entry.token, entry.url)
+          : '';
+        sendResponse({ found: true, info: entry, screenshot });
         break;
       }
       case 'UNSUSPEND_TOKEN': {
@@ -1783,6 +4017,7 @@ function handleMessage(message, sender, sendResponse) {
           loadState,
           saveState,
           resumeSuspendedTab,
+          recordResume: entry => recordResumeStats([entry]),
         });
         sendResponse(tokenResult);
         break;
@@ -1802,42 +4037,185 @@ function handleMessage(message, sender, sendResponse) {
           break;
         }
         try {
-          const cachedTabs = readSnapshotDetailsCache(message.snapshotId);
-          if (cachedTabs) {
-            sendResponse({ ok: true, tabs: cachedTabs });
-            break;
-          }
-          const snapshot = await getSnapshotById(message.snapshotId);
-          if (!snapshot) {
-            sendResponse({ ok: false, error: 'not-found' });
-            break;
-          }
-          const state = await getSnapshotData(snapshot);
-          setSnapshotDetailsCache(snapshot.id, state.suspendedTabs || {});
-          sendResponse({ ok: true, tabs: state.suspendedTabs || {} });
+          const tabs = await loadSnapshotTabs(message.snapshotId);
+          sendResponse(tabs ? { ok: true, tabs } : { ok: false, error: 'not-found' });
         } catch (err) {
           Logger.error('Failed to get snapshot details', err);
           sendResponse({ ok: false, error: err.message });
         }
         break;
       }
+      case 'GET_SNAPSHOT_DIFF': {
+        try {
+          sendResponse(await getSnapshotDiff(message.fromId, message.toId));
+        } catch (err) {
+          Logger.error('Failed to compare snapshots', err);
+          sendResponse({ ok: false, error: err.message });
+        }
+        break;
+      }
       case 'RESTORE_SNAPSHOT': {
         if (encryptionIsLocked() || !hasCryptoKey()) {
           sendResponse({ ok: false, locked: true, reason: encryptionReason() });
           break;
         }
         try {
-          await SnapshotService.restoreSnapshot(message.snapshotId);
-          sendResponse({ ok: true });
+          const restored = await SnapshotService.restoreSnapshot(message.snapshotId, {
+            urls: Array.isArray(message.urls) ? message.urls : null,
+          });
+          sendResponse({ ok: true, restored });
         } catch (err) {
           Logger.error('Restore failed', err);
           sendResponse({ ok: false, error: err.message });
         }
         break;
       }
+      case 'EXPORT_SESSIONS': {
+        try {
+          sendResponse(await exportSessions(message.passphrase));
+        } catch (err) {
+          Logger.error('Export sessions failed', err);
+          sendResponse({ ok: false, error: err.message });
+        }
+        break;
+      }
+      case 'IMPORT_SESSIONS': {
+        try {
+          sendResponse(await importSessions(message.file, message.passphrase));
+        } catch (err) {
+          Logger.error('Import sessions failed', err);
+          sendResponse({ ok: false, error: err.message });
+        }
+        break;
+      }
+      case 'SCAN_FOREIGN_SUSPENDED': {
+        const tabs = await scanForeignSuspendedTabs();
+        sendResponse({ ok: true, tabs });
+        break;
+      }
+      case 'MIGRATE_FOREIGN_SUSPENDED': {
+        const result = await migrateForeignSuspendedTabs(message.tabIds);
+        sendResponse(result);
+        break;
+      }
+      case 'GET_PAUSES': {
+        sendResponse(await getPauses(message.tabId));
+        break;
+      }
+      case 'PAUSE_SUSPENSION': {
+        const result = await pauseSuspension(message);
+        sendResponse(result);
+        break;
+      }
+      case 'GET_WINDOW_POLICY': {
+        sendResponse(await getWindowPolicyFor(message.windowId));
+        break;
+      }
+      case 'SET_WINDOW_POLICY': {
+        try {
+          sendResponse(await setWindowPolicyFor(message.windowId, message.policy));
+        } catch (err) {
+          Logger.error('Failed to set window policy', err);
+          sendResponse({ ok: false, error: err?.message || String(err) });
+        }
+        break;
+      }
+      case 'CANCEL_PAUSE': {
+        const result = await cancelPause(message);
+        sendResponse(result);
+        break;
+      }
+      case 'GET_WINDOW_GROUPS': {
+        const groups = await getWindowGroups(message.windowId);
+        sendResponse({ ok: true, groups });
+        break;
+      }
+      case 'SUSPEND_GROUP': {
+        const result = await suspendGroup(message.groupId);
+        sendResponse(result);
+        break;
+      }
+      case 'RESUME_GROUP': {
+        const result = await resumeGroup(message.groupId);
+        sendResponse(result);
+        break;
+      }
+      case 'SET_GROUP_NEVER_SUSPEND': {
+        const result = await setGroupNeverSuspend(message.groupId, !!message.enabled);
+        sendResponse(result);
+        break;
+      }
+      case 'GET_SAVED_SESSIONS': {
+        sendResponse(await listSavedSessions());
+        break;
+      }
+      case 'SAVE_SESSION': {
+        sendResponse(await saveNamedSession(message.name));
+        break;
+      }
+      case 'RENAME_SESSION': {
+        sendResponse(await renameSavedSession(message.sessionId, message.name));
+        break;
+      }
+      case 'DELETE_SESSION': {
+        sendResponse(await deleteSavedSession(message.sessionId));
+        break;
+      }
+      case 'OPEN_SAVED_SESSION': {
+        try {
+          sendResponse(await openSavedSession(message.sessionId, { unsuspend: !!message.unsuspend }));
+        } catch (err) {
+          Logger.error('Open saved session failed', err);
+          sendResponse({ ok: false, error: err.message });
+        }
+        break;
+      }
+      case 'GET_CLOSED_TABS': {
+        try {
+          sendResponse(await listClosedTabs());
+        } catch (err) {
+          Logger.error('Failed to read closed tabs', err);
+          sendResponse({ ok: false, error: err.message });
+        }
+        break;
+      }
+      case 'RESTORE_CLOSED_TABS': {
+        try {
+          sendResponse(await restoreClosedTabs(message.ids, {
+            unsuspend: !!message.unsuspend,
+            windowId: sender?.tab?.windowId ?? null,
+          }));
+        } catch (err) {
+          Logger.error('Failed to restore closed tabs', err);
+          sendResponse({ ok: false, error: err.message });
+        }
+        break;
+      }
+      case 'CLEAR_CLOSED_TABS': {
+        sendResponse(await clearClosedTabs());
+        break;
+      }
+      case 'GET_STATS': {
+        try {
+          sendResponse(await getStatsReport(Number(message.days)));
+        } catch (err) {
+          Logger.error('Failed to load statistics', err);
+          sendResponse({ ok: false, error: err?.message || String(err) });
+        }
+        break;
+      }
+      case 'RESET_STATS': {
+        sendResponse(await resetStats());
+        break;
+      }
       case 'OPEN_SNAPSHOT': {
         try {
-          const result = await openSnapshotTabs(message.snapshotId, { unsuspend: !!message.unsuspend });
+          const result = await openSnapshotTabs(message.snapshotId, {
+            unsuspend: !!message.unsuspend,
+            urls: Array.isArray(message.urls) ? message.urls : null,
+            target: normalizeOpenTarget(message.target),
+            windowId: sender?.tab?.windowId ?? null,
+          });
           sendResponse(result);
         } catch (err) {
           Logger.error('Open snapshot failed', err);
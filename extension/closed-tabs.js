@@ -0,0 +1,77 @@
+// "Recently closed" journal for parked tabs. Entries are added when a suspended
+// tab is closed or its tab disappears, and kept newest first within the limits
+// below. The whole list is stored as one encrypted payload.
+import { clampSettings } from './setting-limits.js';
+
+export const CLOSED_TABS_KEY = 'closedTabs';
+
+export const CLOSED_TAB_LIMITS = {
+  closedTabsMax: { min: 0, max: 500 },
+  closedTabsRetentionDays: { min: 1, max: 90 },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function normalizeClosedTabRetention(settings, defaults) {
+  return clampSettings(settings, CLOSED_TAB_LIMITS, defaults);
+}
+
+export function normalizeClosedTabs(raw) {
+  if (!Array.isArray(raw)) {
+    return [];
+  }
+  return raw.filter(record => (
+    record
+    && typeof record.id === 'string'
+    && typeof record.url === 'string'
+    && Number.isFinite(record.closedAt)
+  ));
+}
+
+// `cause` is 'closed' when the user closed the tab and 'missing' when the tab
+// was gone by the time the state was checked.
+export function createClosedTabRecord(entry, { cause = 'closed', now = Date.now(), id = crypto.randomUUID() } = {}) {
+  const record = {
+    id,
+    url: entry.url,
+    title: entry.title || '',
+    favIconUrl: entry.favIconUrl || '',
+    windowId: entry.windowId,
+    suspendedAt: entry.suspendedAt || 0,
+    closedAt: now,
+    cause,
+  };
+  if (Number.isInteger(entry.groupId) && entry.groupId >= 0) {
+    record.groupId = entry.groupId;
+    record.groupTitle = entry.groupTitle || '';
+    record.groupColor = entry.groupColor || '';
+  }
+  if (entry.pageState) {
+    record.pageState = entry.pageState;
+  }
+  return record;
+}
+
+// Drops records past the age limit, then keeps the newest `closedTabsMax`.
+export function pruneClosedTabs(records, retention, now = Date.now()) {
+  const cutoff = now - retention.closedTabsRetentionDays * DAY_MS;
+  return [...records]
+    .filter(record => record.closedAt >= cutoff)
+    .sort((a, b) => b.closedAt - a.closedAt)
+    .slice(0, retention.closedTabsMax);
+}
+
+// Adds `incoming` to the journal. A page closed again replaces its older record.
+// Only identical URLs count as the same page: single-page apps keep distinct
+// views in the fragment or query, and each is a tab worth recovering.
+export function addClosedTabs(records, incoming, retention, now = Date.now()) {
+  const seenUrls = new Set();
+  const merged = [...incoming, ...records].filter(record => {
+    if (seenUrls.has(record.url)) {
+      return false;
+    }
+    seenUrls.add(record.url);
+    return true;
+  });
+  return pruneClosedTabs(merged, retention, now);
+}
@@ -0,0 +1,116 @@
+// View model for the tab manager page: merges live window/tab data with the
+// suspended-tab state and derives duplicates, memory estimates and a timeline.
+import { getEntryDomain } from './tab-list.js';
+import { duplicateKey } from './duplicates.js';
+
+// Chrome exposes no per-tab memory figure outside the dev channel, so estimates
+// use a typical renderer footprint. Good enough to rank domains, not to budget.
+export const ESTIMATED_TAB_MEMORY_MB = 75;
+
+function originalUrlFromPage(url, suspendedPagePrefix) {
+  if (!suspendedPagePrefix || !url?.startsWith(suspendedPagePrefix)) {
+    return '';
+  }
+  try {
+    return new URL(url).searchParams.get('url') || '';
+  } catch {
+    return '';
+  }
+}
+
+// `windows` comes from chrome.windows.getAll({ populate: true }). Parked pages are
+// recognised by URL even when the state is locked and their entry is unavailable.
+export function buildWindowRows(windows, suspendedTabs = {}, suspendedPagePrefix = '') {
+  return windows.map(win => ({
+    id: win.id,
+    focused: !!win.focused,
+    incognito: !!win.incognito,
+    tabs: (win.tabs || []).map(tab => {
+      const entry = suspendedTabs[tab.id];
+      const parkedUrl = originalUrlFromPage(tab.url, suspendedPagePrefix);
+      let status = 'live';
+      if (entry || parkedUrl) {
+        status = 'suspended';
+      } else if (tab.discarded) {
+        status = 'discarded';
+      }
+      const url = entry?.url || parkedUrl || tab.url || '';
+      return {
+        id: tab.id,
+        windowId: win.id,
+        index: tab.index,
+        title: entry?.title || tab.title || url,
+        url,
+        domain: getEntryDomain(url),
+        status,
+        active: !!tab.active,
+        pinned: !!tab.pinned,
+        suspendedAt: entry?.suspendedAt || 0,
+      };
+    }),
+  }));
+}
+
+export function flattenRows(windowRows) {
+  return windowRows.flatMap(win => win.tabs);
+}
+
+// Tabs showing the same page (see duplicateKey), live tabs and then the most
+// recently suspended first in each group.
+export function findDuplicateGroups(rows) {
+  const byUrl = new Map();
+  for (const row of rows) {
+    if (!row.url) continue;
+    const key = duplicateKey(row.url);
+    if (!byUrl.has(key)) {
+      byUrl.set(key, []);
+    }
+    byUrl.get(key).push(row);
+  }
+  return [...byUrl.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([url, members]) => ({
+      url,
+      tabs: [...members].sort((a, b) => (b.status === 'live') - (a.status === 'live') || b.suspendedAt - a.suspendedAt),
+    }))
+    .sort((a, b) => b.tabs.length - a.tabs.length);
+}
+
+// Live tabs count towards estimated use; discarded and parked tabs towards savings.
+export function estimateMemoryByDomain(rows) {
+  const byDomain = new Map();
+  for (const row of rows) {
+    const domain = row.domain || 'other';
+    const item = byDomain.get(domain) || { domain, live: 0, inactive: 0 };
+    if (row.status === 'live') {
+      item.live += 1;
+    } else {
+      item.inactive += 1;
+    }
+    byDomain.set(domain, item);
+  }
+  return [...byDomain.values()]
+    .map(item => ({
+      ...item,
+      estimatedMb: item.live * ESTIMATED_TAB_MEMORY_MB,
+      savedMb: item.inactive * ESTIMATED_TAB_MEMORY_MB,
+    }))
+    .sort((a, b) => b.estimatedMb - a.estimatedMb || b.savedMb - a.savedMb || a.domain.localeCompare(b.domain));
+}
+
+// Counts timestamps into `bucketCount` buckets of `bucketMs` ending at `now`,
+// oldest first. Anything earlier is totalled in `older`.
+export function buildTimeline(timestamps, { now = Date.now(), bucketMs = 60 * 60 * 1000, bucketCount = 24 } = {}) {
+  const start = now - bucketMs * bucketCount;
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({ start: start + i * bucketMs, count: 0 }));
+  let older = 0;
+  for (const ts of timestamps) {
+    if (!Number.isFinite(ts) || ts <= 0 || ts > now) continue;
+    if (ts < start) {
+      older += 1;
+      continue;
+    }
+    buckets[Math.min(bucketCount - 1, Math.floor((ts - start) / bucketMs))].count += 1;
+  }
+  return { buckets, older };
+}
@@ -0,0 +1,421 @@
+import { filterEntries } from './tab-list.js';
+import {
+  ESTIMATED_TAB_MEMORY_MB,
+  buildWindowRows,
+  flattenRows,
+  findDuplicateGroups,
+  estimateMemoryByDomain,
+  buildTimeline,
+} from './dashboard-model.js';
+
+const summaryEl = document.getElementById('summary');
+const searchEl = document.getElementById('search');
+const selectAllEl = document.getElementById('selectAll');
+const selectionCountEl = document.getElementById('selectionCount');
+const suspendSelectedBtn = document.getElementById('suspendSelected');
+const resumeSelectedBtn = document.getElementById('resumeSelected');
+const closeSelectedBtn = document.getElementById('closeSelected');
+const statusEl = document.getElementById('status');
+const windowsEl = document.getElementById('windows');
+const timelineEl = document.getElementById('timeline');
+const timelineNoteEl = document.getElementById('timelineNote');
+const duplicatesEl = document.getElementById('duplicates');
+const memoryEl = document.getElementById('memory');
+const memoryNoteEl = document.getElementById('memoryNote');
+
+const STATUS_LABELS = { live: 'Live', discarded: 'Discarded', suspended: 'Suspended' };
+const MEMORY_ROW_LIMIT = 15;
+
+let windowRows = [];
+let visibleTabIds = [];
+let stateTimestamps = [];
+let refreshTimer = null;
+let dragging = false;
+const selectedTabIds = new Set();
+
+async function sendMessage(type, payload = {}) {
+  try {
+    return await chrome.runtime.sendMessage({ type, ...payload });
+  } catch (err) {
+    console.warn('Message failed:', type, err);
+    return null;
+  }
+}
+
+function showStatus(message, isError = false) {
+  statusEl.textContent = message;
+  statusEl.classList.toggle('status-msg-error', isError);
+}
+
+function scheduleRefresh() {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+  }
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    // Re-rendering mid-drag would drop the element being dragged.
+    if (dragging) {
+      scheduleRefresh();
+      return;
+    }
+    refresh();
+  }, 300);
+}
+
+async function refresh() {
+  const suspendedPagePrefix = chrome.runtime.getURL('suspended.html');
+  const [windows, response] = await Promise.all([
+    chrome.windows.getAll({ populate: true, windowTypes: ['normal'] }),
+    sendMessage('GET_STATE'),
+  ]);
+  let suspendedTabs = {};
+  if (response?.ok) {
+    suspendedTabs = response.state?.suspendedTabs || {};
+  } else if (response?.locked) {
+    showStatus(response.reason === 'corrupt-state'
+      ? 'State is corrupted. Suspended tab details are unavailable.'
+      : 'State locked. Unlock from options to see suspended tab details.', true);
+  } else {
+    showStatus('Unable to reach background service.', true);
+  }
+  stateTimestamps = Object.values(suspendedTabs).map(entry => entry.suspendedAt);
+  windowRows = buildWindowRows(windows, suspendedTabs, suspendedPagePrefix);
+
+  const liveIds = new Set(flattenRows(windowRows).map(row => row.id));
+  for (const tabId of selectedTabIds) {
+    if (!liveIds.has(tabId)) {
+      selectedTabIds.delete(tabId);
+    }
+  }
+  render();
+}
+
+function render() {
+  const rows = flattenRows(windowRows);
+  const matching = new Set(
+    filterEntries(rows.map(row => [row.id, row]), searchEl.value).map(([tabId]) => tabId)
+  );
+  visibleTabIds = rows.filter(row => matching.has(row.id)).map(row => row.id);
+  const duplicates = findDuplicateGroups(rows);
+  const duplicateIds = new Set(duplicates.flatMap(group => group.tabs.map(row => row.id)));
+
+  const suspendedCount = rows.filter(row => row.status !== 'live').length;
+  summaryEl.textContent = `${windowRows.length} windows · ${rows.length} tabs · ${suspendedCount} suspended or discarded`;
+
+  renderWindows(matching, duplicateIds);
+  renderDuplicates(duplicates);
+  renderMemory(rows);
+  renderTimeline();
+  updateSelectionControls();
+}
+
+function renderWindows(matching, duplicateIds) {
+  const fragment = document.createDocumentFragment();
+  windowRows.forEach((win, position) => {
+    const card = document.createElement('section');
+    card.className = 'window-card';
+    card.dataset.windowId = String(win.id);
+
+    const heading = document.createElement('h2');
+    const parked = win.tabs.filter(row => row.status !== 'live').length;
+    heading.textContent = `Window ${position + 1}${win.focused ? ' (current)' : ''}`;
+    const count = document.createElement('span');
+    count.className = 'window-count';
+    count.textContent = `${win.tabs.length} tabs, ${parked} suspended`;
+    heading.appendChild(count);
+
+    const list = document.createElement('ul');
+    list.className = 'tab-rows';
+    for (const row of win.tabs) {
+      if (matching.has(row.id)) {
+        list.appendChild(renderTabRow(row, duplicateIds.has(row.id)));
+      }
+    }
+    if (!list.children.length) {
+      const empty = document.createElement('li');
+      empty.className = 'tab-rows-empty';
+      empty.textContent = searchEl.value ? 'No matching tabs.' : 'Drop tabs here.';
+      list.appendChild(empty);
+    }
+
+    card.appendChild(heading);
+    card.appendChild(list);
+    fragment.appendChild(card);
+  });
+  windowsEl.replaceChildren(fragment);
+}
+
+function renderTabRow(row, isDuplicate) {
+  const li = document.createElement('li');
+  li.className = `tab-row status-${row.status}`;
+  li.draggable = true;
+  li.dataset.tabId = String(row.id);
+  li.dataset.index = String(row.index);
+
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.dataset.action = 'select';
+  box.checked = selectedTabIds.has(row.id);
+  box.setAttribute('aria-label', `Select ${row.title}`);
+
+  const badge = document.createElement('span');
+  badge.className = 'status-badge';
+  badge.textContent = STATUS_LABELS[row.status];
+
+  const info = document.createElement('div');
+  info.className = 'tab-info';
+  const title = document.createElement('button');
+  title.type = 'button';
+  title.className = 'tab-title';
+  title.dataset.action = 'focus';
+  title.textContent = row.title || row.url;
+  title.title = row.url;
+  const meta = document.createElement('span');
+  meta.className = 'tab-meta';
+  const parts = [row.domain || row.url];
+  if (row.pinned) parts.push('pinned');
+  if (row.suspendedAt) parts.push(`suspended ${new Date(row.suspendedAt).toLocaleString()}`);
+  meta.textContent = parts.join(' · ');
+  info.appendChild(title);
+  info.appendChild(meta);
+
+  li.appendChild(box);
+  li.appendChild(badge);
+  li.appendChild(info);
+  if (isDuplicate) {
+    const dup = document.createElement('span');
+    dup.className = 'dup-badge';
+    dup.textContent = 'Duplicate';
+    li.appendChild(dup);
+  }
+  return li;
+}
+
+function renderDuplicates(duplicates) {
+  if (!duplicates.length) {
+    const li = document.createElement('li');
+    li.className = 'hint';
+    li.textContent = 'No duplicate tabs.';
+    duplicatesEl.replaceChildren(li);
+    return;
+  }
+  const fragment = document.createDocumentFragment();
+  for (const group of duplicates) {
+    const li = document.createElement('li');
+    li.className = 'dup-group';
+    li.dataset.tabIds = group.tabs.map(row => row.id).join(',');
+
+    const label = document.createElement('span');
+    label.className = 'dup-label';
+    label.textContent = `${group.tabs.length}× ${group.tabs[0].title || group.url}`;
+    label.title = group.url;
+
+    const selectBtn = document.createElement('button');
+    selectBtn.className = 'btn btn-sm';
+    selectBtn.dataset.action = 'select-extras';
+    selectBtn.textContent = 'Select extras';
+    selectBtn.title = 'Select every copy except the first listed';
+
+    li.appendChild(label);
+    li.appendChild(selectBtn);
+    fragment.appendChild(li);
+  }
+  duplicatesEl.replaceChildren(fragment);
+}
+
+function renderMemory(rows) {
+  const domains = estimateMemoryByDomain(rows).slice(0, MEMORY_ROW_LIMIT);
+  const fragment = document.createDocumentFragment();
+  for (const item of domains) {
+    const tr = document.createElement('tr');
+    for (const value of [item.domain, String(item.live), `≈${item.estimatedMb} MB`, `≈${item.savedMb} MB`]) {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    fragment.appendChild(tr);
+  }
+  memoryEl.replaceChildren(fragment);
+  memoryNoteEl.textContent = `Estimated at ${ESTIMATED_TAB_MEMORY_MB} MB per tab; actual use varies widely by site.`;
+}
+
+function renderTimeline() {
+  const { buckets, older } = buildTimeline(stateTimestamps);
+  const max = Math.max(1, ...buckets.map(bucket => bucket.count));
+  const fragment = document.createDocumentFragment();
+  for (const bucket of buckets) {
+    const bar = document.createElement('div');
+    bar.className = 'timeline-bar';
+    bar.style.height = `${Math.round((bucket.count / max) * 100)}%`;
+    const hour = new Date(bucket.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    bar.title = `${hour}: ${bucket.count} suspended`;
+    fragment.appendChild(bar);
+  }
+  timelineEl.replaceChildren(fragment);
+  const recent = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+  timelineNoteEl.textContent = `${recent} still suspended from the last 24 hours, ${older} from earlier.`;
+}
+
+function getSelectedVisibleTabIds() {
+  return visibleTabIds.filter(tabId => selectedTabIds.has(tabId));
+}
+
+function updateSelectionControls() {
+  const count = getSelectedVisibleTabIds().length;
+  selectAllEl.checked = count > 0 && count === visibleTabIds.length;
+  selectAllEl.indeterminate = count > 0 && count < visibleTabIds.length;
+  selectionCountEl.textContent = count ? `${count} selected` : 'Select all';
+  suspendSelectedBtn.disabled = count === 0;
+  resumeSelectedBtn.disabled = count === 0;
+  closeSelectedBtn.disabled = count === 0;
+}
+
+async function runBulkAction(type, describe) {
+  const tabIds = getSelectedVisibleTabIds();
+  if (!tabIds.length) return;
+  const response = await sendMessage(type, { tabIds });
+  if (!response?.ok) {
+    showStatus(response?.locked ? 'State is locked. Unlock from options first.' : 'Action failed.', true);
+    return;
+  }
+  selectedTabIds.clear();
+  showStatus(describe(response, tabIds.length));
+  scheduleRefresh();
+}
+
+// --- Event Listeners ---
+
+searchEl.addEventListener('input', () => render());
+
+selectAllEl.addEventListener('change', () => {
+  for (const tabId of visibleTabIds) {
+    if (selectAllEl.checked) {
+      selectedTabIds.add(tabId);
+    } else {
+      selectedTabIds.delete(tabId);
+    }
+  }
+  for (const box of windowsEl.querySelectorAll('input[data-action="select"]')) {
+    box.checked = selectAllEl.checked;
+  }
+  updateSelectionControls();
+});
+
+suspendSelectedBtn.addEventListener('click', () => runBulkAction(
+  'SUSPEND_TABS',
+  (response, total) => `Suspended ${response.suspended} of ${total} tabs.`
+));
+resumeSelectedBtn.addEventListener('click', () => runBulkAction(
+  'RESUME_TABS',
+  (response, total) => `Unsuspended ${response.resumed} of ${total} tabs.`
+));
+closeSelectedBtn.addEventListener('click', () => runBulkAction(
+  'CLOSE_TABS',
+  response => `Closed ${response.closed} tabs.`
+));
+
+windowsEl.addEventListener('change', (event) => {
+  const box = event.target.closest('input[data-action="select"]');
+  const row = event.target.closest('li.tab-row');
+  if (!box || !row) return;
+  const tabId = Number(row.dataset.tabId);
+  if (box.checked) {
+    selectedTabIds.add(tabId);
+  } else {
+    selectedTabIds.delete(tabId);
+  }
+  updateSelectionControls();
+});
+
+windowsEl.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action="focus"]');
+  const row = event.target.closest('li.tab-row');
+  const card = event.target.closest('.window-card');
+  if (!button || !row || !card) return;
+  try {
+    await chrome.tabs.update(Number(row.dataset.tabId), { active: true });
+    await chrome.windows.update(Number(card.dataset.windowId), { focused: true });
+  } catch (err) {
+    showStatus('Tab no longer exists.', true);
+    scheduleRefresh();
+  }
+});
+
+duplicatesEl.addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-action="select-extras"]');
+  const group = event.target.closest('.dup-group');
+  if (!button || !group) return;
+  const [, ...extras] = group.dataset.tabIds.split(',').map(Number);
+  for (const tabId of extras) {
+    selectedTabIds.add(tabId);
+  }
+  render();
+});
+
+// Dragging a selected tab moves the whole selection; otherwise just that tab.
+windowsEl.addEventListener('dragstart', (event) => {
+  const row = event.target.closest('li.tab-row');
+  if (!row) return;
+  const tabId = Number(row.dataset.tabId);
+  const tabIds = selectedTabIds.has(tabId) ? getSelectedVisibleTabIds() : [tabId];
+  event.dataTransfer.setData('text/plain', tabIds.join(','));
+  event.dataTransfer.effectAllowed = 'move';
+  dragging = true;
+});
+
+windowsEl.addEventListener('dragend', () => {
+  dragging = false;
+  for (const el of windowsEl.querySelectorAll('.drop-target')) {
+    el.classList.remove('drop-target');
+  }
+});
+
+windowsEl.addEventListener('dragover', (event) => {
+  const card = event.target.closest('.window-card');
+  if (!card) return;
+  event.preventDefault();
+  event.dataTransfer.dropEffect = 'move';
+  for (const el of windowsEl.querySelectorAll('.drop-target')) {
+    if (el !== card) el.classList.remove('drop-target');
+  }
+  card.classList.add('drop-target');
+});
+
+windowsEl.addEventListener('drop', async (event) => {
+  const card = event.target.closest('.window-card');
+  if (!card) return;
+  event.preventDefault();
+  card.classList.remove('drop-target');
+  dragging = false;
+  const tabIds = event.dataTransfer.getData('text/plain').split(',').map(Number).filter(Number.isInteger);
+  const targetRow = event.target.closest('li.tab-row');
+  // Dropping on a tab inserts before it; dropping elsewhere appends to the window.
+  const index = targetRow ? Number(targetRow.dataset.index) : -1;
+  const response = await sendMessage('MOVE_TABS', { tabIds, windowId: Number(card.dataset.windowId), index });
+  if (!response?.ok) {
+    showStatus('Could not move tabs. Pinned tabs must stay before unpinned ones.', true);
+  } else {
+    showStatus(`Moved ${response.moved} tabs.`);
+  }
+  scheduleRefresh();
+});
+
+for (const event of [
+  chrome.tabs.onCreated,
+  chrome.tabs.onRemoved,
+  chrome.tabs.onUpdated,
+  chrome.tabs.onMoved,
+  chrome.tabs.onAttached,
+  chrome.tabs.onDetached,
+  chrome.windows.onCreated,
+  chrome.windows.onRemoved,
+]) {
+  event.addListener(() => scheduleRefresh());
+}
+
+// --- Init ---
+
+refresh().catch(err => {
+  console.warn('Tab manager initialization failed', err);
+  showStatus('Failed to load tabs. Try reloading the page.', true);
+});
@@ -0,0 +1,61 @@
+// Duplicate detection for suspended tabs. URLs are compared after dropping the
+// parts that do not change which page is shown: tracking parameters and
+// trailing slashes. Fragments and the remaining query stay, since single-page
+// apps route on them (`#/inbox` and `#/sent` are different pages).
+
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id',
+  'vero_id', 'wickedid', 'ref_src',
+]);
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.has(lower);
+}
+
+// Returns the comparison key for `url`, or the input unchanged when it cannot be parsed.
+export function duplicateKey(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return typeof url === 'string' ? url : '';
+  }
+  const params = [...parsed.searchParams.entries()];
+  const kept = params.filter(([name]) => !isTrackingParam(name));
+  if (kept.length !== params.length) {
+    parsed.search = new URLSearchParams(kept).toString();
+  }
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  }
+  return parsed.toString();
+}
+
+// Groups suspended tabs that show the same page. In each group the most recently
+// suspended tab is kept and the rest are listed in `extras`.
+export function findSuspendedDuplicates(suspendedTabs) {
+  const byKey = new Map();
+  for (const [tabIdStr, entry] of Object.entries(suspendedTabs || {})) {
+    const tabId = Number(tabIdStr);
+    if (!entry?.url || !Number.isInteger(tabId)) continue;
+    const key = duplicateKey(entry.url);
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+    }
+    byKey.get(key).push({ tabId, entry });
+  }
+  const groups = [];
+  for (const [key, members] of byKey) {
+    if (members.length < 2) continue;
+    members.sort((a, b) => (b.entry.suspendedAt || 0) - (a.entry.suspendedAt || 0) || b.tabId - a.tabId);
+    groups.push({
+      key,
+      title: members[0].entry.title || members[0].entry.url,
+      keep: members[0].tabId,
+      extras: members.slice(1).map(member => member.tabId),
+    });
+  }
+  return groups;
+}
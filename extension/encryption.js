@@ -144,6 +144,36 @@ export async function unwrapDataKey(passkey, record) {
   return cryptoKey;
 }
 
+// Passphrase-only encryption for portable exports. Independent of the data key so a
+// file can be decrypted on another profile that has never seen this key.
+export async function encryptWithPassphrase(data, passphrase) {
+  const settings = await ensureSettings();
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const iterations = Math.max(settings.encryption.iterations || MIN_ITERATIONS, MIN_ITERATIONS);
+  const key = await deriveWrappingKey(passphrase, salt, iterations);
+  const encoded = new TextEncoder().encode(JSON.stringify(data));
+  const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoded);
+  return {
+    salt: bufferToBase64(salt),
+    iv: bufferToBase64(iv),
+    iterations,
+    ct: bufferToBase64(encrypted),
+  };
+}
+
+export async function decryptWithPassphrase(envelope, passphrase) {
+  const salt = base64ToUint8(envelope.salt);
+  const iv = base64ToUint8(envelope.iv);
+  const encrypted = base64ToUint8(envelope.ct);
+  if (salt.length !== 16 || iv.length !== 12) {
+    throw new Error('Invalid passphrase envelope');
+  }
+  const key = await deriveWrappingKey(passphrase, salt, envelope.iterations);
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, encrypted);
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
 export async function saveKeyToSession(key) {
   try {
     const jwk = await crypto.subtle.exportKey('jwk', key);
@@ -0,0 +1,72 @@
+// Suspender extensions descended from The Great Suspender, keyed by extension ID.
+// They share the `suspended.html#ttl=<title>&pos=<scroll>&uri=<original url>` layout,
+// so forks with other IDs (or sideloaded copies) are recognized too.
+export const KNOWN_FOREIGN_SUSPENDERS = {
+  klbibkeccnjlkjkiokjodocebajanakg: 'The Great Suspender',
+  noogafoofpebimajpfpamcfhoaifemoa: 'The Marvellous Suspender',
+};
+
+const FOREIGN_SUSPENDED_PAGE = /^chrome-extension:\/\/([a-p]{32})\/suspended\.html#(.*)$/;
+
+function decodeComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// `uri` is always the last hash parameter and is not escaped by every fork,
+// so everything after `uri=` belongs to the original URL.
+function parseHashParams(hash) {
+  const params = {};
+  const uriIndex = hash.search(/(^|&)uri=/);
+  let head = hash;
+  if (uriIndex >= 0) {
+    const valueStart = hash.indexOf('uri=', uriIndex) + 4;
+    params.uri = hash.slice(valueStart);
+    head = hash.slice(0, uriIndex);
+  }
+  for (const part of head.split('&')) {
+    const eq = part.indexOf('=');
+    if (eq <= 0) continue;
+    params[part.slice(0, eq)] = part.slice(eq + 1);
+  }
+  return params;
+}
+
+function isMigratableUrl(url) {
+  try {
+    return ['http:', 'https:', 'file:', 'ftp:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+export function parseForeignSuspendedUrl(url, ownExtensionId = '') {
+  if (typeof url !== 'string') {
+    return null;
+  }
+  const match = url.match(FOREIGN_SUSPENDED_PAGE);
+  if (!match || match[1] === ownExtensionId) {
+    return null;
+  }
+  const params = parseHashParams(match[2]);
+  if (!params.uri) {
+    return null;
+  }
+  let originalUrl = params.uri;
+  if (!isMigratableUrl(originalUrl)) {
+    // Some forks encode the URL; fall back to the decoded form.
+    originalUrl = decodeComponent(originalUrl);
+    if (!isMigratableUrl(originalUrl)) {
+      return null;
+    }
+  }
+  return {
+    extensionId: match[1],
+    source: KNOWN_FOREIGN_SUSPENDERS[match[1]] || 'Other suspender',
+    url: originalUrl,
+    title: params.ttl ? decodeComponent(params.ttl) : '',
+  };
+}
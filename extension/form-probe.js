@@ -0,0 +1,53 @@
+// Runs inside the page through chrome.scripting.executeScript, so it must not
+// reference anything outside its own body. Returns true when the frame holds
+// form input the user has changed but not submitted.
+export function detectUnsavedFormInput() {
+  const VALUE_TYPES = new Set([
+    '', 'text', 'search', 'email', 'url', 'tel', 'number', 'password',
+    'date', 'datetime-local', 'month', 'week', 'time',
+  ]);
+
+  // contenteditable regions have no default value to compare against, so the first
+  // probe starts watching for edits and later probes report what it saw.
+  if (!window.__localSuspenderFormProbe) {
+    const probeState = { edited: false };
+    window.__localSuspenderFormProbe = probeState;
+    document.addEventListener('input', (event) => {
+      if (event.target?.isContentEditable) {
+        probeState.edited = true;
+      }
+    }, true);
+    document.addEventListener('submit', () => {
+      probeState.edited = false;
+    }, true);
+  }
+  if (window.__localSuspenderFormProbe.edited) {
+    return true;
+  }
+
+  for (const el of document.querySelectorAll('input, textarea, select')) {
+    if (el.disabled || el.readOnly) continue;
+    if (el instanceof HTMLTextAreaElement) {
+      if (el.value !== el.defaultValue) return true;
+      continue;
+    }
+    if (el instanceof HTMLSelectElement) {
+      const defaults = Array.from(el.options, option => option.defaultSelected);
+      if (!el.multiple && el.options.length && !defaults.includes(true)) {
+        defaults[0] = true; // Single selects fall back to their first option
+      }
+      if (Array.from(el.options).some((option, i) => option.selected !== defaults[i])) return true;
+      continue;
+    }
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (type === 'checkbox' || type === 'radio') {
+      if (el.checked !== el.defaultChecked) return true;
+    } else if (VALUE_TYPES.has(type) && el.value !== el.defaultValue) {
+      return true;
+    }
+  }
+
+  // Catches a region being edited before the first probe attached its listener.
+  const active = document.activeElement;
+  return !!(active?.isContentEditable && active.textContent.trim());
+}
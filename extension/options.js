@@ -4,8 +4,23 @@ const autoMinutesEl = document.getElementById('autoMinutes');
 const excludeActiveEl = document.getElementById('excludeActive');
 const excludePinnedEl = document.getElementById('excludePinned');
 const excludeAudibleEl = document.getElementById('excludeAudible');
-const whitelistEl = document.getElementById('whitelist');
+const maxLiveTabsEl = document.getElementById('maxLiveTabs');
+const protectUnsavedFormsEl = document.getElementById('protectUnsavedForms');
+const restoreScrollPositionEl = document.getElementById('restoreScrollPosition');
+const restoreFormFieldsEl = document.getElementById('restoreFormFields');
+const screenshotPreviewsEl = document.getElementById('screenshotPreviews');
+const autoCloseDuplicatesEl = document.getElementById('autoCloseDuplicates');
+const memoryPressureEnabledEl = document.getElementById('memoryPressureEnabled');
+const memoryPressureThresholdEl = document.getElementById('memoryPressureThreshold');
+const ruleListEl = document.getElementById('ruleList');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const ruleTestUrlEl = document.getElementById('ruleTestUrl');
+const ruleTestBtn = document.getElementById('ruleTestBtn');
+const ruleTestResultEl = document.getElementById('ruleTestResult');
+const scheduleListEl = document.getElementById('scheduleList');
+const addScheduleBtn = document.getElementById('addScheduleBtn');
 const unsuspendMethodEl = document.getElementById('unsuspendMethod');
+const badgeScopeEl = document.getElementById('badgeScope');
 const passphraseEl = document.getElementById('passphrase');
 const cloudBackupEl = document.getElementById('cloudBackup');
 const embedOriginalUrlEl = document.getElementById('embedOriginalUrl');
@@ -16,10 +31,55 @@ const unlockedPanel = document.getElementById('unlockedPanel');
 const resetEncryptionBtn = document.getElementById('resetEncryptionBtn');
 const encryptionHintEl = document.getElementById('encryptionHint');
 const snapshotListEl = document.getElementById('snapshotList');
+const snapshotOpenTargetEl = document.getElementById('snapshotOpenTarget');
+const snapshotIntervalEl = document.getElementById('snapshotIntervalMinutes');
+const snapshotKeepHourlyEl = document.getElementById('snapshotKeepHourly');
+const snapshotKeepDailyEl = document.getElementById('snapshotKeepDaily');
+const snapshotKeepWeeklyEl = document.getElementById('snapshotKeepWeekly');
+const snapshotOnIdleOrCloseEl = document.getElementById('snapshotOnIdleOrClose');
+const diffFromEl = document.getElementById('diffFrom');
+const diffToEl = document.getElementById('diffTo');
+const compareSnapshotsBtn = document.getElementById('compareSnapshotsBtn');
+const snapshotDiffEl = document.getElementById('snapshotDiff');
+const sessionNameEl = document.getElementById('sessionName');
+const saveSessionBtn = document.getElementById('saveSessionBtn');
+const savedSessionListEl = document.getElementById('savedSessionList');
+const closedTabListEl = document.getElementById('closedTabList');
+const selectAllClosedEl = document.getElementById('selectAllClosed');
+const closedSelectionCountEl = document.getElementById('closedSelectionCount');
+const reopenClosedBtn = document.getElementById('reopenClosedBtn');
+const reopenClosedUnsuspendBtn = document.getElementById('reopenClosedUnsuspendBtn');
+const clearClosedBtn = document.getElementById('clearClosedBtn');
+const closedTabsMaxEl = document.getElementById('closedTabsMax');
+const closedTabsRetentionDaysEl = document.getElementById('closedTabsRetentionDays');
+const statsRangeEl = document.getElementById('statsRange');
+const exportStatsBtn = document.getElementById('exportStatsBtn');
+const resetStatsBtn = document.getElementById('resetStatsBtn');
+const statsSummaryEl = document.getElementById('statsSummary');
+const statsChartEl = document.getElementById('statsChart');
+const statsLegendEl = document.getElementById('statsLegend');
+const statsDomainsEl = document.getElementById('statsDomains');
+const statsNoteEl = document.getElementById('statsNote');
 const retryImportBtn = document.getElementById('retryImportBtn');
 const cloudWarningEl = document.getElementById('cloudWarning');
+const transferPassphraseEl = document.getElementById('transferPassphrase');
+const exportSessionsBtn = document.getElementById('exportSessionsBtn');
+const importSessionsBtn = document.getElementById('importSessionsBtn');
+const importSessionsFileEl = document.getElementById('importSessionsFile');
+const scanForeignBtn = document.getElementById('scanForeignBtn');
+const migrateForeignBtn = document.getElementById('migrateForeignBtn');
+const migrationSummaryEl = document.getElementById('migrationSummary');
+const migrationListEl = document.getElementById('migrationList');
+const shortcutListEl = document.getElementById('shortcutList');
+const editShortcutsBtn = document.getElementById('editShortcutsBtn');
 
 import { defaultSettings } from './settings.js';
+import { normalizeRules, createRuleId, resolveSuspensionPolicy } from './suspension-rules.js';
+import { normalizeRetention, normalizeSnapshotInterval } from './snapshot-retention.js';
+import { CURRENT_STATE_ID } from './snapshot-diff.js';
+import { normalizeClosedTabRetention } from './closed-tabs.js';
+import { buildStatsCsv } from './stats.js';
+import { normalizeSchedules, createScheduleId } from './schedules.js';
 
 function isSafeDisplayUrl(url) {
   if (!url || typeof url !== 'string') return false;
@@ -47,6 +107,9 @@ function setContent(parent, tag, className, text) {
 const fallbackSettings = { ...defaultSettings };
 
 let currentSettings = { ...fallbackSettings };
+let ruleDrafts = [];
+let scheduleDrafts = [];
+let migrationPreview = [];
 const pendingSnapshotTimers = new Set();
 
 async function sendMessage(type, payload = {}) {
@@ -77,8 +140,28 @@ async function loadSettings() {
   excludeActiveEl.checked = currentSettings.excludeActive;
   excludePinnedEl.checked = currentSettings.excludePinned;
   excludeAudibleEl.checked = currentSettings.excludeAudible;
+  maxLiveTabsEl.value = currentSettings.maxLiveTabsPerWindow || 0;
+  protectUnsavedFormsEl.checked = !!currentSettings.protectUnsavedForms;
+  restoreScrollPositionEl.checked = !!currentSettings.restoreScrollPosition;
+  restoreFormFieldsEl.checked = !!currentSettings.restoreFormFields;
+  screenshotPreviewsEl.checked = !!currentSettings.screenshotPreviews;
+  autoCloseDuplicatesEl.checked = !!currentSettings.autoCloseDuplicates;
+  memoryPressureEnabledEl.checked = !!currentSettings.memoryPressureEnabled;
+  memoryPressureThresholdEl.value = currentSettings.memoryPressureThresholdPercent;
+  memoryPressureThresholdEl.disabled = !memoryPressureEnabledEl.checked;
   unsuspendMethodEl.value = currentSettings.unsuspendMethod;
-  whitelistEl.value = (currentSettings.whitelist || []).join('\n');
+  badgeScopeEl.value = currentSettings.badgeScope;
+  snapshotIntervalEl.value = currentSettings.snapshotIntervalMinutes;
+  snapshotKeepHourlyEl.value = currentSettings.snapshotKeepHourly;
+  snapshotKeepDailyEl.value = currentSettings.snapshotKeepDaily;
+  snapshotKeepWeeklyEl.value = currentSettings.snapshotKeepWeekly;
+  snapshotOnIdleOrCloseEl.checked = !!currentSettings.snapshotOnIdleOrClose;
+  closedTabsMaxEl.value = currentSettings.closedTabsMax;
+  closedTabsRetentionDaysEl.value = currentSettings.closedTabsRetentionDays;
+  ruleDrafts = normalizeRules(currentSettings.rules).map(rule => ({ ...rule }));
+  renderRules();
+  scheduleDrafts = normalizeSchedules(currentSettings.schedules).map(schedule => ({ ...schedule, days: [...schedule.days] }));
+  renderSchedules();
   cloudBackupEl.checked = !!currentSettings.encryption.cloudBackupEnabled;
   embedOriginalUrlEl.checked = currentSettings.embedOriginalUrl !== false;
   await refreshEncryptionStatus();
@@ -122,6 +205,10 @@ function applyEncryptionStatus(status) {
     setBtn.disabled = true;
     removeBtn.disabled = true;
     setContent(snapshotListEl, 'li', 'empty-state', 'Unlock to view session history.');
+    setContent(savedSessionListEl, 'li', 'empty-state', 'Unlock to view saved sessions.');
+    renderClosedTabs([]);
+    setContent(closedTabListEl, 'li', 'empty-state', 'Unlock to view recently closed tabs.');
+    populateDiffSelects([]);
     return;
   }
 
@@ -160,6 +247,9 @@ function applyEncryptionStatus(status) {
   }
 
   loadSnapshots();
+  loadSavedSessions();
+  loadClosedTabs();
+  loadStats();
 }
 
 async function refreshEncryptionStatus() {
@@ -185,6 +275,7 @@ async function loadSnapshots() {
     const response = await sendMessage('GET_SNAPSHOTS');
     if (response.locked) {
       setContent(snapshotListEl, 'li', 'empty-state', 'Unlock to view session history.');
+      populateDiffSelects([]);
       return;
     }
     renderSnapshots(response.snapshots || []);
@@ -201,6 +292,7 @@ function renderSnapshots(snapshots) {
   }
   pendingSnapshotTimers.clear();
   snapshotListEl.replaceChildren();
+  populateDiffSelects(snapshots);
   if (!snapshots.length) {
     setContent(snapshotListEl, 'li', 'empty-state', 'No snapshots found.');
     return;
@@ -229,7 +321,8 @@ function renderSnapshots(snapshots) {
 
     const title = document.createElement('span');
     title.className = 'snapshot-title';
-    title.textContent = `(${dateStr}) ${tabCount} suspended tabs`;
+    const sourceLabel = snapshot.source === 'import' ? ' \u00b7 imported' : '';
+    title.textContent = `(${dateStr}) ${tabCount} suspended tabs${sourceLabel}`;
 
     const actions = document.createElement('div');
     actions.className = 'snapshot-actions';
@@ -317,7 +410,7 @@ function renderSnapshots(snapshots) {
         if (response?.locked) {
           setContent(details, 'p', 'error', 'Unlock encryption to view this snapshot.');
         } else if (response && response.ok && response.tabs) {
-          renderSnapshotDetails(details, response.tabs);
+          renderSnapshotDetails(details, response.tabs, snapshot.id);
           detailsLoaded = true;
         } else if (response?.error) {
           const errorP = document.createElement('p');
@@ -370,7 +463,7 @@ function renderSnapshots(snapshots) {
   });
 }
 
-function renderSnapshotDetails(container, tabsMap) {
+function renderSnapshotDetails(container, tabsMap, snapshotId) {
   container.replaceChildren();
   const ul = document.createElement('ul');
   ul.className = 'snapshot-tab-list';
@@ -381,30 +474,95 @@ function renderSnapshotDetails(container, tabsMap) {
     return;
   }
 
-  tabs.forEach(tab => {
-    const li = document.createElement('li');
-    li.className = 'snapshot-tab-item';
-
-    const link = document.createElement('a');
-    link.href = isSafeDisplayUrl(tab.url) ? tab.url : '#';
-    link.target = '_blank';
-    link.rel = 'noopener noreferrer';
-    link.textContent = tab.title || tab.url;
-    link.className = 'snapshot-tab-link';
+  const toolbar = document.createElement('div');
+  toolbar.className = 'snapshot-selection';
+  const selectAllLabel = document.createElement('label');
+  selectAllLabel.className = 'checkbox-label';
+  const selectAll = document.createElement('input');
+  selectAll.type = 'checkbox';
+  const selectAllText = document.createElement('span');
+  selectAllText.textContent = 'Select all';
+  selectAllLabel.append(selectAll, selectAllText);
+  toolbar.appendChild(selectAllLabel);
+
+  const checkboxes = [];
+  const selectedUrls = () => checkboxes.filter(box => box.checked).map(box => box.dataset.url);
+  const buttons = [
+    ['Open selected', () => openSnapshot(snapshotId, false, selectedUrls())],
+    ['Open selected + unsuspend', () => openSnapshot(snapshotId, true, selectedUrls())],
+    ['Re-attach selected', () => restoreSnapshotTabs(snapshotId, selectedUrls()),
+      'Track the selected tabs again if they are still open as parked pages'],
+  ].map(([label, onClick, hint]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn-xs';
+    btn.textContent = label;
+    if (hint) {
+      btn.title = hint;
+    }
+    btn.addEventListener('click', onClick);
+    toolbar.appendChild(btn);
+    return btn;
+  });
 
-    if (tab.favIconUrl && isSafeFaviconUrl(tab.favIconUrl)) {
-      const icon = document.createElement('img');
-      icon.src = tab.favIconUrl;
-      icon.className = 'snapshot-tab-icon';
-      icon.onerror = () => { icon.classList.add('hidden'); };
-      li.appendChild(icon);
+  const updateSelection = () => {
+    const count = checkboxes.filter(box => box.checked).length;
+    selectAll.checked = count > 0 && count === checkboxes.length;
+    selectAll.indeterminate = count > 0 && count < checkboxes.length;
+    selectAllText.textContent = count ? `${count} selected` : 'Select all';
+    for (const btn of buttons) {
+      btn.disabled = count === 0;
+    }
+  };
+  selectAll.addEventListener('change', () => {
+    for (const box of checkboxes) {
+      box.checked = selectAll.checked;
     }
+    updateSelection();
+  });
 
-    li.appendChild(link);
+  tabs.forEach(tab => {
+    const li = createSnapshotTabItem(tab);
+    const checkbox = createTabCheckbox(tab, updateSelection);
+    checkboxes.push(checkbox);
+    li.prepend(checkbox);
     ul.appendChild(li);
   });
 
-  container.appendChild(ul);
+  container.append(toolbar, ul);
+  updateSelection();
+}
+
+function createTabCheckbox(tab, onChange) {
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.dataset.url = tab.url;
+  checkbox.setAttribute('aria-label', `Select ${tab.title || tab.url}`);
+  checkbox.addEventListener('change', onChange);
+  return checkbox;
+}
+
+function createSnapshotTabItem(tab) {
+  const li = document.createElement('li');
+  li.className = 'snapshot-tab-item';
+
+  const link = document.createElement('a');
+  link.href = isSafeDisplayUrl(tab.url) ? tab.url : '#';
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = tab.title || tab.url;
+  link.className = 'snapshot-tab-link';
+
+  if (tab.favIconUrl && isSafeFaviconUrl(tab.favIconUrl)) {
+    const icon = document.createElement('img');
+    icon.src = tab.favIconUrl;
+    icon.className = 'snapshot-tab-icon';
+    icon.onerror = () => { icon.classList.add('hidden'); };
+    li.appendChild(icon);
+  }
+
+  li.appendChild(link);
+  return li;
 }
 
 function formatSnapshotTimestamp(date) {
@@ -412,9 +570,545 @@ function formatSnapshotTimestamp(date) {
   return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
 }
 
-async function openSnapshot(snapshotId, unsuspend) {
+// --- Snapshot Diff ---
+
+function populateDiffSelects(snapshots) {
+  const previousFrom = diffFromEl.value;
+  const previousTo = diffToEl.value;
+  const snapshotOptions = () => snapshots.map(snapshot => new Option(
+    `${formatSnapshotTimestamp(new Date(snapshot.timestamp))} \u00b7 ${snapshot.tabCount} tabs`,
+    snapshot.id
+  ));
+  diffFromEl.replaceChildren(...snapshotOptions());
+  diffToEl.replaceChildren(new Option('Current state', CURRENT_STATE_ID), ...snapshotOptions());
+  const known = new Set(snapshots.map(snapshot => snapshot.id));
+  diffFromEl.value = known.has(previousFrom) ? previousFrom : (snapshots[0]?.id || '');
+  diffToEl.value = known.has(previousTo) ? previousTo : CURRENT_STATE_ID;
+  compareSnapshotsBtn.disabled = !snapshots.length;
+  if (!snapshots.length) {
+    snapshotDiffEl.replaceChildren();
+    snapshotDiffEl.classList.add('hidden');
+  }
+}
+
+async function compareSnapshots() {
+  const fromId = diffFromEl.value;
+  const toId = diffToEl.value;
+  if (!fromId || fromId === toId) {
+    showStatus('Pick two different points in time to compare.', true);
+    return;
+  }
+  compareSnapshotsBtn.disabled = true;
+  snapshotDiffEl.classList.remove('hidden');
+  setContent(snapshotDiffEl, 'p', 'loading', 'Comparing\u2026');
+  try {
+    const response = await sendMessage('GET_SNAPSHOT_DIFF', { fromId, toId });
+    if (response?.locked) {
+      setContent(snapshotDiffEl, 'p', 'error', 'Unlock encryption to compare snapshots.');
+    } else if (response?.ok) {
+      renderSnapshotDiff(response, fromId, toId);
+    } else if (response?.error === 'not-found') {
+      setContent(snapshotDiffEl, 'p', 'error', 'That snapshot no longer exists.');
+      loadSnapshots();
+    } else {
+      setContent(snapshotDiffEl, 'p', 'error', 'Failed to compare snapshots.');
+    }
+  } catch (err) {
+    console.warn('Failed to compare snapshots', err);
+    setContent(snapshotDiffEl, 'p', 'error', 'Failed to compare snapshots.');
+  } finally {
+    compareSnapshotsBtn.disabled = false;
+  }
+}
+
+// Removed tabs reopen from the earlier snapshot and added ones from the later
+// snapshot. Tabs only present in the current state are already open.
+function renderSnapshotDiff(diff, fromId, toId) {
+  snapshotDiffEl.replaceChildren();
+  if (!diff.added.length && !diff.removed.length) {
+    setContent(snapshotDiffEl, 'p', 'empty', `No differences \u00b7 ${diff.unchanged.length} tabs unchanged.`);
+    return;
+  }
+
+  const openUnsuspendedBtn = document.createElement('button');
+  const openSuspendedBtn = document.createElement('button');
+  const checkboxes = [];
+  const updateActions = () => {
+    const count = checkboxes.filter(box => box.checked).length;
+    openSuspendedBtn.disabled = count === 0;
+    openUnsuspendedBtn.disabled = count === 0;
+    openSuspendedBtn.textContent = count ? `Open ${count} selected` : 'Open selected';
+  };
+
+  const sections = [
+    ['Removed', 'diff-removed', diff.removed, fromId],
+    ['Added', 'diff-added', diff.added, toId === CURRENT_STATE_ID ? null : toId],
+  ];
+  for (const [label, className, items, sourceId] of sections) {
+    if (!items.length) continue;
+    const section = document.createElement('div');
+    section.className = `diff-section ${className}`;
+    const heading = document.createElement('h3');
+    heading.className = 'diff-section-title';
+    heading.textContent = `${label} (${items.length})`;
+    const ul = document.createElement('ul');
+    ul.className = 'snapshot-tab-list';
+    for (const item of items) {
+      const li = createSnapshotTabItem(item);
+      if (sourceId) {
+        const checkbox = createTabCheckbox(item, updateActions);
+        checkbox.dataset.snapshotId = sourceId;
+        checkboxes.push(checkbox);
+        li.prepend(checkbox);
+      }
+      ul.appendChild(li);
+    }
+    section.append(heading, ul);
+    snapshotDiffEl.appendChild(section);
+  }
+
+  if (diff.unchanged.length) {
+    const section = document.createElement('details');
+    section.className = 'diff-section diff-unchanged';
+    const summary = document.createElement('summary');
+    summary.textContent = `Unchanged (${diff.unchanged.length})`;
+    const ul = document.createElement('ul');
+    ul.className = 'snapshot-tab-list';
+    for (const item of diff.unchanged) {
+      ul.appendChild(createSnapshotTabItem(item));
+    }
+    section.append(summary, ul);
+    snapshotDiffEl.appendChild(section);
+  }
+
+  if (!checkboxes.length) {
+    return;
+  }
+  const actions = document.createElement('div');
+  actions.className = 'diff-actions';
+  openSuspendedBtn.type = 'button';
+  openSuspendedBtn.className = 'btn-xs';
+  openSuspendedBtn.addEventListener('click', () => openDiffSelection(checkboxes, false));
+  openUnsuspendedBtn.type = 'button';
+  openUnsuspendedBtn.className = 'btn-xs';
+  openUnsuspendedBtn.textContent = 'Open selected + unsuspend';
+  openUnsuspendedBtn.addEventListener('click', () => openDiffSelection(checkboxes, true));
+  actions.append(openSuspendedBtn, openUnsuspendedBtn);
+  snapshotDiffEl.appendChild(actions);
+  updateActions();
+}
+
+async function openDiffSelection(checkboxes, unsuspend) {
+  const urlsBySnapshot = new Map();
+  for (const box of checkboxes) {
+    if (!box.checked) continue;
+    const urls = urlsBySnapshot.get(box.dataset.snapshotId) || [];
+    urls.push(box.dataset.url);
+    urlsBySnapshot.set(box.dataset.snapshotId, urls);
+  }
+  let opened = 0;
+  try {
+    for (const [snapshotId, urls] of urlsBySnapshot) {
+      const response = await sendMessage('OPEN_SNAPSHOT', {
+        snapshotId,
+        unsuspend,
+        urls,
+        target: snapshotOpenTargetEl.value,
+      });
+      if (response?.locked) {
+        showStatus('Unlock encryption to open snapshots.', true);
+        return;
+      }
+      if (!response?.ok) {
+        showStatus('Failed to open the selected tabs.', true);
+        return;
+      }
+      opened += response.opened || 0;
+    }
+    const verb = unsuspend ? 'unsuspended' : 'suspended';
+    showStatus(`Opened ${opened} selected tabs (${verb}).`);
+  } catch (err) {
+    console.warn('Failed to open selected tabs', err);
+    showStatus('Failed to open the selected tabs.', true);
+  }
+}
+
+compareSnapshotsBtn.addEventListener('click', compareSnapshots);
+
+// --- Saved Sessions ---
+
+async function loadSavedSessions() {
+  const response = await sendMessage('GET_SAVED_SESSIONS');
+  if (!response?.ok) {
+    setContent(savedSessionListEl, 'li', 'empty-state', 'Failed to load saved sessions.');
+    return;
+  }
+  renderSavedSessions(response.sessions);
+}
+
+function renderSavedSessions(sessions) {
+  if (!sessions.length) {
+    setContent(savedSessionListEl, 'li', 'empty-state', 'No saved sessions yet.');
+    return;
+  }
+  savedSessionListEl.replaceChildren();
+  for (const session of sessions) {
+    const li = document.createElement('li');
+    li.className = 'snapshot-item';
+
+    const header = document.createElement('div');
+    header.className = 'snapshot-header';
+
+    const title = document.createElement('span');
+    title.className = 'snapshot-title';
+    title.textContent = `${session.name} \u00b7 ${session.tabCount} tabs`;
+    title.title = `Saved ${formatSnapshotTimestamp(new Date(session.createdAt))}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'snapshot-actions';
+    const buttons = [
+      ['Open all', () => openSavedSession(session.id, false)],
+      ['Open all + unsuspend', () => openSavedSession(session.id, true)],
+      ['Rename', () => renameSavedSession(session)],
+      ['Delete', () => deleteSavedSession(session)],
+    ];
+    for (const [label, onClick] of buttons) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn-xs';
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      actions.appendChild(btn);
+    }
+
+    header.appendChild(title);
+    header.appendChild(actions);
+    li.appendChild(header);
+    savedSessionListEl.appendChild(li);
+  }
+}
+
+async function saveNamedSession() {
+  const name = sessionNameEl.value.trim();
+  if (!name) {
+    showStatus('Enter a name for the session.', true);
+    sessionNameEl.focus();
+    return;
+  }
+  saveSessionBtn.disabled = true;
+  try {
+    const response = await sendMessage('SAVE_SESSION', { name });
+    if (response?.ok) {
+      sessionNameEl.value = '';
+      showStatus(`Saved "${name}" with ${response.tabCount} tabs.`);
+      await loadSavedSessions();
+    } else if (response?.locked) {
+      showStatus('Unlock encryption to save sessions.', true);
+    } else if (response?.error === 'no-tabs') {
+      showStatus('There are no open tabs that can be saved.', true);
+    } else {
+      showStatus('Failed to save session.', true);
+    }
+  } finally {
+    saveSessionBtn.disabled = false;
+  }
+}
+
+async function renameSavedSession(session) {
+  const name = prompt('Rename session', session.name);
+  if (name === null || !name.trim() || name.trim() === session.name) {
+    return;
+  }
+  const response = await sendMessage('RENAME_SESSION', { sessionId: session.id, name });
+  if (!response?.ok) {
+    showStatus('Failed to rename session.', true);
+    return;
+  }
+  showStatus('Session renamed.');
+  await loadSavedSessions();
+}
+
+async function deleteSavedSession(session) {
+  if (!confirm(`Delete the saved session "${session.name}"? Its tabs stay open if they are open now.`)) {
+    return;
+  }
+  const response = await sendMessage('DELETE_SESSION', { sessionId: session.id });
+  if (!response?.ok) {
+    showStatus('Failed to delete session.', true);
+    return;
+  }
+  showStatus('Session deleted.');
+  await loadSavedSessions();
+}
+
+async function openSavedSession(sessionId, unsuspend) {
+  const response = await sendMessage('OPEN_SAVED_SESSION', { sessionId, unsuspend });
+  if (response?.locked) {
+    showStatus('Unlock encryption to open saved sessions.', true);
+  } else if (response?.ok) {
+    const verb = unsuspend ? 'unsuspended' : 'suspended';
+    showStatus(`Opened ${response.opened || 0} tabs from saved session (${verb}).`);
+  } else {
+    showStatus('Failed to open saved session.', true);
+  }
+}
+
+saveSessionBtn.addEventListener('click', saveNamedSession);
+sessionNameEl.addEventListener('keydown', (event) => {
+  // Enter would otherwise submit the settings form.
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    saveNamedSession();
+  }
+});
+
+// --- Recently Closed ---
+
+async function loadClosedTabs() {
+  const response = await sendMessage('GET_CLOSED_TABS');
+  if (response?.locked) {
+    renderClosedTabs([]);
+    setContent(closedTabListEl, 'li', 'empty-state', 'Unlock to view recently closed tabs.');
+    return;
+  }
+  if (!response?.ok) {
+    renderClosedTabs([]);
+    setContent(closedTabListEl, 'li', 'empty-state', 'Failed to load recently closed tabs.');
+    return;
+  }
+  renderClosedTabs(response.tabs);
+}
+
+function getClosedCheckboxes() {
+  return [...closedTabListEl.querySelectorAll('input[type="checkbox"]')];
+}
+
+function updateClosedSelection() {
+  const boxes = getClosedCheckboxes();
+  const count = boxes.filter(box => box.checked).length;
+  selectAllClosedEl.checked = count > 0 && count === boxes.length;
+  selectAllClosedEl.indeterminate = count > 0 && count < boxes.length;
+  selectAllClosedEl.disabled = boxes.length === 0;
+  closedSelectionCountEl.textContent = count ? `${count} selected` : 'Select all';
+  reopenClosedBtn.disabled = count === 0;
+  reopenClosedUnsuspendBtn.disabled = count === 0;
+  clearClosedBtn.disabled = boxes.length === 0;
+}
+
+function renderClosedTabs(records) {
+  closedTabListEl.replaceChildren();
+  if (!records.length) {
+    setContent(closedTabListEl, 'li', 'empty-state', 'No recently closed tabs.');
+  }
+  for (const record of records) {
+    const li = createSnapshotTabItem(record);
+    li.classList.add('closed-tab-item');
+    const checkbox = createTabCheckbox(record, updateClosedSelection);
+    checkbox.dataset.closedId = record.id;
+    const meta = document.createElement('span');
+    meta.className = 'closed-tab-meta';
+    meta.textContent = `${record.cause === 'missing' ? 'Lost' : 'Closed'} ${formatSnapshotTimestamp(new Date(record.closedAt))}`;
+    li.prepend(checkbox);
+    li.appendChild(meta);
+    closedTabListEl.appendChild(li);
+  }
+  updateClosedSelection();
+}
+
+async function reopenClosedTabs(unsuspend) {
+  const ids = getClosedCheckboxes().filter(box => box.checked).map(box => box.dataset.closedId);
+  if (!ids.length) {
+    return;
+  }
+  reopenClosedBtn.disabled = true;
+  reopenClosedUnsuspendBtn.disabled = true;
+  try {
+    const response = await sendMessage('RESTORE_CLOSED_TABS', { ids, unsuspend });
+    if (response?.locked) {
+      showStatus('Unlock encryption to reopen tabs.', true);
+    } else if (response?.ok) {
+      const verb = unsuspend ? 'unsuspended' : 'suspended';
+      showStatus(`Reopened ${response.opened || 0} tabs (${verb}).`);
+    } else {
+      showStatus('Failed to reopen tabs.', true);
+    }
+  } catch (err) {
+    console.warn('Failed to reopen closed tabs', err);
+    showStatus('Failed to reopen tabs.', true);
+  } finally {
+    await loadClosedTabs();
+  }
+}
+
+selectAllClosedEl.addEventListener('change', () => {
+  for (const box of getClosedCheckboxes()) {
+    box.checked = selectAllClosedEl.checked;
+  }
+  updateClosedSelection();
+});
+reopenClosedBtn.addEventListener('click', () => reopenClosedTabs(false));
+reopenClosedUnsuspendBtn.addEventListener('click', () => reopenClosedTabs(true));
+clearClosedBtn.addEventListener('click', async () => {
+  if (!confirm('Forget all recently closed tabs?')) {
+    return;
+  }
+  const response = await sendMessage('CLEAR_CLOSED_TABS');
+  showStatus(response?.ok ? 'Recently closed tabs cleared.' : 'Failed to clear recently closed tabs.', !response?.ok);
+  await loadClosedTabs();
+});
+
+// --- Statistics ---
+
+const STATS_REASON_LABELS = {
+  auto: 'Inactivity',
+  manual: 'Manual',
+  'tab-budget': 'Tab limit',
+  'memory-pressure': 'Low memory',
+  migrated: 'Migrated',
+  'opened-suspended': 'Opened suspended',
+  'restored-from-snapshot': 'From snapshot',
+  'restored-from-session': 'From saved session',
+  'restored-from-closed': 'From recently closed',
+  scheduled: 'Schedule',
+  'archive-window': 'Archive window',
+};
+const STATS_REASON_COLORS = ['#3b82f6', '#22c55e', '#f59e0b', '#ef4444', '#8b5cf6', '#14b8a6', '#ec4899', '#64748b'];
+
+let statsSummary = null;
+
+function formatStatsDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+  const hours = minutes / 60;
+  return hours < 48 ? `${hours.toFixed(1)} h` : `${(hours / 24).toFixed(1)} days`;
+}
+
+function formatMemory(mb) {
+  return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${mb} MB`;
+}
+
+function clearStats(message) {
+  statsSummary = null;
+  exportStatsBtn.disabled = true;
+  statsSummaryEl.replaceChildren();
+  statsChartEl.replaceChildren();
+  statsLegendEl.replaceChildren();
+  statsDomainsEl.replaceChildren();
+  statsNoteEl.textContent = message;
+}
+
+async function loadStats() {
+  const response = await sendMessage('GET_STATS', { days: Number(statsRangeEl.value) });
+  if (response?.locked) {
+    clearStats('Unlock to view statistics.');
+    return;
+  }
+  if (!response?.ok) {
+    clearStats('Failed to load statistics.');
+    return;
+  }
+  renderStats(response.summary, response.current);
+}
+
+function renderStats(summary, current) {
+  statsSummary = summary;
+  exportStatsBtn.disabled = false;
+  const { totals } = summary;
+  const figures = [
+    ['Suspended', String(totals.suspended)],
+    ['Resumed', String(totals.resumed)],
+    ['Average time suspended', totals.resumed ? formatStatsDuration(totals.avgSuspendedMs) : '–'],
+    ['Memory freed (est.)', formatMemory(totals.memoryMb)],
+    ['Suspended right now', `${current.suspended} (~${formatMemory(current.estimatedMemoryMb)})`],
+  ];
+  const fragment = document.createDocumentFragment();
+  for (const [label, value] of figures) {
+    const item = document.createElement('div');
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    item.append(term, detail);
+    fragment.appendChild(item);
+  }
+  statsSummaryEl.replaceChildren(fragment);
+
+  const colors = new Map(summary.reasons.map((reason, i) => [reason, STATS_REASON_COLORS[i % STATS_REASON_COLORS.length]]));
+  const max = Math.max(1, ...summary.days.map(day => day.total));
+  statsChartEl.replaceChildren();
+  for (const day of summary.days) {
+    const column = document.createElement('div');
+    column.className = 'stats-column';
+    column.title = `${day.day}: ${day.total} suspended, ${day.resumed} resumed`;
+    for (const reason of summary.reasons) {
+      const count = day.suspended[reason] || 0;
+      if (!count) continue;
+      const segment = document.createElement('div');
+      segment.className = 'stats-segment';
+      segment.style.height = `${(count / max) * 100}%`;
+      segment.style.background = colors.get(reason);
+      column.appendChild(segment);
+    }
+    statsChartEl.appendChild(column);
+  }
+
+  statsLegendEl.replaceChildren();
+  for (const reason of summary.reasons) {
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'stats-swatch';
+    swatch.style.background = colors.get(reason);
+    item.append(swatch, `${STATS_REASON_LABELS[reason] || reason} (${totals.byReason[reason]})`);
+    statsLegendEl.appendChild(item);
+  }
+
+  statsDomainsEl.replaceChildren();
+  if (!summary.topDomains.length) {
+    setContent(statsDomainsEl, 'li', 'empty-state', 'Nothing suspended in this period.');
+  }
+  for (const { domain, count } of summary.topDomains) {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'stats-domain';
+    name.textContent = domain;
+    const countEl = document.createElement('span');
+    countEl.className = 'stats-count';
+    countEl.textContent = String(count);
+    item.append(name, countEl);
+    statsDomainsEl.appendChild(item);
+  }
+  statsNoteEl.textContent = 'Memory is measured per process where Chrome allows it, otherwise estimated '
+    + 'per tab; actual use varies widely by site.';
+}
+
+statsRangeEl.addEventListener('change', () => loadStats());
+exportStatsBtn.addEventListener('click', () => {
+  if (!statsSummary) {
+    return;
+  }
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  downloadTextFile(buildStatsCsv(statsSummary), `local-suspender-stats-${stamp}.csv`, 'text/csv');
+});
+resetStatsBtn.addEventListener('click', async () => {
+  if (!confirm('Reset all suspension statistics?')) {
+    return;
+  }
+  const response = await sendMessage('RESET_STATS');
+  showStatus(response?.ok ? 'Statistics reset.' : 'Failed to reset statistics.', !response?.ok);
+  await loadStats();
+});
+
+// `urls` limits the tabs opened; null opens the whole snapshot.
+async function openSnapshot(snapshotId, unsuspend, urls = null) {
   try {
-    const response = await sendMessage('OPEN_SNAPSHOT', { snapshotId, unsuspend });
+    const response = await sendMessage('OPEN_SNAPSHOT', {
+      snapshotId,
+      unsuspend,
+      urls,
+      target: snapshotOpenTargetEl.value,
+    });
     if (response?.locked) {
       showStatus('Unlock encryption to open snapshots.', true);
       return;
@@ -431,6 +1125,616 @@ async function openSnapshot(snapshotId, unsuspend) {
   }
 }
 
+// Merges the selected entries back into the current state. Only tabs that are
+// still open as parked pages can be tracked again.
+async function restoreSnapshotTabs(snapshotId, urls) {
+  try {
+    const response = await sendMessage('RESTORE_SNAPSHOT', { snapshotId, urls });
+    if (response?.locked) {
+      showStatus('Unlock encryption to restore snapshots.', true);
+    } else if (response?.ok) {
+      showStatus(response.restored
+        ? `Re-attached ${response.restored} of ${urls.length} selected tabs.`
+        : 'None of the selected tabs are open as parked pages. Use Open selected instead.');
+    } else {
+      showStatus('Failed to restore the selected tabs.', true);
+    }
+  } catch (err) {
+    console.warn('Failed to restore snapshot tabs', err);
+    showStatus('Failed to restore the selected tabs.', true);
+  }
+}
+
+
+memoryPressureEnabledEl.addEventListener('change', () => {
+  memoryPressureThresholdEl.disabled = !memoryPressureEnabledEl.checked;
+});
+
+// --- Site Rules ---
+
+const EXCLUSION_FIELDS = [
+  ['excludeActive', 'Active'],
+  ['excludePinned', 'Pinned'],
+  ['excludeAudible', 'Audible'],
+];
+
+function createSelect(className, options, value) {
+  const select = document.createElement('select');
+  select.className = `form-select ${className}`;
+  for (const [optionValue, label] of options) {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = value;
+  return select;
+}
+
+function createRuleButton(label, title, onClick, disabled = false) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn-xs';
+  btn.textContent = label;
+  btn.title = title;
+  btn.setAttribute('aria-label', title);
+  btn.disabled = disabled;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function moveRule(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= ruleDrafts.length) {
+    return;
+  }
+  const [rule] = ruleDrafts.splice(index, 1);
+  ruleDrafts.splice(target, 0, rule);
+  renderRules();
+}
+
+function renderRules() {
+  ruleListEl.replaceChildren();
+  if (!ruleDrafts.length) {
+    setContent(ruleListEl, 'li', 'empty-state', 'No site rules. Every site uses the settings above.');
+    return;
+  }
+
+  ruleDrafts.forEach((rule, index) => {
+    const li = document.createElement('li');
+    li.className = 'rule-item';
+    li.classList.toggle('rule-disabled', !rule.enabled);
+
+    const mainRow = document.createElement('div');
+    mainRow.className = 'rule-row';
+
+    const enabledEl = document.createElement('input');
+    enabledEl.type = 'checkbox';
+    enabledEl.checked = rule.enabled;
+    enabledEl.title = 'Rule enabled';
+    enabledEl.setAttribute('aria-label', 'Rule enabled');
+    enabledEl.addEventListener('change', () => {
+      rule.enabled = enabledEl.checked;
+      li.classList.toggle('rule-disabled', !rule.enabled);
+    });
+
+    const patternEl = document.createElement('input');
+    patternEl.type = 'text';
+    patternEl.className = 'form-input rule-pattern';
+    patternEl.placeholder = 'docs.example.com';
+    patternEl.value = rule.pattern;
+    patternEl.setAttribute('aria-label', 'URL pattern');
+    patternEl.addEventListener('input', () => {
+      rule.pattern = patternEl.value;
+    });
+
+    const actionEl = createSelect('rule-action', [
+      ['suspend', 'Suspend'],
+      ['never', 'Never suspend'],
+    ], rule.action);
+    actionEl.setAttribute('aria-label', 'Rule action');
+
+    const actions = document.createElement('div');
+    actions.className = 'rule-actions';
+    actions.appendChild(createRuleButton('\u2191', 'Move rule up', () => moveRule(index, -1), index === 0));
+    actions.appendChild(createRuleButton('\u2193', 'Move rule down', () => moveRule(index, 1), index === ruleDrafts.length - 1));
+    actions.appendChild(createRuleButton('\u00d7', 'Remove rule', () => {
+      ruleDrafts.splice(index, 1);
+      renderRules();
+    }));
+
+    mainRow.append(enabledEl, patternEl, actionEl, actions);
+
+    const optionsRow = document.createElement('div');
+    optionsRow.className = 'rule-row rule-options';
+
+    const timeoutEl = document.createElement('input');
+    timeoutEl.type = 'number';
+    timeoutEl.min = '1';
+    timeoutEl.max = '1440';
+    timeoutEl.step = '1';
+    timeoutEl.className = 'form-input rule-timeout';
+    timeoutEl.placeholder = 'Default min';
+    timeoutEl.value = rule.timeoutMinutes ?? '';
+    timeoutEl.setAttribute('aria-label', 'Suspend after (minutes)');
+    timeoutEl.addEventListener('input', () => {
+      rule.timeoutMinutes = timeoutEl.value === '' ? null : Number(timeoutEl.value);
+    });
+
+    const methodEl = createSelect('rule-method', [
+      ['', 'Default method'],
+      ['discard', 'Discard'],
+      ['page', 'Parked page'],
+    ], rule.method);
+    methodEl.setAttribute('aria-label', 'Suspend method');
+    methodEl.addEventListener('change', () => {
+      rule.method = methodEl.value;
+    });
+
+    optionsRow.append(timeoutEl, methodEl);
+    for (const [field, label] of EXCLUSION_FIELDS) {
+      const wrapper = document.createElement('label');
+      wrapper.textContent = label;
+      const value = rule[field] === null ? '' : String(rule[field]);
+      const select = createSelect('rule-exclusion', [
+        ['', 'Default'],
+        ['true', 'Exclude'],
+        ['false', 'Allow'],
+      ], value);
+      select.addEventListener('change', () => {
+        rule[field] = select.value === '' ? null : select.value === 'true';
+      });
+      wrapper.appendChild(select);
+      optionsRow.appendChild(wrapper);
+    }
+
+    const syncOptionsVisibility = () => {
+      optionsRow.classList.toggle('hidden', rule.action === 'never');
+    };
+    actionEl.addEventListener('change', () => {
+      rule.action = actionEl.value;
+      syncOptionsVisibility();
+    });
+    syncOptionsVisibility();
+
+    li.append(mainRow, optionsRow);
+    ruleListEl.appendChild(li);
+  });
+}
+
+function describePolicy(policy) {
+  if (policy.never) {
+    return 'never suspended';
+  }
+  const method = policy.method === 'page' ? 'parked page' : 'discard';
+  const exclusions = EXCLUSION_FIELDS
+    .filter(([field]) => policy[field])
+    .map(([, label]) => label.toLowerCase());
+  const excluded = exclusions.length ? `; skips ${exclusions.join(', ')} tabs` : '';
+  return `suspended after ${policy.autoSuspendMinutes} min via ${method}${excluded}`;
+}
+
+function previewRuleMatch() {
+  const url = ruleTestUrlEl.value.trim();
+  if (!url) {
+    ruleTestResultEl.textContent = 'Enter a URL to test.';
+    return;
+  }
+  const draftSettings = collectSettingsFromForm();
+  const policy = resolveSuspensionPolicy(url, draftSettings);
+  if (!policy.rule) {
+    ruleTestResultEl.textContent = `No rule matches. Default policy: ${describePolicy(policy)}.`;
+    return;
+  }
+  ruleTestResultEl.textContent = `Rule ${policy.ruleIndex + 1} (${policy.rule.pattern}) matches: ${describePolicy(policy)}.`;
+}
+
+addRuleBtn.addEventListener('click', () => {
+  ruleDrafts.push({
+    id: createRuleId(),
+    pattern: '',
+    enabled: true,
+    action: 'suspend',
+    timeoutMinutes: null,
+    method: '',
+    excludeActive: null,
+    excludePinned: null,
+    excludeAudible: null,
+  });
+  renderRules();
+  ruleListEl.querySelector('li:last-child .rule-pattern')?.focus();
+});
+
+ruleTestBtn.addEventListener('click', previewRuleMatch);
+ruleTestUrlEl.addEventListener('keydown', event => {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    previewRuleMatch();
+  }
+});
+
+// --- Schedules ---
+
+// Monday first; values are Date#getDay() numbers.
+const SCHEDULE_DAYS = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+
+function moveSchedule(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= scheduleDrafts.length) {
+    return;
+  }
+  const [schedule] = scheduleDrafts.splice(index, 1);
+  scheduleDrafts.splice(target, 0, schedule);
+  renderSchedules();
+}
+
+function createTimeInput(value, label, onChange) {
+  const input = document.createElement('input');
+  input.type = 'time';
+  input.className = 'form-input schedule-time';
+  input.value = value;
+  input.setAttribute('aria-label', label);
+  input.addEventListener('change', () => onChange(input.value));
+  return input;
+}
+
+function renderSchedules() {
+  scheduleListEl.replaceChildren();
+  if (!scheduleDrafts.length) {
+    setContent(scheduleListEl, 'li', 'empty-state', 'No schedules. Auto-suspension works the same at all times.');
+    return;
+  }
+
+  scheduleDrafts.forEach((schedule, index) => {
+    const li = document.createElement('li');
+    li.className = 'rule-item';
+    li.classList.toggle('rule-disabled', !schedule.enabled);
+
+    const mainRow = document.createElement('div');
+    mainRow.className = 'rule-row';
+
+    const enabledEl = document.createElement('input');
+    enabledEl.type = 'checkbox';
+    enabledEl.checked = schedule.enabled;
+    enabledEl.title = 'Schedule enabled';
+    enabledEl.setAttribute('aria-label', 'Schedule enabled');
+    enabledEl.addEventListener('change', () => {
+      schedule.enabled = enabledEl.checked;
+      li.classList.toggle('rule-disabled', !schedule.enabled);
+    });
+
+    const actionEl = createSelect('schedule-action', [
+      ['timeout', 'Suspend after'],
+      ['pause', 'Pause auto-suspend'],
+      ['suspend-all', 'Suspend all at'],
+    ], schedule.action);
+    actionEl.setAttribute('aria-label', 'Schedule action');
+
+    const timeoutEl = document.createElement('input');
+    timeoutEl.type = 'number';
+    timeoutEl.min = '1';
+    timeoutEl.max = '1440';
+    timeoutEl.step = '1';
+    timeoutEl.className = 'form-input rule-timeout';
+    timeoutEl.value = schedule.timeoutMinutes;
+    timeoutEl.title = 'Minutes of inactivity';
+    timeoutEl.setAttribute('aria-label', 'Suspend after (minutes)');
+    timeoutEl.addEventListener('input', () => {
+      schedule.timeoutMinutes = Number(timeoutEl.value);
+    });
+
+    const startEl = createTimeInput(schedule.start, 'Start time', value => {
+      schedule.start = value;
+    });
+    const untilEl = document.createElement('span');
+    untilEl.className = 'schedule-until';
+    untilEl.textContent = 'to';
+    const endEl = createTimeInput(schedule.end, 'End time', value => {
+      schedule.end = value;
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'rule-actions';
+    actions.appendChild(createRuleButton('\u2191', 'Move schedule up', () => moveSchedule(index, -1), index === 0));
+    actions.appendChild(createRuleButton('\u2193', 'Move schedule down', () => moveSchedule(index, 1), index === scheduleDrafts.length - 1));
+    actions.appendChild(createRuleButton('\u00d7', 'Remove schedule', () => {
+      scheduleDrafts.splice(index, 1);
+      renderSchedules();
+    }));
+
+    mainRow.append(enabledEl, actionEl, timeoutEl, startEl, untilEl, endEl, actions);
+
+    const optionsRow = document.createElement('div');
+    optionsRow.className = 'rule-row rule-options';
+    for (const [day, label] of SCHEDULE_DAYS) {
+      const wrapper = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = schedule.days.includes(day);
+      box.addEventListener('change', () => {
+        schedule.days = box.checked
+          ? [...schedule.days, day]
+          : schedule.days.filter(item => item !== day);
+      });
+      wrapper.append(box, label);
+      optionsRow.appendChild(wrapper);
+    }
+
+    const patternEl = document.createElement('input');
+    patternEl.type = 'text';
+    patternEl.className = 'form-input rule-pattern';
+    patternEl.placeholder = 'All sites';
+    patternEl.value = schedule.pattern;
+    patternEl.setAttribute('aria-label', 'URL pattern (optional)');
+    patternEl.addEventListener('input', () => {
+      schedule.pattern = patternEl.value;
+    });
+
+    const scopeEl = createSelect('schedule-scope', [
+      ['tabs', 'Matching tabs'],
+      ['windows', 'Windows with a matching tab'],
+    ], schedule.scope);
+    scopeEl.setAttribute('aria-label', 'What the pattern covers');
+    scopeEl.addEventListener('change', () => {
+      schedule.scope = scopeEl.value;
+    });
+    optionsRow.append(patternEl, scopeEl);
+
+    const syncActionFields = () => {
+      timeoutEl.classList.toggle('hidden', schedule.action !== 'timeout');
+      untilEl.classList.toggle('hidden', schedule.action === 'suspend-all');
+      endEl.classList.toggle('hidden', schedule.action === 'suspend-all');
+    };
+    actionEl.addEventListener('change', () => {
+      schedule.action = actionEl.value;
+      syncActionFields();
+    });
+    syncActionFields();
+
+    li.append(mainRow, optionsRow);
+    scheduleListEl.appendChild(li);
+  });
+}
+
+addScheduleBtn.addEventListener('click', () => {
+  scheduleDrafts.push({
+    id: createScheduleId(),
+    enabled: true,
+    action: 'timeout',
+    days: [1, 2, 3, 4, 5],
+    start: '09:00',
+    end: '17:00',
+    timeoutMinutes: 5,
+    pattern: '',
+    scope: 'tabs',
+  });
+  renderSchedules();
+});
+// --- Export / Import ---
+
+function downloadTextFile(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function getTransferPassphrase() {
+  const passphrase = transferPassphraseEl.value;
+  if (!passphrase.trim()) {
+    showStatus('Enter an export passphrase first.', true);
+    return null;
+  }
+  return passphrase;
+}
+
+exportSessionsBtn.addEventListener('click', async () => {
+  const passphrase = getTransferPassphrase();
+  if (!passphrase) {
+    return;
+  }
+  exportSessionsBtn.disabled = true;
+  try {
+    const response = await sendMessage('EXPORT_SESSIONS', { passphrase });
+    if (response?.locked) {
+      showStatus('Unlock encryption to export sessions.', true);
+      return;
+    }
+    if (!response?.ok || !response.file) {
+      showStatus('Failed to export sessions.', true);
+      return;
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadTextFile(JSON.stringify(response.file), `local-suspender-sessions-${stamp}.json`, 'application/json');
+    showStatus(`Exported ${response.tabCount} suspended tabs and ${response.snapshotCount} snapshots.`);
+  } catch (err) {
+    console.error('Failed to export sessions', err);
+    showStatus('Failed to export sessions.', true);
+  } finally {
+    exportSessionsBtn.disabled = false;
+  }
+});
+
+importSessionsBtn.addEventListener('click', () => {
+  if (!getTransferPassphrase()) {
+    return;
+  }
+  importSessionsFileEl.value = '';
+  importSessionsFileEl.click();
+});
+
+importSessionsFileEl.addEventListener('change', async () => {
+  const [file] = importSessionsFileEl.files || [];
+  const passphrase = getTransferPassphrase();
+  if (!file || !passphrase) {
+    return;
+  }
+  importSessionsBtn.disabled = true;
+  try {
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch {
+      showStatus('That file is not a Local Suspender export.', true);
+      return;
+    }
+    const response = await sendMessage('IMPORT_SESSIONS', { file: parsed, passphrase });
+    if (response?.locked) {
+      showStatus('Unlock encryption to import sessions.', true);
+    } else if (response?.ok) {
+      transferPassphraseEl.value = '';
+      const skipped = response.skipped ? ` (${response.skipped} already present or too old)` : '';
+      showStatus(`Imported ${response.added} snapshots${skipped}. Open them from Session History.`);
+      loadSnapshots();
+    } else if (response?.error === 'bad-passphrase') {
+      showStatus('Incorrect passphrase or damaged export file.', true);
+    } else if (response?.error === 'unsupported-version') {
+      showStatus('This export was created by a newer version of Local Suspender.', true);
+    } else if (response?.error === 'invalid-format') {
+      showStatus('That file is not a Local Suspender export.', true);
+    } else {
+      showStatus('Failed to import sessions.', true);
+    }
+  } catch (err) {
+    console.error('Failed to import sessions', err);
+    showStatus('Failed to import sessions.', true);
+  } finally {
+    importSessionsBtn.disabled = false;
+  }
+});
+
+// --- Migration ---
+
+function renderMigrationPreview() {
+  migrationListEl.replaceChildren();
+  migrationListEl.classList.toggle('hidden', migrationPreview.length === 0);
+  migrateForeignBtn.classList.toggle('hidden', migrationPreview.length === 0);
+  if (!migrationPreview.length) {
+    migrationSummaryEl.textContent = 'No tabs from other suspenders found.';
+    return;
+  }
+  migrationSummaryEl.textContent = `${migrationPreview.length} tabs will be re-parked:`;
+  migrateForeignBtn.textContent = `Convert ${migrationPreview.length} tabs`;
+  for (const item of migrationPreview) {
+    const li = document.createElement('li');
+    li.className = 'snapshot-tab-item';
+    const link = document.createElement('a');
+    link.className = 'snapshot-tab-link';
+    link.href = isSafeDisplayUrl(item.url) ? item.url : '#';
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = item.title || item.url;
+    link.title = item.url;
+    const source = document.createElement('span');
+    source.className = 'migration-source';
+    source.textContent = item.source;
+    li.append(link, source);
+    migrationListEl.appendChild(li);
+  }
+}
+
+scanForeignBtn.addEventListener('click', async () => {
+  scanForeignBtn.disabled = true;
+  try {
+    const response = await sendMessage('SCAN_FOREIGN_SUSPENDED');
+    if (!response?.ok) {
+      showStatus('Failed to scan tabs.', true);
+      return;
+    }
+    migrationPreview = response.tabs || [];
+    renderMigrationPreview();
+  } catch (err) {
+    console.warn('Failed to scan for foreign suspended tabs', err);
+    showStatus('Failed to scan tabs.', true);
+  } finally {
+    scanForeignBtn.disabled = false;
+  }
+});
+
+migrateForeignBtn.addEventListener('click', async () => {
+  if (!migrationPreview.length) {
+    return;
+  }
+  migrateForeignBtn.disabled = true;
+  try {
+    const response = await sendMessage('MIGRATE_FOREIGN_SUSPENDED', {
+      tabIds: migrationPreview.map(item => item.tabId),
+    });
+    if (response?.locked) {
+      showStatus('Unlock encryption to migrate tabs.', true);
+      return;
+    }
+    if (!response?.ok) {
+      showStatus('Failed to migrate tabs.', true);
+      return;
+    }
+    const failed = response.failed ? ` ${response.failed} could not be converted.` : '';
+    showStatus(`Migrated ${response.migrated} tabs.${failed}`, response.failed > 0);
+    migrationPreview = [];
+    renderMigrationPreview();
+    migrationSummaryEl.textContent = '';
+  } catch (err) {
+    console.warn('Failed to migrate foreign suspended tabs', err);
+    showStatus('Failed to migrate tabs.', true);
+  } finally {
+    migrateForeignBtn.disabled = false;
+  }
+});
+
+async function loadShortcuts() {
+  try {
+    const commands = await chrome.commands.getAll();
+    shortcutListEl.replaceChildren();
+    for (const command of commands) {
+      if (!command.description) continue;
+      const li = document.createElement('li');
+      li.className = 'shortcut-item';
+      const description = document.createElement('span');
+      description.textContent = command.description;
+      const keys = document.createElement('kbd');
+      keys.className = command.shortcut ? '' : 'shortcut-unset';
+      keys.textContent = command.shortcut || 'Not set';
+      li.append(description, keys);
+      shortcutListEl.appendChild(li);
+    }
+  } catch (err) {
+    console.warn('Failed to load keyboard shortcuts', err);
+  }
+}
+
+// Page probes need host access; ask while we still have the user gesture.
+function requirePageAccess(checkbox, deniedMessage) {
+  checkbox.addEventListener('change', async () => {
+    if (!checkbox.checked) {
+      return;
+    }
+    try {
+      const granted = await chrome.permissions.request({ origins: ['<all_urls>'] });
+      if (!granted) {
+        checkbox.checked = false;
+        showStatus(deniedMessage, true);
+      }
+    } catch (err) {
+      console.error('Failed to request page access', err);
+      checkbox.checked = false;
+      showStatus('Failed to request page access.', true);
+    }
+  });
+}
+
+requirePageAccess(protectUnsavedFormsEl, 'Page access is required to detect unsaved form input.');
+requirePageAccess(restoreScrollPositionEl, 'Page access is required to save scroll positions.');
+requirePageAccess(restoreFormFieldsEl, 'Page access is required to save form fields.');
+requirePageAccess(screenshotPreviewsEl, 'Page access is required to capture page previews.');
+
+editShortcutsBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
 
 function collectSettingsFromForm() {
   return {
@@ -438,12 +1742,31 @@ function collectSettingsFromForm() {
     excludeActive: excludeActiveEl.checked,
     excludePinned: excludePinnedEl.checked,
     excludeAudible: excludeAudibleEl.checked,
+    protectUnsavedForms: protectUnsavedFormsEl.checked,
+    restoreScrollPosition: restoreScrollPositionEl.checked,
+    restoreFormFields: restoreFormFieldsEl.checked,
+    screenshotPreviews: screenshotPreviewsEl.checked,
+    autoCloseDuplicates: autoCloseDuplicatesEl.checked,
+    maxLiveTabsPerWindow: Math.max(0, Math.min(500, Math.round(Number(maxLiveTabsEl.value) || 0))),
+    memoryPressureEnabled: memoryPressureEnabledEl.checked,
+    memoryPressureThresholdPercent: Math.max(1, Math.min(90, Math.round(Number(memoryPressureThresholdEl.value) || 15))),
     unsuspendMethod: unsuspendMethodEl.value,
+    badgeScope: badgeScopeEl.value,
+    snapshotIntervalMinutes: normalizeSnapshotInterval(snapshotIntervalEl.value, defaultSettings.snapshotIntervalMinutes),
+    ...normalizeRetention({
+      snapshotKeepHourly: snapshotKeepHourlyEl.value,
+      snapshotKeepDaily: snapshotKeepDailyEl.value,
+      snapshotKeepWeekly: snapshotKeepWeeklyEl.value,
+    }, defaultSettings),
+    snapshotOnIdleOrClose: snapshotOnIdleOrCloseEl.checked,
+    ...normalizeClosedTabRetention({
+      closedTabsMax: closedTabsMaxEl.value,
+      closedTabsRetentionDays: closedTabsRetentionDaysEl.value,
+    }, defaultSettings),
     embedOriginalUrl: embedOriginalUrlEl.checked,
-    whitelist: whitelistEl.value
-      .split('\n')
-      .map(line => line.trim())
-      .filter(Boolean),
+    rules: normalizeRules(ruleDrafts),
+    schedules: normalizeSchedules(scheduleDrafts),
+    neverSuspendGroups: currentSettings.neverSuspendGroups || [], // Managed from the popup
     encryption: {
       enabled: true,
       iterations: currentSettings?.encryption?.iterations || 600000,
@@ -577,7 +1900,7 @@ cloudBackupEl.addEventListener('change', async () => {
 });
 
 resetEncryptionBtn.addEventListener('click', async () => {
-  if (!confirm('This will erase encrypted session data and snapshots and generate a new key. Continue?')) {
+  if (!confirm('This will erase encrypted session data, snapshots and saved sessions and generate a new key. Continue?')) {
     return;
   }
   try {
@@ -613,15 +1936,7 @@ downloadLogsBtn.addEventListener('click', async () => {
       return `[${entry.timestamp}] [${entry.level.toUpperCase()}] ${entry.message}${dataStr}`;
     }).join('\n\n');
 
-    const blob = new Blob([text], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `local-suspender-logs-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadTextFile(text, `local-suspender-logs-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`, 'text/plain');
   } catch (err) {
     console.error('Failed to download logs', err);
     showStatus('Failed to download logs.', true);
@@ -642,3 +1957,4 @@ clearLogsBtn.addEventListener('click', async () => {
 });
 
 loadSettings();
+loadShortcuts();
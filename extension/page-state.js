@@ -0,0 +1,92 @@
+// Scroll and form state carried from a parked page to its resumed page.
+// capturePageState and restorePageState run inside the page through
+// chrome.scripting.executeScript, so they must not reference anything outside
+// their own bodies. The tab URL already carries the fragment, so only the
+// scroll offset and edited fields are recorded.
+
+const MAX_FIELDS = 50;
+const MAX_VALUE_LENGTH = 2000;
+const MAX_SCROLL_OFFSET = 10000000;
+
+export function capturePageState(includeFields) {
+  const FIELD_LIMIT = 50;
+  const VALUE_LIMIT = 2000;
+  const SKIP_TYPES = new Set(['password', 'hidden', 'file', 'submit', 'button', 'reset', 'image']);
+
+  const snapshot = { x: Math.round(window.scrollX), y: Math.round(window.scrollY), fields: [] };
+  if (!includeFields) {
+    return snapshot;
+  }
+  const controls = document.querySelectorAll('input, textarea, select');
+  for (let i = 0; i < controls.length && snapshot.fields.length < FIELD_LIMIT; i += 1) {
+    const el = controls[i];
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    // Never carry secrets or payment details into stored state.
+    if (el.disabled || SKIP_TYPES.has(type) || /^cc-/.test(el.autocomplete || '')) continue;
+    const name = el.name || el.id || '';
+    if (type === 'checkbox' || type === 'radio') {
+      if (el.checked !== el.defaultChecked) {
+        snapshot.fields.push({ i, n: name, c: el.checked });
+      }
+      continue;
+    }
+    if (el instanceof HTMLSelectElement) {
+      if (el.multiple) continue;
+      const defaultIndex = Math.max(0, Array.from(el.options).findIndex(option => option.defaultSelected));
+      if (el.selectedIndex !== defaultIndex) {
+        snapshot.fields.push({ i, n: name, v: el.value });
+      }
+      continue;
+    }
+    if (el.value !== el.defaultValue && el.value.length <= VALUE_LIMIT) {
+      snapshot.fields.push({ i, n: name, v: el.value });
+    }
+  }
+  return snapshot;
+}
+
+export function restorePageState(saved) {
+  const controls = document.querySelectorAll('input, textarea, select');
+  for (const field of saved.fields || []) {
+    const el = controls[field.i];
+    // Skip fields that moved or changed since the page was parked.
+    if (!el || (el.name || el.id || '') !== field.n) continue;
+    if (typeof field.c === 'boolean') {
+      el.checked = field.c;
+    } else {
+      el.value = field.v;
+    }
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+  window.scrollTo(saved.x, saved.y);
+  // Late layout (images, web fonts) can leave the page short on first paint.
+  setTimeout(() => window.scrollTo(saved.x, saved.y), 500);
+}
+
+function toOffset(value) {
+  const num = Math.round(Number(value));
+  return Number.isFinite(num) ? Math.min(Math.max(num, 0), MAX_SCROLL_OFFSET) : 0;
+}
+
+// Validates state captured from a page (or read back from storage); returns null
+// when there is nothing worth restoring.
+export function normalizePageState(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const fields = [];
+  for (const field of Array.isArray(raw.fields) ? raw.fields.slice(0, MAX_FIELDS) : []) {
+    if (!field || !Number.isInteger(field.i) || field.i < 0 || typeof field.n !== 'string') continue;
+    if (typeof field.c === 'boolean') {
+      fields.push({ i: field.i, n: field.n, c: field.c });
+    } else if (typeof field.v === 'string' && field.v.length <= MAX_VALUE_LENGTH) {
+      fields.push({ i: field.i, n: field.n, v: field.v });
+    }
+  }
+  const pageState = { x: toOffset(raw.x), y: toOffset(raw.y), fields };
+  if (!pageState.x && !pageState.y && !fields.length) {
+    return null;
+  }
+  return pageState;
+}
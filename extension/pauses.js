@@ -0,0 +1,113 @@
+import { siteRulePattern } from './suspension-rules.js';
+
+export const PAUSE_SCOPES = ['tab', 'site', 'all'];
+export const MAX_PAUSE_MINUTES = 24 * 60;
+
+function toExpiry(value, now) {
+  const until = Number(value);
+  return Number.isFinite(until) && until > now ? until : 0;
+}
+
+export function emptyPauses() {
+  return { all: 0, tabs: {}, sites: {} };
+}
+
+// Drops malformed and expired entries. Tab IDs are kept as object keys (strings).
+export function normalizePauses(raw, now = Date.now()) {
+  const pauses = emptyPauses();
+  if (!raw || typeof raw !== 'object') {
+    return pauses;
+  }
+  pauses.all = toExpiry(raw.all, now);
+  for (const [tabId, until] of Object.entries(raw.tabs || {})) {
+    const expiry = toExpiry(until, now);
+    if (expiry && Number.isInteger(Number(tabId))) {
+      pauses.tabs[tabId] = expiry;
+    }
+  }
+  for (const [site, until] of Object.entries(raw.sites || {})) {
+    const expiry = toExpiry(until, now);
+    if (expiry && site) {
+      pauses.sites[site.toLowerCase()] = expiry;
+    }
+  }
+  return pauses;
+}
+
+// Returns the key a pause is stored under for `scope`, or '' when the target is unusable.
+export function getPauseKey(scope, { tabId, url } = {}) {
+  if (scope === 'tab') {
+    return Number.isInteger(tabId) ? String(tabId) : '';
+  }
+  if (scope === 'site') {
+    return siteRulePattern(url);
+  }
+  return scope === 'all' ? 'all' : '';
+}
+
+export function setPause(pauses, scope, key, until) {
+  const next = { all: pauses.all, tabs: { ...pauses.tabs }, sites: { ...pauses.sites } };
+  if (scope === 'all') {
+    next.all = until;
+  } else if (scope === 'tab') {
+    next.tabs[key] = until;
+  } else if (scope === 'site') {
+    next.sites[key] = until;
+  }
+  return next;
+}
+
+export function clearPause(pauses, scope, key) {
+  const next = { all: pauses.all, tabs: { ...pauses.tabs }, sites: { ...pauses.sites } };
+  if (scope === 'all') {
+    next.all = 0;
+  } else if (scope === 'tab') {
+    delete next.tabs[key];
+  } else if (scope === 'site') {
+    delete next.sites[key];
+  }
+  return next;
+}
+
+function siteMatches(host, site) {
+  return host === site || host.endsWith(`.${site}`);
+}
+
+// The pause covering a tab, checked from broadest to narrowest scope.
+export function findActivePause(pauses, { tabId, url }, now = Date.now()) {
+  if (pauses.all > now) {
+    return { scope: 'all', key: 'all', until: pauses.all };
+  }
+  const host = siteRulePattern(url);
+  if (host) {
+    for (const [site, until] of Object.entries(pauses.sites)) {
+      if (until > now && siteMatches(host, site)) {
+        return { scope: 'site', key: site, until };
+      }
+    }
+  }
+  const tabUntil = pauses.tabs[String(tabId)];
+  if (tabUntil > now) {
+    return { scope: 'tab', key: String(tabId), until: tabUntil };
+  }
+  return null;
+}
+
+export function listPauses(pauses) {
+  const list = [];
+  if (pauses.all) {
+    list.push({ scope: 'all', key: 'all', until: pauses.all });
+  }
+  for (const [site, until] of Object.entries(pauses.sites)) {
+    list.push({ scope: 'site', key: site, until });
+  }
+  for (const [tabId, until] of Object.entries(pauses.tabs)) {
+    list.push({ scope: 'tab', key: tabId, until });
+  }
+  return list.sort((a, b) => a.until - b.until);
+}
+
+export function getNextPauseExpiry(pauses) {
+  const expiries = listPauses(pauses).map(pause => pause.until);
+  return expiries.length ? Math.min(...expiries) : 0;
+}
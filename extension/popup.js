@@ -1,3 +1,7 @@
+import { createNeverSuspendRule, removeNeverRules } from './suspension-rules.js';
+import { filterEntries, sortEntries, groupEntries } from './tab-list.js';
+import { findSuspendedDuplicates } from './duplicates.js';
+
 const statusEl = document.getElementById('status');
 const tabsListEl = document.getElementById('tabs');
 const tabsHeaderEl = document.getElementById('tabsHeader');
@@ -10,11 +14,42 @@ const unsuspendAllBtn = document.getElementById('unsuspendAll');
 const toggleIconEl = tabsHeaderEl.querySelector('.toggle-icon');
 const suspendCurrentBtn = document.getElementById('suspendCurrent');
 const suspendInactiveBtn = document.getElementById('suspendInactive');
-
+const groupsSectionEl = document.getElementById('groupsSection');
+const groupsListEl = document.getElementById('groups');
+const pauseDurationEl = document.getElementById('pauseDuration');
+const pauseButtonsEl = document.getElementById('pauseButtons');
+const pauseListEl = document.getElementById('pauseList');
+const windowPolicyEl = document.getElementById('windowPolicy');
+const tabsToolsEl = document.getElementById('tabsTools');
+const tabSearchEl = document.getElementById('tabSearch');
+const tabSortEl = document.getElementById('tabSort');
+const tabGroupByEl = document.getElementById('tabGroupBy');
+const selectAllTabsEl = document.getElementById('selectAllTabs');
+const selectionCountEl = document.getElementById('selectionCount');
+const resumeSelectedBtn = document.getElementById('resumeSelected');
+const closeSelectedBtn = document.getElementById('closeSelected');
+const duplicatesNoticeEl = document.getElementById('duplicatesNotice');
+const duplicatesTextEl = document.getElementById('duplicatesText');
+const closeDuplicatesBtn = document.getElementById('closeDuplicates');
+const closedSectionEl = document.getElementById('closedSection');
+const closedHeaderEl = document.getElementById('closedHeader');
+const closedCountEl = document.getElementById('closedCount');
+const closedTabsEl = document.getElementById('closedTabs');
+
+// The options page lists the whole journal; the popup only the latest few.
+const POPUP_CLOSED_TAB_LIMIT = 15;
+
+let currentTabId = null;
 let currentSuspendedTabId = null;
 let currentSuspendedUrl = null;
 let lastRenderedStateHash = '';
 let refreshTimer = null;
+let suspendedEntries = [];
+let visibleTabIds = [];
+// Suspended tabs that repeat a more recently suspended page.
+let duplicateTabIds = new Set();
+// Tab IDs as strings, matching the keys of state.suspendedTabs.
+const selectedTabIds = new Set();
 
 function scheduleRefresh(message) {
   if (refreshTimer) {
@@ -68,9 +103,23 @@ function presentActionFailure(defaultMessage, interpreted) {
 
 // --- Event Listeners ---
 
-suspendCurrentBtn.addEventListener('click', async () => {
+function showUnsavedFormWarning() {
+  const text = document.createElement('span');
+  text.textContent = 'This tab has unsaved form input. ';
+  const forceBtn = document.createElement('button');
+  forceBtn.className = 'btn-sm';
+  forceBtn.textContent = 'Suspend anyway';
+  forceBtn.addEventListener('click', () => suspendCurrent({ force: true }));
+  statusEl.replaceChildren(text, forceBtn);
+}
+
+async function suspendCurrent({ force = false } = {}) {
   try {
-    const interpreted = interpretActionResult(await sendMessage('SUSPEND_CURRENT'));
+    const interpreted = interpretActionResult(await sendMessage('SUSPEND_CURRENT', { force }));
+    if (interpreted.skipped === 'unsaved-form') {
+      showUnsavedFormWarning();
+      return;
+    }
     if (interpreted.skipped === 'incognito') {
       scheduleRefresh('Skipped: incognito tabs are never suspended.');
       return;
@@ -91,7 +140,9 @@ suspendCurrentBtn.addEventListener('click', async () => {
   } catch (err) {
     statusEl.textContent = 'Failed to suspend tab.';
   }
-});
+}
+
+suspendCurrentBtn.addEventListener('click', () => suspendCurrent());
 
 suspendInactiveBtn.addEventListener('click', async () => {
   try {
@@ -124,16 +175,112 @@ document.getElementById('openOptions').addEventListener('click', (e) => {
   chrome.runtime.openOptionsPage();
 });
 
+document.getElementById('openDashboard').addEventListener('click', async () => {
+  await chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  window.close();
+});
+
 tabsHeaderEl.addEventListener('click', () => {
   tabsListEl.classList.toggle('expanded');
   const isExpanded = tabsListEl.classList.contains('expanded');
   toggleIconEl.textContent = isExpanded ? '-' : '+';
   tabsHeaderEl.setAttribute('aria-expanded', isExpanded);
+  tabsToolsEl.classList.toggle('hidden', !isExpanded || suspendedEntries.length === 0);
+});
+
+closedHeaderEl.addEventListener('click', () => {
+  closedTabsEl.classList.toggle('expanded');
+  const isExpanded = closedTabsEl.classList.contains('expanded');
+  closedHeaderEl.querySelector('.toggle-icon').textContent = isExpanded ? '-' : '+';
+  closedHeaderEl.setAttribute('aria-expanded', isExpanded);
+});
+
+closedTabsEl.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action="reopen-closed"]');
+  if (!button) return;
+  button.disabled = true;
+  const interpreted = interpretActionResult(await sendMessage('RESTORE_CLOSED_TABS', { ids: [button.dataset.closedId] }));
+  if (!interpreted.ok) {
+    button.disabled = false;
+    presentActionFailure('Failed to reopen tab.', interpreted);
+    return;
+  }
+  scheduleRefresh('Tab reopened.');
+});
+
+tabSearchEl.addEventListener('input', () => renderSuspendedView());
+tabSortEl.addEventListener('change', () => renderSuspendedView());
+tabGroupByEl.addEventListener('change', () => renderSuspendedView());
+
+selectAllTabsEl.addEventListener('change', () => {
+  for (const tabId of visibleTabIds) {
+    if (selectAllTabsEl.checked) {
+      selectedTabIds.add(tabId);
+    } else {
+      selectedTabIds.delete(tabId);
+    }
+  }
+  for (const box of tabsListEl.querySelectorAll('input[data-action="select"]')) {
+    box.checked = selectAllTabsEl.checked;
+  }
+  updateSelectionControls();
+});
+
+resumeSelectedBtn.addEventListener('click', async () => {
+  const tabIds = getSelectedVisibleTabIds().map(Number);
+  if (!tabIds.length) return;
+  resumeSelectedBtn.disabled = true;
+  const response = await sendMessage('RESUME_TABS', { tabIds });
+  const interpreted = interpretActionResult(response);
+  if (interpreted.ok !== true) {
+    presentActionFailure('Failed to unsuspend selected tabs.', interpreted);
+    updateSelectionControls();
+    return;
+  }
+  selectedTabIds.clear();
+  scheduleRefresh(`Unsuspended ${response.resumed} of ${tabIds.length} tabs.`);
+});
+
+closeSelectedBtn.addEventListener('click', async () => {
+  const tabIds = getSelectedVisibleTabIds();
+  if (!tabIds.length) return;
+  closeSelectedBtn.disabled = true;
+  await sendMessage('CLOSE_TABS', { tabIds: tabIds.map(Number) });
+  for (const tabId of tabIds) {
+    selectedTabIds.delete(tabId);
+  }
+  // State catches up as the removal events arrive; drop the rows now.
+  suspendedEntries = suspendedEntries.filter(([tabId]) => !tabIds.includes(tabId));
+  renderSuspendedView();
+  scheduleRefresh(`Closed ${tabIds.length} tabs.`);
+});
+
+closeDuplicatesBtn.addEventListener('click', async () => {
+  closeDuplicatesBtn.disabled = true;
+  const interpreted = interpretActionResult(await sendMessage('CLOSE_DUPLICATES'));
+  closeDuplicatesBtn.disabled = false;
+  if (interpreted.ok !== true) {
+    presentActionFailure('Failed to close duplicate tabs.', interpreted);
+    return;
+  }
+  scheduleRefresh('Closed duplicate tabs.');
+});
+
+tabsListEl.addEventListener('change', (event) => {
+  const box = event.target.closest('input[data-action="select"]');
+  const row = event.target.closest('li.tab-item');
+  if (!box || !row) return;
+  if (box.checked) {
+    selectedTabIds.add(row.dataset.tabId);
+  } else {
+    selectedTabIds.delete(row.dataset.tabId);
+  }
+  updateSelectionControls();
 });
 
 tabsListEl.addEventListener('click', async (event) => {
   const row = event.target.closest('li.tab-item');
-  if (!row || !tabsListEl.contains(row)) {
+  if (!row || !tabsListEl.contains(row) || event.target.closest('.tab-select')) {
     return;
   }
   const tabId = Number(row.dataset.tabId);
@@ -179,25 +326,118 @@ if (neverSuspendSiteBtn) {
         const urlObj = new URL(currentSuspendedUrl);
         domain = urlObj.hostname.replace(/^www\./, '');
       } catch {
-        statusEl.textContent = 'Cannot whitelist: invalid URL.';
+        statusEl.textContent = 'Cannot add rule: invalid URL.';
         return;
       }
 
-      const newWhitelist = Array.from(new Set([...(settings.whitelist || []), domain]));
-      const payload = { ...settings, whitelist: newWhitelist };
+      // Prepend so the new rule wins over any broader rule further down the list.
+      // Custom timeout or method rules for the site are kept.
+      const existingRules = removeNeverRules(settings.rules, domain);
+      const payload = { ...settings, rules: [createNeverSuspendRule(domain), ...existingRules] };
       const saveResult = await sendMessage('SAVE_SETTINGS', { payload });
       if (!saveResult) {
-        statusEl.textContent = 'Failed to save whitelist changes.';
+        statusEl.textContent = 'Failed to save site rule.';
         return;
       }
-      statusEl.textContent = `Whitelisted: ${domain}. Unsuspending.`;
-      scheduleRefresh(`Whitelisted: ${domain}. Unsuspending.`);
+      statusEl.textContent = `Never suspending: ${domain}. Unsuspending.`;
+      scheduleRefresh(`Never suspending: ${domain}. Unsuspending.`);
       // Auto-unsuspend is handled by background on SAVE_SETTINGS
       setTimeout(() => window.close(), 1000);
     }
   });
 }
 
+groupsListEl.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action]');
+  const row = event.target.closest('.group-item');
+  if (!button || !row) return;
+  const groupId = Number(row.dataset.groupId);
+  const isSuspend = button.dataset.action === 'suspend-group';
+  try {
+    const interpreted = interpretActionResult(
+      await sendMessage(isSuspend ? 'SUSPEND_GROUP' : 'RESUME_GROUP', { groupId })
+    );
+    if (interpreted.ok === true) {
+      scheduleRefresh(isSuspend ? 'Suspended tab group.' : 'Unsuspended tab group.');
+      return;
+    }
+    presentActionFailure(isSuspend ? 'Failed to suspend tab group.' : 'Failed to unsuspend tab group.', interpreted);
+  } catch (err) {
+    statusEl.textContent = 'Tab group action failed.';
+  }
+});
+
+groupsListEl.addEventListener('change', async (event) => {
+  const checkbox = event.target.closest('input[data-action="never-group"]');
+  const row = event.target.closest('.group-item');
+  if (!checkbox || !row) return;
+  const enabled = checkbox.checked;
+  const response = await sendMessage('SET_GROUP_NEVER_SUSPEND', { groupId: Number(row.dataset.groupId), enabled });
+  if (response?.ok) {
+    statusEl.textContent = enabled ? 'Tabs in this group will not be suspended.' : 'Group can be suspended again.';
+    return;
+  }
+  checkbox.checked = !enabled;
+  statusEl.textContent = response?.error === 'untitled-group'
+    ? 'Name the group before excluding it.'
+    : 'Failed to update group setting.';
+});
+
+pauseButtonsEl.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-scope]');
+  if (!button) return;
+  const response = await sendMessage('PAUSE_SUSPENSION', {
+    scope: button.dataset.scope,
+    tabId: currentTabId,
+    minutes: Number(pauseDurationEl.value),
+  });
+  if (response?.ok) {
+    statusEl.textContent = `Suspension paused until ${formatTimestamp(response.until)}.`;
+    await refreshPauses();
+    return;
+  }
+  statusEl.textContent = response?.error === 'invalid-url'
+    ? 'This page cannot be paused by site.'
+    : 'Failed to pause suspension.';
+});
+
+const WINDOW_POLICY_MESSAGES = {
+  default: 'This window follows the normal settings.',
+  focus: 'Tabs in this window will not be auto-suspended.',
+};
+
+windowPolicyEl.addEventListener('change', async () => {
+  const policy = windowPolicyEl.value;
+  windowPolicyEl.disabled = true;
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await sendMessage('SET_WINDOW_POLICY', { windowId: currentWindow.id, policy });
+    if (!response?.ok) {
+      statusEl.textContent = 'Failed to update window policy.';
+      await refreshWindowPolicy();
+      return;
+    }
+    if (policy !== 'archive') {
+      statusEl.textContent = WINDOW_POLICY_MESSAGES[policy];
+    } else if (response.skipped === 'locked') {
+      statusEl.textContent = 'Window archived. Unlock from options to suspend its tabs.';
+    } else {
+      scheduleRefresh(`Window archived; suspended ${response.suspended} tabs.`);
+    }
+  } finally {
+    windowPolicyEl.disabled = false;
+  }
+});
+
+pauseListEl.addEventListener('click', async (event) => {
+  const button = event.target.closest('button[data-action="cancel-pause"]');
+  const row = event.target.closest('.pause-item');
+  if (!button || !row) return;
+  const response = await sendMessage('CANCEL_PAUSE', { scope: row.dataset.scope, key: row.dataset.key });
+  statusEl.textContent = response?.ok ? 'Pause cancelled.' : 'Failed to cancel pause.';
+  await refreshPauses();
+});
+
 // --- Helpers ---
 
 function formatTimestamp(ts) {
@@ -206,10 +446,56 @@ function formatTimestamp(ts) {
   return date.toLocaleTimeString();
 }
 
+function formatRemaining(until) {
+  const minutes = Math.max(1, Math.ceil((until - Date.now()) / 60000));
+  if (minutes < 60) {
+    return `${minutes} min left`;
+  }
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min left` : `${hours} h left`;
+}
+
+const PAUSE_SCOPE_LABELS = { all: 'Everything', site: 'Site', tab: 'Tab' };
+
+function renderPauses(pauses) {
+  const fragment = document.createDocumentFragment();
+  for (const pause of pauses) {
+    if (pause.until <= Date.now()) continue;
+    const li = document.createElement('li');
+    li.className = 'pause-item';
+    li.dataset.scope = pause.scope;
+    li.dataset.key = pause.key;
+
+    const label = document.createElement('span');
+    label.className = 'pause-label';
+    label.textContent = pause.scope === 'all' ? PAUSE_SCOPE_LABELS.all : `${PAUSE_SCOPE_LABELS[pause.scope]}: ${pause.label}`;
+    label.title = label.textContent;
+
+    const remaining = document.createElement('span');
+    remaining.className = 'tab-meta';
+    remaining.textContent = formatRemaining(pause.until);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn-sm';
+    cancelBtn.dataset.action = 'cancel-pause';
+    cancelBtn.textContent = 'Cancel';
+
+    li.append(label, remaining, cancelBtn);
+    fragment.appendChild(li);
+  }
+  pauseListEl.replaceChildren(fragment);
+}
+
+async function refreshPauses() {
+  const response = await sendMessage('GET_PAUSES', { tabId: currentTabId });
+  renderPauses(response?.ok ? response.pauses : []);
+}
+
 function computeEntriesHash(entries) {
   let hash = `${entries.length}|`;
   for (const [tabId, info] of entries) {
-    hash += `${tabId}:${info.suspendedAt || 0}:${info.method || ''}:${info.url || ''}|`;
+    hash += `${tabId}:${info.suspendedAt || 0}:${info.method || ''}:${info.url || ''}:${info.groupTitle || ''}|`;
   }
   return hash;
 }
@@ -243,51 +529,234 @@ async function handleUnsuspend(tabId, windowId) {
   }
 }
 
-function renderTabList(entries) {
+function renderDuplicatesNotice(groups) {
+  duplicateTabIds = new Set(groups.flatMap(group => group.extras.map(String)));
+  duplicatesNoticeEl.classList.toggle('hidden', duplicateTabIds.size === 0);
+  duplicatesTextEl.textContent = duplicateTabIds.size === 1
+    ? '1 duplicate suspended tab'
+    : `${duplicateTabIds.size} duplicate suspended tabs`;
+}
+
+function getSelectedVisibleTabIds() {
+  return visibleTabIds.filter(tabId => selectedTabIds.has(tabId));
+}
+
+function updateSelectionControls() {
+  const count = getSelectedVisibleTabIds().length;
+  selectAllTabsEl.checked = count > 0 && count === visibleTabIds.length;
+  selectAllTabsEl.indeterminate = count > 0 && count < visibleTabIds.length;
+  selectAllTabsEl.disabled = visibleTabIds.length === 0;
+  selectionCountEl.textContent = count ? `${count} selected` : 'Select all';
+  resumeSelectedBtn.disabled = count === 0;
+  closeSelectedBtn.disabled = count === 0;
+}
+
+// Applies the search, sort and grouping controls to the last loaded entries.
+function renderSuspendedView() {
+  const visible = sortEntries(filterEntries(suspendedEntries, tabSearchEl.value), tabSortEl.value);
+  visibleTabIds = visible.map(([tabId]) => tabId);
+  tabsToolsEl.classList.toggle('hidden', !tabsListEl.classList.contains('expanded') || suspendedEntries.length === 0);
+
+  if (!suspendedEntries.length) {
+    const li = document.createElement('li');
+    li.textContent = 'No suspended tabs.';
+    tabsListEl.replaceChildren(li);
+  } else if (!visible.length) {
+    const li = document.createElement('li');
+    li.className = 'tab-list-empty';
+    li.textContent = 'No suspended tabs match your search.';
+    tabsListEl.replaceChildren(li);
+  } else {
+    renderTabList(groupEntries(visible, tabGroupByEl.value));
+  }
+  updateSelectionControls();
+}
+
+function renderTabList(sections) {
   const fragment = document.createDocumentFragment();
-  for (const [tabId, info] of entries) {
+  for (const section of sections) {
+    if (section.label) {
+      const heading = document.createElement('li');
+      heading.className = 'tab-section-heading';
+      heading.textContent = `${section.label} (${section.entries.length})`;
+      fragment.appendChild(heading);
+    }
+    for (const entry of section.entries) {
+      fragment.appendChild(renderTabItem(entry));
+    }
+  }
+  tabsListEl.replaceChildren(fragment);
+}
+
+function renderTabItem([tabId, info]) {
+  const li = document.createElement('li');
+  li.className = 'tab-item';
+  li.dataset.tabId = tabId;
+  if (Number.isInteger(info.windowId)) {
+    li.dataset.windowId = String(info.windowId);
+  }
+
+  const selectBox = document.createElement('input');
+  selectBox.type = 'checkbox';
+  selectBox.className = 'tab-select';
+  selectBox.dataset.action = 'select';
+  selectBox.checked = selectedTabIds.has(tabId);
+  selectBox.setAttribute('aria-label', `Select ${info.title || info.url}`);
+
+  const contentDiv = document.createElement('div');
+  contentDiv.className = 'tab-content';
+  contentDiv.title = 'Click to switch to this tab';
+
+  const titleSpan = document.createElement('span');
+  titleSpan.className = 'tab-title';
+  titleSpan.textContent = info.title || info.url;
+
+  const metaSpan = document.createElement('span');
+  metaSpan.className = 'tab-meta';
+  const metaParts = [formatTimestamp(info.suspendedAt)];
+  if (info.groupTitle) metaParts.push(info.groupTitle);
+  if (duplicateTabIds.has(tabId)) metaParts.push('duplicate');
+  metaSpan.textContent = metaParts.join(' · ');
+
+  contentDiv.appendChild(titleSpan);
+  contentDiv.appendChild(metaSpan);
+
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'tab-actions';
+
+  const unsuspendBtn = document.createElement('button');
+  unsuspendBtn.className = 'btn-sm';
+  unsuspendBtn.dataset.action = 'unsuspend';
+  unsuspendBtn.textContent = 'Unsuspend';
+
+  actionsDiv.appendChild(unsuspendBtn);
+  li.appendChild(selectBox);
+  li.appendChild(contentDiv);
+  li.appendChild(actionsDiv);
+  return li;
+}
+
+function renderGroups(groups) {
+  const fragment = document.createDocumentFragment();
+  for (const group of groups) {
+    const li = document.createElement('li');
+    li.className = 'group-item';
+    li.dataset.groupId = String(group.id);
+
+    const dot = document.createElement('span');
+    dot.className = `group-dot group-${group.color || 'grey'}`;
+
+    const info = document.createElement('div');
+    info.className = 'tab-content';
+    const titleSpan = document.createElement('span');
+    titleSpan.className = 'tab-title';
+    titleSpan.textContent = group.title || 'Unnamed group';
+    const metaSpan = document.createElement('span');
+    metaSpan.className = 'tab-meta';
+    metaSpan.textContent = `${group.suspendedCount}/${group.tabCount} suspended`;
+    info.appendChild(titleSpan);
+    info.appendChild(metaSpan);
+
+    const actions = document.createElement('div');
+    actions.className = 'tab-actions';
+    const suspendBtn = document.createElement('button');
+    suspendBtn.className = 'btn-sm';
+    suspendBtn.dataset.action = 'suspend-group';
+    suspendBtn.textContent = 'Suspend';
+    const resumeBtn = document.createElement('button');
+    resumeBtn.className = 'btn-sm';
+    resumeBtn.dataset.action = 'resume-group';
+    resumeBtn.textContent = 'Resume';
+    resumeBtn.disabled = group.suspendedCount === 0;
+
+    const neverLabel = document.createElement('label');
+    neverLabel.className = 'group-never';
+    neverLabel.title = group.title ? 'Never suspend tabs in this group' : 'Name the group to exclude it';
+    const neverBox = document.createElement('input');
+    neverBox.type = 'checkbox';
+    neverBox.dataset.action = 'never-group';
+    neverBox.checked = group.neverSuspend;
+    neverBox.disabled = !group.title;
+    neverLabel.appendChild(neverBox);
+    neverLabel.appendChild(document.createTextNode('Never'));
+
+    actions.appendChild(suspendBtn);
+    actions.appendChild(resumeBtn);
+    actions.appendChild(neverLabel);
+    li.appendChild(dot);
+    li.appendChild(info);
+    li.appendChild(actions);
+    fragment.appendChild(li);
+  }
+  groupsListEl.replaceChildren(fragment);
+  groupsSectionEl.classList.toggle('hidden', groups.length === 0);
+}
+
+async function refreshWindowPolicy() {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await sendMessage('GET_WINDOW_POLICY', { windowId: currentWindow.id });
+    windowPolicyEl.value = response?.ok ? response.policy : 'default';
+  } catch (err) {
+    console.warn('Failed to load window policy', err);
+  }
+}
+
+async function refreshGroups() {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await sendMessage('GET_WINDOW_GROUPS', { windowId: currentWindow.id });
+    renderGroups(response?.ok ? response.groups : []);
+  } catch (err) {
+    console.warn('Failed to load tab groups', err);
+    renderGroups([]);
+  }
+}
+
+function renderClosedTabs(records) {
+  closedSectionEl.classList.toggle('hidden', records.length === 0);
+  closedCountEl.textContent = `${records.length} recently closed`;
+  const fragment = document.createDocumentFragment();
+  for (const record of records.slice(0, POPUP_CLOSED_TAB_LIMIT)) {
     const li = document.createElement('li');
     li.className = 'tab-item';
-    li.dataset.tabId = tabId;
-    if (Number.isInteger(info.windowId)) {
-      li.dataset.windowId = String(info.windowId);
-    }
 
     const contentDiv = document.createElement('div');
     contentDiv.className = 'tab-content';
-    contentDiv.title = 'Click to switch to this tab';
-
+    contentDiv.title = record.url;
     const titleSpan = document.createElement('span');
     titleSpan.className = 'tab-title';
-    titleSpan.textContent = info.title || info.url;
-
+    titleSpan.textContent = record.title || record.url;
     const metaSpan = document.createElement('span');
     metaSpan.className = 'tab-meta';
-    metaSpan.textContent = formatTimestamp(info.suspendedAt);
-
-    contentDiv.appendChild(titleSpan);
-    contentDiv.appendChild(metaSpan);
+    metaSpan.textContent = `${record.cause === 'missing' ? 'Lost' : 'Closed'} ${formatTimestamp(record.closedAt)}`;
+    contentDiv.append(titleSpan, metaSpan);
 
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'tab-actions';
-
-    const unsuspendBtn = document.createElement('button');
-    unsuspendBtn.className = 'btn-sm';
-    unsuspendBtn.dataset.action = 'unsuspend';
-    unsuspendBtn.textContent = 'Unsuspend';
-
-    actionsDiv.appendChild(unsuspendBtn);
-    li.appendChild(contentDiv);
-    li.appendChild(actionsDiv);
+    const reopenBtn = document.createElement('button');
+    reopenBtn.className = 'btn-sm';
+    reopenBtn.dataset.action = 'reopen-closed';
+    reopenBtn.dataset.closedId = record.id;
+    reopenBtn.textContent = 'Reopen';
+    actionsDiv.appendChild(reopenBtn);
+
+    li.append(contentDiv, actionsDiv);
     fragment.appendChild(li);
   }
-  tabsListEl.replaceChildren(fragment);
+  closedTabsEl.replaceChildren(fragment);
+}
+
+async function refreshClosedTabs() {
+  const response = await sendMessage('GET_CLOSED_TABS');
+  renderClosedTabs(response?.ok ? response.tabs : []);
 }
 
 async function checkActiveTabContext() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (!tab) return;
+    currentTabId = tab.id;
 
     // Check if it's a suspended page
     if (tab.url && tab.url.startsWith(chrome.runtime.getURL('suspended.html'))) {
@@ -319,9 +788,12 @@ async function checkActiveTabContext() {
 async function refreshState(message) {
   const response = await sendMessage('GET_STATE');
   statusEl.textContent = message || '';
+  refreshGroups();
+  refreshClosedTabs();
 
   if (!response) {
     tabsListEl.replaceChildren();
+    suspendedEntries = [];
     lastRenderedStateHash = '';
     statusEl.textContent = 'Unable to reach background service.';
     return;
@@ -329,6 +801,7 @@ async function refreshState(message) {
 
   if (response.locked) {
     tabsListEl.replaceChildren();
+    suspendedEntries = [];
     lastRenderedStateHash = '';
     statusEl.textContent = response.reason === 'corrupt-state'
       ? 'State is corrupted. Reset encryption from options.'
@@ -336,27 +809,25 @@ async function refreshState(message) {
     return;
   }
 
-  const entries = Object.entries(response.state?.suspendedTabs || {}).sort(
-    (a, b) => (b[1].suspendedAt || 0) - (a[1].suspendedAt || 0)
-  );
+  const entries = Object.entries(response.state?.suspendedTabs || {});
 
   tabsCountEl.textContent = `${entries.length} suspended tabs`;
   toggleIconEl.textContent = tabsListEl.classList.contains('expanded') ? '-' : '+';
 
-  if (!entries.length) {
-    lastRenderedStateHash = 'empty';
-    tabsListEl.replaceChildren();
-    const li = document.createElement('li');
-    li.textContent = 'No suspended tabs.';
-    tabsListEl.appendChild(li);
-    return;
-  }
-  const nextHash = computeEntriesHash(entries);
+  const nextHash = entries.length ? computeEntriesHash(entries) : 'empty';
   if (nextHash === lastRenderedStateHash) {
     return;
   }
   lastRenderedStateHash = nextHash;
-  renderTabList(entries);
+  suspendedEntries = entries;
+  renderDuplicatesNotice(findSuspendedDuplicates(Object.fromEntries(entries)));
+  const liveIds = new Set(entries.map(([tabId]) => tabId));
+  for (const tabId of selectedTabIds) {
+    if (!liveIds.has(tabId)) {
+      selectedTabIds.delete(tabId);
+    }
+  }
+  renderSuspendedView();
 }
 
 // --- Init ---
@@ -365,6 +836,9 @@ async function refreshState(message) {
   try {
     await checkActiveTabContext();
     await refreshState();
+    await refreshWindowPolicy();
+    await refreshPauses();
+    setInterval(refreshPauses, 30000);
   } catch (err) {
     console.warn('Popup initialization failed', err);
     statusEl.textContent = 'Failed to initialize. Try reopening the popup.';
@@ -0,0 +1,74 @@
+// After a browser restart Chrome restores parked pages under new tab IDs, so the
+// entries recorded before the restart no longer line up with their tabs. These
+// helpers pair each restored parked page with its previous entry: by token
+// first, then by original URL for pages whose token does not match.
+
+// Returns { token, url } for a parked page URL, or null for any other URL.
+export function parseParkedPageUrl(url, suspendedPagePrefix) {
+  if (!suspendedPagePrefix || typeof url !== 'string' || !url.startsWith(suspendedPagePrefix)) {
+    return null;
+  }
+  try {
+    const params = new URL(url).searchParams;
+    return { token: params.get('token') || '', url: params.get('url') || '' };
+  } catch {
+    return null;
+  }
+}
+
+// Returns [{ fromTabId, toTabId, windowId }]: `fromTabId` is the stale key in
+// `suspendedTabs`, `toTabId` the restored tab now showing that entry's page.
+// Entries whose tab still exists and shows something else are left alone.
+export function matchRestoredTabs(suspendedTabs, tabs, suspendedPagePrefix) {
+  const tabsById = new Map(tabs.map(tab => [String(tab.id), tab]));
+  const parkedPage = tab => parseParkedPageUrl(tab?.pendingUrl || tab?.url, suspendedPagePrefix);
+  const boundTabIds = new Set();
+  const stale = [];
+  for (const [tabId, entry] of Object.entries(suspendedTabs || {})) {
+    if (entry?.method !== 'page' || !entry.url) continue;
+    const tab = tabsById.get(tabId);
+    const parked = parkedPage(tab);
+    if (parked && parked.token === entry.token) {
+      boundTabIds.add(tabId);
+    } else if (!tab || parked) {
+      stale.push([tabId, entry]);
+    }
+  }
+  if (!stale.length) {
+    return [];
+  }
+
+  const candidates = [];
+  for (const tab of tabs) {
+    if (tab.incognito || boundTabIds.has(String(tab.id))) continue;
+    const parked = parkedPage(tab);
+    if (parked) {
+      candidates.push({ tab, parked });
+    }
+  }
+  const usedTabIds = new Set();
+  const matches = [];
+  const claim = (fromTabId, candidate) => {
+    usedTabIds.add(candidate.tab.id);
+    matches.push({ fromTabId, toTabId: candidate.tab.id, windowId: candidate.tab.windowId });
+  };
+
+  const unmatched = [];
+  for (const [tabId, entry] of stale) {
+    const candidate = entry.token
+      ? candidates.find(item => !usedTabIds.has(item.tab.id) && item.parked.token === entry.token)
+      : null;
+    if (candidate) {
+      claim(tabId, candidate);
+    } else {
+      unmatched.push([tabId, entry]);
+    }
+  }
+  for (const [tabId, entry] of unmatched) {
+    const candidate = candidates.find(item => !usedTabIds.has(item.tab.id) && item.parked.url === entry.url);
+    if (candidate) {
+      claim(tabId, candidate);
+    }
+  }
+  return matches;
+}
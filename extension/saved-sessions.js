@@ -0,0 +1,70 @@
+// User-named sessions. Unlike rolling snapshots they are only created, renamed
+// or deleted on request. Records are snapshot records plus a `name`, so saved
+// sessions decrypt and open through the same code path as snapshots.
+
+export const SAVED_SESSIONS_KEY = 'savedSessions';
+export const MAX_SESSION_NAME_LENGTH = 100;
+
+// Collapses whitespace and caps the length; returns '' for names that are blank.
+export function normalizeSessionName(name) {
+  if (typeof name !== 'string') {
+    return '';
+  }
+  return name.replace(/\s+/g, ' ').trim().slice(0, MAX_SESSION_NAME_LENGTH);
+}
+
+export function normalizeSavedSessions(raw) {
+  if (!Array.isArray(raw)) {
+    return [];
+  }
+  return raw.filter(record => (
+    record
+    && typeof record.id === 'string'
+    && normalizeSessionName(record.name)
+    && record.data
+    && typeof record.data === 'object'
+  ));
+}
+
+export function summarizeSavedSessions(records) {
+  return records
+    .map(record => ({
+      id: record.id,
+      name: record.name,
+      createdAt: record.timestamp || 0,
+      tabCount: record.tabCount || 0,
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Builds a suspendedTabs-shaped state from open tabs. Parked tabs keep their
+// recorded entry (original URL, scroll state); live tabs get a fresh entry.
+// `groups` maps tab group IDs to { title, color }.
+export function buildSessionState(tabs, suspendedTabs = {}, { groups = new Map(), now = Date.now() } = {}) {
+  const sessionTabs = {};
+  for (const tab of tabs) {
+    const recorded = suspendedTabs[tab.id];
+    if (recorded?.url) {
+      sessionTabs[tab.id] = { ...recorded, windowId: tab.windowId };
+      continue;
+    }
+    if (!tab.url) continue;
+    const entry = {
+      url: tab.url,
+      title: tab.title || '',
+      favIconUrl: '',
+      windowId: tab.windowId,
+      suspendedAt: now,
+      method: 'page',
+      reason: 'saved-session',
+    };
+    const group = Number.isInteger(tab.groupId) && tab.groupId >= 0 ? groups.get(tab.groupId) : null;
+    if (group) {
+      entry.groupId = tab.groupId;
+      entry.groupTitle = group.title || '';
+      entry.groupColor = group.color || '';
+    }
+    sessionTabs[tab.id] = entry;
+  }
+  return { suspendedTabs: sessionTabs };
+}
@@ -0,0 +1,231 @@
+// Time-of-day and weekday schedules for auto-suspension. A schedule either
+// shortens the inactivity timeout, pauses auto-suspension between two times,
+// or suspends everything it covers once at its start time. Schedules are
+// checked in list order and the first active match wins, like site rules.
+import { matchesPattern } from './suspension-rules.js';
+
+export const SCHEDULE_ACTIONS = ['timeout', 'pause', 'suspend-all'];
+// 'tabs' covers tabs matching the pattern; 'windows' covers every tab in a
+// window that has a matching tab, since windows have no name that survives a restart.
+export const SCHEDULE_SCOPES = ['tabs', 'windows'];
+export const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+// A missed 'suspend-all' run (asleep, browser closed) still happens this late.
+export const SCHEDULE_RUN_GRACE_MS = 30 * 60 * 1000;
+
+const MAX_SCHEDULE_MINUTES = 1440;
+// Far enough ahead to reach the next start of a schedule that runs once a week.
+const BOUNDARY_LOOKAHEAD_DAYS = 8;
+
+// 'HH:MM' to minutes after midnight, or null.
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(typeof value === 'string' ? value.trim() : '');
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+function formatTimeOfDay(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function normalizeTime(value, fallback) {
+  const minutes = parseTimeOfDay(value);
+  return minutes === null ? fallback : formatTimeOfDay(minutes);
+}
+
+function normalizeDays(days) {
+  if (!Array.isArray(days)) {
+    return [...ALL_DAYS];
+  }
+  return ALL_DAYS.filter(day => days.includes(day));
+}
+
+function toTimeoutMinutes(value) {
+  const num = Math.round(Number(value));
+  return Number.isFinite(num) && num >= 1 ? Math.min(MAX_SCHEDULE_MINUTES, num) : 5;
+}
+
+export function createScheduleId() {
+  return crypto.randomUUID();
+}
+
+export function normalizeSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    return null;
+  }
+  const action = SCHEDULE_ACTIONS.includes(schedule.action) ? schedule.action : 'timeout';
+  return {
+    id: typeof schedule.id === 'string' && schedule.id ? schedule.id : createScheduleId(),
+    enabled: schedule.enabled !== false,
+    action,
+    days: normalizeDays(schedule.days),
+    start: normalizeTime(schedule.start, '09:00'),
+    end: normalizeTime(schedule.end, '17:00'),
+    timeoutMinutes: toTimeoutMinutes(schedule.timeoutMinutes),
+    pattern: typeof schedule.pattern === 'string' ? schedule.pattern.trim() : '',
+    scope: SCHEDULE_SCOPES.includes(schedule.scope) ? schedule.scope : 'tabs',
+  };
+}
+
+export function normalizeSchedules(schedules) {
+  if (!Array.isArray(schedules)) {
+    return [];
+  }
+  const normalized = [];
+  const seenIds = new Set();
+  for (const schedule of schedules) {
+    const entry = normalizeSchedule(schedule);
+    if (!entry) continue;
+    if (seenIds.has(entry.id)) {
+      entry.id = createScheduleId();
+    }
+    seenIds.add(entry.id);
+    normalized.push(entry);
+  }
+  return normalized;
+}
+
+function minutesOfDay(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+// A window ending before it starts runs past midnight and belongs to the day it
+// started on; equal start and end times cover the whole day.
+export function isScheduleActive(schedule, now = Date.now()) {
+  if (!schedule?.enabled || schedule.action === 'suspend-all') {
+    return false;
+  }
+  const date = new Date(now);
+  const minute = minutesOfDay(date);
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  const start = parseTimeOfDay(schedule.start);
+  const end = parseTimeOfDay(schedule.end);
+  if (start === end) {
+    return schedule.days.includes(today);
+  }
+  if (start < end) {
+    return schedule.days.includes(today) && minute >= start && minute < end;
+  }
+  return (schedule.days.includes(today) && minute >= start)
+    || (schedule.days.includes(yesterday) && minute < end);
+}
+
+export function getActiveSchedules(schedules, now = Date.now()) {
+  return (schedules || []).filter(schedule => isScheduleActive(schedule, now));
+}
+
+// `windowTabs` are the tabs in the same window as `tab`, including it.
+export function scheduleCoversTab(schedule, tab, windowTabs = []) {
+  if (!schedule.pattern) {
+    return true;
+  }
+  if (schedule.scope === 'windows') {
+    return windowTabs.some(item => matchesPattern(item.url, schedule.pattern));
+  }
+  return matchesPattern(tab.url, schedule.pattern);
+}
+
+// What the first active schedule covering `tab` asks for: { paused } or
+// { timeoutMinutes }, or null when no schedule applies.
+export function resolveScheduledPolicy(activeSchedules, tab, windowTabs = []) {
+  const schedule = activeSchedules.find(item => scheduleCoversTab(item, tab, windowTabs));
+  if (!schedule) {
+    return null;
+  }
+  return schedule.action === 'pause'
+    ? { schedule, paused: true, timeoutMinutes: null }
+    : { schedule, paused: false, timeoutMinutes: schedule.timeoutMinutes };
+}
+
+// Local timestamp of `minutes` after midnight, `dayOffset` days from `now`.
+function atTimeOfDay(now, dayOffset, minutes) {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + dayOffset);
+  date.setMinutes(minutes);
+  return date;
+}
+
+// Most recent start at or before `now` on one of the schedule's days.
+export function getLatestOccurrence(schedule, now = Date.now()) {
+  const start = parseTimeOfDay(schedule.start);
+  for (let offset = 0; offset >= -7; offset -= 1) {
+    const date = atTimeOfDay(now, offset, start);
+    if (date.getTime() <= now && schedule.days.includes(date.getDay())) {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+// `lastRuns` maps schedule IDs to when their last 'suspend-all' run happened.
+// A schedule seen for the first time only starts counting from `now`, so
+// saving a schedule whose start has just passed does not fire it. Runs of
+// schedules that no longer exist are dropped.
+export function registerScheduleRuns(schedules, lastRuns, now = Date.now()) {
+  const runs = {};
+  for (const schedule of schedules || []) {
+    if (!schedule.enabled || schedule.action !== 'suspend-all') continue;
+    const lastRun = lastRuns?.[schedule.id];
+    runs[schedule.id] = Number.isFinite(lastRun) ? lastRun : now;
+  }
+  return runs;
+}
+
+// Returns the 'suspend-all' schedules whose start has come since their last
+// run, and the run records to store afterwards.
+export function selectDueSchedules(schedules, lastRuns, now = Date.now(), graceMs = SCHEDULE_RUN_GRACE_MS) {
+  const runs = registerScheduleRuns(schedules, lastRuns, now);
+  const due = (schedules || []).filter(schedule => {
+    if (!Number.isFinite(lastRuns?.[schedule.id]) || !(schedule.id in runs)) {
+      return false;
+    }
+    const occurrence = getLatestOccurrence(schedule, now);
+    return occurrence !== null && occurrence > runs[schedule.id] && now - occurrence <= graceMs;
+  });
+  for (const schedule of due) {
+    runs[schedule.id] = now;
+  }
+  return { due, runs };
+}
+
+// Next time after `now` at which any enabled schedule starts or ends, or null.
+export function getNextScheduleBoundary(schedules, now = Date.now()) {
+  let next = null;
+  for (const schedule of schedules || []) {
+    if (!schedule.enabled || !schedule.days.length) continue;
+    const times = [parseTimeOfDay(schedule.start)];
+    if (schedule.action !== 'suspend-all') {
+      times.push(parseTimeOfDay(schedule.end));
+    }
+    for (let offset = -1; offset <= BOUNDARY_LOOKAHEAD_DAYS; offset += 1) {
+      for (const minutes of times) {
+        const date = atTimeOfDay(now, offset, minutes);
+        const time = date.getTime();
+        if (time <= now || (next !== null && time >= next)) continue;
+        // Ends of overnight windows fall on the day after an enabled day.
+        const dayOfStart = minutes < parseTimeOfDay(schedule.start) ? (date.getDay() + 6) % 7 : date.getDay();
+        if (schedule.days.includes(dayOfStart)) {
+          next = time;
+        }
+      }
+    }
+  }
+  return next;
+}
+
+// Shortest timeout an enabled schedule can impose, or 0 when none does.
+export function getShortestScheduleTimeout(schedules) {
+  let shortest = 0;
+  for (const schedule of schedules || []) {
+    if (!schedule.enabled || schedule.action !== 'timeout') continue;
+    shortest = shortest ? Math.min(shortest, schedule.timeoutMinutes) : schedule.timeoutMinutes;
+  }
+  return shortest;
+}
@@ -0,0 +1,48 @@
+// Bookkeeping for parked-page screenshots. Each screenshot is stored encrypted
+// under its own key; the plaintext index only holds sizes and access times so
+// eviction never needs to decrypt anything.
+
+export const SCREENSHOT_KEY_PREFIX = 'screenshot:';
+export const SCREENSHOT_INDEX_KEY = 'screenshotIndex';
+
+export function screenshotStorageKey(token) {
+  return `${SCREENSHOT_KEY_PREFIX}${token}`;
+}
+
+export function normalizeScreenshotIndex(raw) {
+  const index = {};
+  if (!raw || typeof raw !== 'object') {
+    return index;
+  }
+  for (const [token, item] of Object.entries(raw)) {
+    const bytes = Number(item?.bytes);
+    const lastUsedAt = Number(item?.lastUsedAt);
+    if (!token || !Number.isFinite(bytes) || bytes <= 0 || !Number.isFinite(lastUsedAt)) continue;
+    index[token] = { bytes, lastUsedAt };
+  }
+  return index;
+}
+
+// Picks tokens to delete: screenshots whose parked tab is gone (after a grace period,
+// since new entries may not be committed to state yet), then the least recently
+// used ones until the total fits in `quotaBytes`.
+export function selectScreenshotEvictions(index, { quotaBytes, liveTokens = null, orphanBefore = 0 }) {
+  const evicted = new Set();
+  if (liveTokens) {
+    for (const [token, item] of Object.entries(index)) {
+      if (!liveTokens.has(token) && item.lastUsedAt < orphanBefore) {
+        evicted.add(token);
+      }
+    }
+  }
+  const remaining = Object.entries(index)
+    .filter(([token]) => !evicted.has(token))
+    .sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+  let total = remaining.reduce((sum, [, item]) => sum + item.bytes, 0);
+  for (const [token, item] of remaining) {
+    if (total <= quotaBytes) break;
+    evicted.add(token);
+    total -= item.bytes;
+  }
+  return [...evicted];
+}
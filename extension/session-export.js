@@ -0,0 +1,91 @@
+import { encodeStateV2, decodeStateAny } from './state-codec.js';
+
+export const EXPORT_FORMAT = 'local-suspender-export';
+export const EXPORT_VERSION = 1;
+
+const MAX_EXPORT_ITERATIONS = 10000000;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+function isBase64String(value) {
+  return typeof value === 'string' && value.length > 0 && BASE64_PATTERN.test(value);
+}
+
+function toFiniteNumber(value, fallback = 0) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+export function buildExportPayload({ state, snapshots = [], exportedAt = Date.now() }) {
+  return {
+    exportedAt,
+    state: encodeStateV2(state),
+    snapshots: snapshots.map(snapshot => ({
+      id: snapshot.id,
+      timestamp: snapshot.timestamp,
+      tabCount: Object.keys(snapshot.state?.suspendedTabs || {}).length,
+      state: encodeStateV2(snapshot.state),
+    })),
+  };
+}
+
+export function wrapExportFile(encrypted, createdAt = Date.now()) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    createdAt,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: encrypted.iterations, salt: encrypted.salt },
+    cipher: { name: 'AES-GCM', iv: encrypted.iv },
+    ct: encrypted.ct,
+  };
+}
+
+// Returns the passphrase envelope expected by decryptWithPassphrase, or an error code.
+export function validateExportFile(file) {
+  if (!file || typeof file !== 'object' || file.format !== EXPORT_FORMAT) {
+    return { ok: false, error: 'invalid-format' };
+  }
+  if (file.version !== EXPORT_VERSION) {
+    return { ok: false, error: 'unsupported-version' };
+  }
+  const iterations = file.kdf?.iterations;
+  if (file.kdf?.name !== 'PBKDF2' || file.kdf?.hash !== 'SHA-256'
+    || !Number.isInteger(iterations) || iterations <= 0 || iterations > MAX_EXPORT_ITERATIONS) {
+    return { ok: false, error: 'invalid-format' };
+  }
+  if (file.cipher?.name !== 'AES-GCM' || !isBase64String(file.kdf.salt)
+    || !isBase64String(file.cipher.iv) || !isBase64String(file.ct)) {
+    return { ok: false, error: 'invalid-format' };
+  }
+  return {
+    ok: true,
+    envelope: { salt: file.kdf.salt, iv: file.cipher.iv, iterations, ct: file.ct },
+  };
+}
+
+export function decodeExportPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Invalid export payload');
+  }
+  const snapshots = [];
+  const seenIds = new Set();
+  for (const item of Array.isArray(payload.snapshots) ? payload.snapshots : []) {
+    if (!item || typeof item.id !== 'string' || !item.id || seenIds.has(item.id)) {
+      continue;
+    }
+    const timestamp = toFiniteNumber(item.timestamp, NaN);
+    if (!Number.isFinite(timestamp)) {
+      continue;
+    }
+    const state = decodeStateAny(item.state);
+    if (!Object.keys(state.suspendedTabs).length) {
+      continue;
+    }
+    seenIds.add(item.id);
+    snapshots.push({ id: item.id, timestamp, state });
+  }
+  return {
+    exportedAt: toFiniteNumber(payload.exportedAt, 0),
+    state: decodeStateAny(payload.state),
+    snapshots,
+  };
+}
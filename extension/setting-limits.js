@@ -0,0 +1,20 @@
+// Bounds for numeric settings typed into the options page. Blank or
+// non-numeric values fall back to a default; the rest are rounded and clamped.
+
+export function clampInteger(value, { min, max }, fallback) {
+  if (value === '' || value === null || value === undefined) {
+    return fallback;
+  }
+  const num = Math.round(Number(value));
+  return Number.isFinite(num) ? Math.min(Math.max(num, min), max) : fallback;
+}
+
+// `limits` maps setting keys to { min, max }; returns just those keys, read
+// out of `settings` with `defaults` as the per-field fallback.
+export function clampSettings(settings, limits, defaults) {
+  const clamped = {};
+  for (const [key, bounds] of Object.entries(limits)) {
+    clamped[key] = clampInteger(settings?.[key], bounds, defaults[key]);
+  }
+  return clamped;
+}
@@ -1,3 +1,5 @@
+import { mergeWhitelistIntoRules } from './suspension-rules.js';
+
 export const SETTINGS_KEY = 'settings';
 
 export const defaultSettings = {
@@ -5,9 +7,28 @@ export const defaultSettings = {
   excludePinned: true,
   excludeAudible: true,
   excludeActive: true,
-  whitelist: [],
+  rules: [], // Ordered per-site rules; the first enabled match wins
+  schedules: [], // Ordered time-of-day/weekday schedules; the first active match wins
   unsuspendMethod: 'activate', // 'activate' | 'manual'
   embedOriginalUrl: true, // Whether to include original URL in suspended page for recovery
+  maxLiveTabsPerWindow: 0, // 0 = no limit; extra tabs are suspended oldest-first
+  memoryPressureEnabled: false, // Also suspend LRU tabs when free system memory runs low
+  memoryPressureThresholdPercent: 15,
+  neverSuspendGroups: [], // Group titles; group IDs do not survive restarts
+  protectUnsavedForms: false, // Skip tabs with unsaved form input; needs optional host access
+  restoreScrollPosition: false, // Reapply scroll offsets when a parked page resumes; needs host access
+  restoreFormFields: false, // Also carry edited form fields (never passwords) across suspension
+  autoCloseDuplicates: false, // Close older parked copies of a page when it is suspended again
+  screenshotPreviews: false, // Blurred page preview behind the parked page; needs host access
+  snapshotIntervalMinutes: 180,
+  // Grandfather-father-son retention: newest snapshot per hour, day and week
+  snapshotKeepHourly: 24,
+  snapshotKeepDaily: 7,
+  snapshotKeepWeekly: 4,
+  snapshotOnIdleOrClose: false, // Also snapshot when the machine idles/locks or a window closes
+  closedTabsMax: 100, // Recently closed parked tabs kept for recovery; 0 turns the journal off
+  closedTabsRetentionDays: 7,
+  badgeScope: 'window', // 'window' | 'global' | 'off' — which suspended tabs the badge counts
   encryption: {
     enabled: true,
     iterations: 600000,
@@ -17,6 +38,15 @@ export const defaultSettings = {
 
 let cachedSettings = null;
 
+// Folds the legacy flat `whitelist` into ordered rules and drops the old key.
+function migrateRules(settings) {
+  const { whitelist, ...rest } = settings;
+  return {
+    ...rest,
+    rules: mergeWhitelistIntoRules(rest.rules, whitelist),
+  };
+}
+
 export async function ensureSettings() {
   if (cachedSettings) {
     return cachedSettings;
@@ -26,7 +56,7 @@ export async function ensureSettings() {
     cachedSettings = { ...defaultSettings };
     await chrome.storage.local.set({ [SETTINGS_KEY]: cachedSettings });
   } else {
-    cachedSettings = {
+    cachedSettings = migrateRules({
       ...defaultSettings,
       ...stored[SETTINGS_KEY],
       encryption: {
@@ -35,14 +65,14 @@ export async function ensureSettings() {
         enabled: true,
         cloudBackupEnabled: stored[SETTINGS_KEY].encryption?.cloudBackupEnabled ?? defaultSettings.encryption.cloudBackupEnabled,
       },
-    };
+    });
     await chrome.storage.local.set({ [SETTINGS_KEY]: cachedSettings });
   }
   return cachedSettings;
 }
 
 export async function saveSettings(nextSettings) {
-  cachedSettings = {
+  cachedSettings = migrateRules({
     ...defaultSettings,
     ...nextSettings,
     encryption: {
@@ -51,6 +81,6 @@ export async function saveSettings(nextSettings) {
       enabled: true,
       cloudBackupEnabled: nextSettings.encryption?.cloudBackupEnabled ?? defaultSettings.encryption.cloudBackupEnabled,
     },
-  };
+  });
   await chrome.storage.local.set({ [SETTINGS_KEY]: cachedSettings });
 }
@@ -0,0 +1,55 @@
+// Compares the suspended tabs of two points in time. Tabs are matched with
+// duplicateKey, so a page that only gained a tracking parameter or trailing
+// slash counts as unchanged.
+import { duplicateKey } from './duplicates.js';
+
+// Stands in for a snapshot ID when one side of the comparison is the live state.
+export const CURRENT_STATE_ID = 'current';
+
+function entriesByKey(suspendedTabs) {
+  const byKey = new Map();
+  for (const entry of Object.values(suspendedTabs || {})) {
+    if (!entry?.url) continue;
+    const key = duplicateKey(entry.url);
+    if (!byKey.has(key)) {
+      byKey.set(key, entry);
+    }
+  }
+  return byKey;
+}
+
+function toItem(key, entry) {
+  return {
+    key,
+    url: entry.url,
+    title: entry.title || '',
+    favIconUrl: entry.favIconUrl || '',
+  };
+}
+
+function byTitle(a, b) {
+  return (a.title || a.url).localeCompare(b.title || b.url);
+}
+
+// `from` is the earlier point in time. Removed tabs are taken from `from`,
+// added and unchanged ones from `to`.
+export function diffSuspendedTabs(from, to) {
+  const before = entriesByKey(from);
+  const after = entriesByKey(to);
+  const added = [];
+  const removed = [];
+  const unchanged = [];
+  for (const [key, entry] of after) {
+    (before.has(key) ? unchanged : added).push(toItem(key, entry));
+  }
+  for (const [key, entry] of before) {
+    if (!after.has(key)) {
+      removed.push(toItem(key, entry));
+    }
+  }
+  return {
+    added: added.sort(byTitle),
+    removed: removed.sort(byTitle),
+    unchanged: unchanged.sort(byTitle),
+  };
+}
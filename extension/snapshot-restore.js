@@ -0,0 +1,25 @@
+// Where reopened snapshot tabs go: one new window, the window the request came
+// from, or one new window per window recorded in the snapshot.
+
+export const OPEN_TARGETS = ['new-window', 'current-window', 'original-windows'];
+
+export function normalizeOpenTarget(value) {
+  return OPEN_TARGETS.includes(value) ? value : 'new-window';
+}
+
+// Splits entries into batches that each open in one window, keeping their order.
+// Entries without a recorded window share a batch in 'original-windows' mode.
+export function planRestoreWindows(entries, target) {
+  if (target !== 'original-windows') {
+    return [{ newWindow: target !== 'current-window', entries: [...entries] }];
+  }
+  const byWindow = new Map();
+  for (const entry of entries) {
+    const key = Number.isInteger(entry.windowId) ? entry.windowId : null;
+    if (!byWindow.has(key)) {
+      byWindow.set(key, []);
+    }
+    byWindow.get(key).push(entry);
+  }
+  return [...byWindow.values()].map(batch => ({ newWindow: true, entries: batch }));
+}
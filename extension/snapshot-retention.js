@@ -0,0 +1,74 @@
+// Grandfather-father-son pruning for rolling snapshots: the newest snapshot of
+// each of the last N hours, N days and N weeks is kept, everything else goes.
+import { clampInteger, clampSettings } from './setting-limits.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+export const RETENTION_LIMITS = {
+  snapshotKeepHourly: { min: 0, max: 168 },
+  snapshotKeepDaily: { min: 0, max: 90 },
+  snapshotKeepWeekly: { min: 0, max: 52 },
+};
+export const SNAPSHOT_INTERVAL_LIMITS = { min: 15, max: 24 * 60 };
+
+export function normalizeRetention(settings, defaults) {
+  return clampSettings(settings, RETENTION_LIMITS, defaults);
+}
+
+export function normalizeSnapshotInterval(value, fallback) {
+  return clampInteger(value, SNAPSHOT_INTERVAL_LIMITS, fallback);
+}
+
+// Buckets follow the local clock, like schedules, so a "daily" snapshot is the
+// newest one of a calendar day where the user is, not of a UTC day.
+function startOfLocalHour(timestamp) {
+  const date = new Date(timestamp);
+  date.setMinutes(0, 0, 0);
+  return date.getTime();
+}
+
+function startOfLocalDay(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Weeks start on Sunday, matching Date#getDay.
+function startOfLocalWeek(timestamp) {
+  const date = new Date(startOfLocalDay(timestamp));
+  date.setDate(date.getDate() - date.getDay());
+  return date.getTime();
+}
+
+// Returns the snapshots to keep, newest first. The newest snapshot always
+// survives so there is something to restore even with every tier set to 0.
+export function applySnapshotRetention(list, retention, now = Date.now()) {
+  const snapshots = (Array.isArray(list) ? list : [])
+    .filter(item => item && Number.isFinite(item.timestamp))
+    .sort((a, b) => b.timestamp - a.timestamp);
+  if (!snapshots.length) {
+    return [];
+  }
+  const kept = new Set([snapshots[0]]);
+  const tiers = [
+    [HOUR_MS, startOfLocalHour, retention.snapshotKeepHourly],
+    [DAY_MS, startOfLocalDay, retention.snapshotKeepDaily],
+    [WEEK_MS, startOfLocalWeek, retention.snapshotKeepWeekly],
+  ];
+  for (const [bucketMs, bucketOf, count] of tiers) {
+    if (!count) continue;
+    const cutoff = now - bucketMs * count;
+    const seenBuckets = new Set();
+    for (const snapshot of snapshots) {
+      if (snapshot.timestamp < cutoff) break;
+      const bucket = bucketOf(snapshot.timestamp);
+      if (!seenBuckets.has(bucket) && seenBuckets.size < count) {
+        seenBuckets.add(bucket);
+        kept.add(snapshot);
+      }
+    }
+  }
+  return snapshots.filter(snapshot => kept.has(snapshot));
+}
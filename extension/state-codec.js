@@ -1,5 +1,9 @@
+import { normalizePageState } from './page-state.js';
+
 const METHOD_DISCARD = 0;
 const METHOD_PAGE = 1;
+const GROUP_ID_NONE = -1;
+const GROUP_COLORS = new Set(['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange']);
 
 function toFiniteNumber(value, fallback = 0) {
   const num = Number(value);
@@ -28,6 +32,27 @@ function normalizeFaviconUrl(value) {
   }
 }
 
+// Group fields are only kept for grouped tabs so ungrouped entries stay compact.
+function applyGroupFields(target, groupId, groupTitle, groupColor) {
+  const id = toFiniteNumber(groupId, GROUP_ID_NONE);
+  if (!Number.isInteger(id) || id < 0) {
+    return target;
+  }
+  target.groupId = id;
+  target.groupTitle = typeof groupTitle === 'string' ? groupTitle : '';
+  target.groupColor = GROUP_COLORS.has(groupColor) ? groupColor : '';
+  return target;
+}
+
+// Scroll/form state only matters for parked pages and is omitted when empty.
+function applyPageState(target, rawPageState) {
+  const pageState = normalizePageState(rawPageState);
+  if (pageState) {
+    target.pageState = pageState;
+  }
+  return target;
+}
+
 function normalizeEntry(entry) {
   if (!entry || typeof entry !== 'object' || typeof entry.url !== 'string' || !entry.url) {
     return null;
@@ -49,8 +74,9 @@ function normalizeEntry(entry) {
     normalized.token = typeof entry.token === 'string' ? entry.token : '';
     normalized.tokenIssuedAt = toFiniteNumber(entry.tokenIssuedAt, normalized.suspendedAt);
     normalized.tokenUsed = !!entry.tokenUsed;
+    applyPageState(normalized, entry.pageState);
   }
-  return normalized;
+  return applyGroupFields(normalized, entry.groupId, entry.groupTitle, entry.groupColor);
 }
 
 function decodeLegacyState(raw) {
@@ -95,7 +121,10 @@ function decodeCompactState(raw) {
       entry.token = typeof tuple[7] === 'string' ? tuple[7] : '';
       entry.tokenIssuedAt = toFiniteNumber(tuple[8], entry.suspendedAt);
       entry.tokenUsed = tuple[9] === 1 || tuple[9] === true;
+      applyPageState(entry, tuple[14]);
     }
+    // Tuples written before group support stop at index 10, before page state at 13.
+    applyGroupFields(entry, tuple[11], tuple[12], tuple[13]);
     suspendedTabs[tabId] = entry;
   }
   return { suspendedTabs };
@@ -125,6 +154,10 @@ function encodeTuple(tabId, entry) {
     method === 'page' ? toFiniteNumber(entry.tokenIssuedAt, entry.suspendedAt) : 0,
     method === 'page' && entry.tokenUsed ? 1 : 0,
     normalizeFaviconUrl(entry.favIconUrl),
+    Number.isInteger(entry.groupId) ? entry.groupId : GROUP_ID_NONE,
+    Number.isInteger(entry.groupId) ? entry.groupTitle || '' : '',
+    Number.isInteger(entry.groupId) ? entry.groupColor || '' : '',
+    method === 'page' && entry.pageState ? entry.pageState : null,
   ];
 }
 
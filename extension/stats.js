@@ -0,0 +1,208 @@
+// Suspension statistics, bucketed per local calendar day: suspensions by reason,
+// resumes with their total suspended time, estimated memory freed and the
+// domains that were parked. Stored as one encrypted payload.
+import { getEntryDomain } from './tab-list.js';
+
+export const STATS_KEY = 'suspensionStats';
+export const STATS_RETENTION_DAYS = 90;
+
+// Keeps a day's bucket bounded when many distinct sites are parked.
+const MAX_DOMAINS_PER_DAY = 50;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Local calendar day as YYYY-MM-DD.
+export function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Steps by calendar day rather than 24h so DST changes never skip a day.
+function daysBefore(timestamp, count) {
+  const date = new Date(timestamp);
+  date.setHours(12, 0, 0, 0);
+  date.setDate(date.getDate() - count);
+  return dayKey(date.getTime());
+}
+
+function emptyDay() {
+  return { suspended: {}, resumed: 0, suspendedMs: 0, memoryMb: 0, domains: {} };
+}
+
+function countMap(raw) {
+  const counts = {};
+  if (raw && typeof raw === 'object') {
+    for (const [key, value] of Object.entries(raw)) {
+      if (Number.isFinite(value) && value > 0) {
+        counts[key] = value;
+      }
+    }
+  }
+  return counts;
+}
+
+function finiteOrZero(value) {
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+export function normalizeStats(raw) {
+  const days = {};
+  for (const [key, day] of Object.entries(raw?.days || {})) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(key) || !day || typeof day !== 'object') continue;
+    days[key] = {
+      suspended: countMap(day.suspended),
+      resumed: finiteOrZero(day.resumed),
+      suspendedMs: finiteOrZero(day.suspendedMs),
+      memoryMb: finiteOrZero(day.memoryMb),
+      domains: countMap(day.domains),
+    };
+  }
+  return { days };
+}
+
+function dayBucket(stats, now) {
+  const key = dayKey(now);
+  if (!stats.days[key]) {
+    stats.days[key] = emptyDay();
+  }
+  return stats.days[key];
+}
+
+function trimDomains(domains) {
+  const entries = Object.entries(domains);
+  if (entries.length <= MAX_DOMAINS_PER_DAY) {
+    return domains;
+  }
+  return Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_DOMAINS_PER_DAY));
+}
+
+// `events` are { reason, url, memoryMb }. Mutates and returns `stats`.
+export function recordSuspensions(stats, events, now = Date.now()) {
+  if (!events.length) {
+    return stats;
+  }
+  const day = dayBucket(stats, now);
+  for (const event of events) {
+    const reason = event.reason || 'unknown';
+    day.suspended[reason] = (day.suspended[reason] || 0) + 1;
+    day.memoryMb += finiteOrZero(event.memoryMb);
+    const domain = getEntryDomain(event.url);
+    if (domain) {
+      day.domains[domain] = (day.domains[domain] || 0) + 1;
+    }
+  }
+  day.domains = trimDomains(day.domains);
+  return stats;
+}
+
+// `events` are { suspendedAt } of the entries that were resumed.
+export function recordResumes(stats, events, now = Date.now()) {
+  if (!events.length) {
+    return stats;
+  }
+  const day = dayBucket(stats, now);
+  for (const event of events) {
+    day.resumed += 1;
+    if (Number.isFinite(event.suspendedAt) && event.suspendedAt > 0 && event.suspendedAt <= now) {
+      day.suspendedMs += now - event.suspendedAt;
+    }
+  }
+  return stats;
+}
+
+export function pruneStats(stats, now = Date.now(), retentionDays = STATS_RETENTION_DAYS) {
+  const oldestKept = daysBefore(now, retentionDays - 1);
+  const days = {};
+  for (const [key, day] of Object.entries(stats.days)) {
+    if (key >= oldestKept) {
+      days[key] = day;
+    }
+  }
+  return { days };
+}
+
+function addCounts(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    target[key] = (target[key] || 0) + value;
+  }
+}
+
+function sumValues(counts) {
+  return Object.values(counts).reduce((sum, value) => sum + value, 0);
+}
+
+// Averages cover resumed tabs only; tabs still parked have no duration yet.
+function averageMs(totalMs, resumed) {
+  return resumed ? Math.round(totalMs / resumed) : 0;
+}
+
+// One row per day for the last `days` days ending today, oldest first, with
+// days that saw no activity included as zeros.
+export function summarizeStats(stats, { now = Date.now(), days = 30, topDomainCount = 10 } = {}) {
+  const rows = [];
+  const reasonTotals = {};
+  const domainTotals = {};
+  let suspendedMs = 0;
+  for (let offset = days - 1; offset >= 0; offset -= 1) {
+    const key = daysBefore(now, offset);
+    const day = stats.days[key] || emptyDay();
+    addCounts(reasonTotals, day.suspended);
+    addCounts(domainTotals, day.domains);
+    suspendedMs += day.suspendedMs;
+    rows.push({
+      day: key,
+      suspended: { ...day.suspended },
+      total: sumValues(day.suspended),
+      resumed: day.resumed,
+      avgSuspendedMs: averageMs(day.suspendedMs, day.resumed),
+      memoryMb: Math.round(day.memoryMb),
+    });
+  }
+  const resumed = rows.reduce((sum, row) => sum + row.resumed, 0);
+  return {
+    days: rows,
+    reasons: Object.keys(reasonTotals).sort((a, b) => reasonTotals[b] - reasonTotals[a] || a.localeCompare(b)),
+    totals: {
+      suspended: sumValues(reasonTotals),
+      byReason: reasonTotals,
+      resumed,
+      avgSuspendedMs: averageMs(suspendedMs, resumed),
+      memoryMb: rows.reduce((sum, row) => sum + row.memoryMb, 0),
+    },
+    topDomains: Object.entries(domainTotals)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, topDomainCount)
+      .map(([domain, count]) => ({ domain, count })),
+  };
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Daily rows of a summary from summarizeStats, one column per suspension reason.
+export function buildStatsCsv(summary) {
+  const header = [
+    'date',
+    ...summary.reasons.map(reason => `suspended_${reason}`),
+    'suspended_total',
+    'resumed',
+    'avg_suspended_minutes',
+    'estimated_memory_saved_mb',
+  ];
+  const lines = [header.map(csvField).join(',')];
+  for (const row of summary.days) {
+    lines.push([
+      row.day,
+      ...summary.reasons.map(reason => row.suspended[reason] || 0),
+      row.total,
+      row.resumed,
+      Math.round(row.avgSuspendedMs / 60000),
+      row.memoryMb,
+    ].map(csvField).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
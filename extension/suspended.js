@@ -167,6 +167,7 @@ const faviconParam = params.get('favicon');
 const detailsEl = document.getElementById('details');
 const hintEl = document.getElementById('hint');
 const wakeButton = document.getElementById('wake');
+const previewEl = document.getElementById('preview');
 
 let tabId = null;
 let tabInfo = null;
@@ -261,6 +262,10 @@ async function loadInfo() {
       if (isLocalFaviconUrl(faviconSource)) {
         applySuspendedFavicon(faviconSource);
       }
+      if (typeof response.screenshot === 'string' && response.screenshot.startsWith('data:image/jpeg;')) {
+        previewEl.src = response.screenshot;
+        previewEl.hidden = false;
+      }
       return;
     }
   } catch (err) {
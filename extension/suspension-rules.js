@@ -0,0 +1,251 @@
+const RULE_ACTIONS = new Set(['suspend', 'never']);
+const RULE_METHODS = new Set(['', 'discard', 'page']);
+const MAX_RULE_MINUTES = 1440;
+const MAX_REGEX_CACHE_SIZE = 256;
+
+const regexCache = new Map();
+
+export function wildcardToRegExp(pattern) {
+  // Normalize pattern: remove protocol, www, trailing slash
+  let p = pattern.trim().toLowerCase();
+  p = p.replace(/^(https?:\/\/)?(www\.)?/, '');
+  if (p.endsWith('/')) {
+    p = p.slice(0, -1);
+  }
+
+  // Escape regex characters except *
+  const escaped = p.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+  // Convert * to .*
+  // If pattern ends with *, it matches prefix.
+  // If pattern starts with *, it matches suffix.
+  // If no *, we match exact domain or path prefix.
+
+  let regexString = escaped.replace(/\*/g, '.*?');
+
+  // If it's just a domain like "leetcode.com", we want to match "leetcode.com" AND "leetcode.com/problems" AND "sub.leetcode.com"
+  // But we don't want "myleetcode.com"
+
+  // Simple heuristic: if no slash, assume domain match
+  if (!p.includes('/')) {
+    // Match exact domain or subdomain
+    // regex: (^|\.)leetcode\.com(\/|$)
+    regexString = `(^|\\.)${regexString}(\\/|$)`;
+  } else {
+    // Path match, anchor start
+    regexString = `^${regexString}`;
+  }
+
+  return new RegExp(regexString);
+}
+
+function getPatternRegex(pattern) {
+  if (regexCache.has(pattern)) {
+    return regexCache.get(pattern);
+  }
+  let regex = null;
+  try {
+    regex = wildcardToRegExp(pattern);
+  } catch {
+    regex = null;
+  }
+  regexCache.set(pattern, regex);
+  if (regexCache.size > MAX_REGEX_CACHE_SIZE) {
+    const oldestKey = regexCache.keys().next().value;
+    regexCache.delete(oldestKey);
+  }
+  return regex;
+}
+
+export function normalizeUrlForMatching(url) {
+  // Normalize URL for matching: lower-case host/path, strip protocol and www
+  try {
+    const u = new URL(url);
+    const host = (u.hostname || '').toLowerCase().replace(/^www\./, '');
+    const path = (u.pathname || '').toLowerCase();
+    return `${host}${path}`;
+  } catch {
+    // Fallback: strip protocol/www manually
+    return url.toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '');
+  }
+}
+
+export function matchesPattern(url, pattern) {
+  if (!url || typeof url !== 'string' || typeof pattern !== 'string' || !pattern.trim()) {
+    return false;
+  }
+  const regex = getPatternRegex(pattern);
+  return !!regex && regex.test(normalizeUrlForMatching(url));
+}
+
+function toOptionalBoolean(value) {
+  return typeof value === 'boolean' ? value : null;
+}
+
+function toOptionalMinutes(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const num = Math.round(Number(value));
+  if (!Number.isFinite(num) || num < 1) {
+    return null;
+  }
+  return Math.min(MAX_RULE_MINUTES, num);
+}
+
+export function createRuleId() {
+  return crypto.randomUUID();
+}
+
+export function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object' || typeof rule.pattern !== 'string') {
+    return null;
+  }
+  const pattern = rule.pattern.trim();
+  if (!pattern) {
+    return null;
+  }
+  return {
+    id: typeof rule.id === 'string' && rule.id ? rule.id : createRuleId(),
+    pattern,
+    enabled: rule.enabled !== false,
+    action: RULE_ACTIONS.has(rule.action) ? rule.action : 'suspend',
+    timeoutMinutes: toOptionalMinutes(rule.timeoutMinutes),
+    method: RULE_METHODS.has(rule.method) ? rule.method : '',
+    excludeActive: toOptionalBoolean(rule.excludeActive),
+    excludePinned: toOptionalBoolean(rule.excludePinned),
+    excludeAudible: toOptionalBoolean(rule.excludeAudible),
+  };
+}
+
+export function normalizeRules(rules) {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+  const normalized = [];
+  const seenIds = new Set();
+  for (const rule of rules) {
+    const entry = normalizeRule(rule);
+    if (!entry) continue;
+    if (seenIds.has(entry.id)) {
+      entry.id = createRuleId();
+    }
+    seenIds.add(entry.id);
+    normalized.push(entry);
+  }
+  return normalized;
+}
+
+export function createNeverSuspendRule(pattern) {
+  return normalizeRule({ pattern, action: 'never' });
+}
+
+// Patterns used by the "never suspend" shortcuts: the whole site (host without
+// www) or just this page (host plus path, which also covers deeper paths).
+export function siteRulePattern(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+export function pageRulePattern(url) {
+  const site = siteRulePattern(url);
+  if (!site) {
+    return '';
+  }
+  const path = new URL(url).pathname.replace(/\/+$/, '');
+  return `${site}${path}`;
+}
+
+function isNeverRuleFor(rule, pattern) {
+  return rule.enabled && rule.action === 'never' && rule.pattern.toLowerCase() === pattern.toLowerCase();
+}
+
+export function hasNeverRule(rules, pattern) {
+  return (rules || []).some(rule => isNeverRuleFor(rule, pattern));
+}
+
+// Drops the enabled "never" rules hasNeverRule finds for `pattern`; timeout,
+// method and disabled rules with the same pattern stay.
+export function removeNeverRules(rules, pattern) {
+  return (rules || []).filter(rule => !isNeverRuleFor(rule, pattern));
+}
+
+// Adds a "never" rule for `pattern` in front of the list, or removes it when
+// one exists. Other rules for the pattern are kept either way, so toggling on
+// and off again gives back the original list.
+export function toggleNeverRule(rules, pattern) {
+  if (hasNeverRule(rules, pattern)) {
+    return { rules: removeNeverRules(rules, pattern), neverSuspend: false };
+  }
+  // Prepend so the new rule wins over any broader rule further down the list.
+  return { rules: [createNeverSuspendRule(pattern), ...(rules || [])], neverSuspend: true };
+}
+
+// Legacy whitelist patterns become "never" rules appended after any existing rules,
+// skipping patterns that already have a rule so repeated migrations are idempotent.
+export function mergeWhitelistIntoRules(rules, whitelist) {
+  const merged = normalizeRules(rules);
+  if (!Array.isArray(whitelist) || whitelist.length === 0) {
+    return merged;
+  }
+  const known = new Set(merged.map(rule => rule.pattern.toLowerCase()));
+  for (const item of whitelist) {
+    const rule = createNeverSuspendRule(String(item));
+    if (!rule || known.has(rule.pattern.toLowerCase())) continue;
+    known.add(rule.pattern.toLowerCase());
+    merged.push(rule);
+  }
+  return merged;
+}
+
+export function findMatchingRuleIndex(url, rules) {
+  if (!url || !Array.isArray(rules)) {
+    return -1;
+  }
+  for (let i = 0; i < rules.length; i += 1) {
+    const rule = rules[i];
+    if (!rule || rule.enabled === false) continue;
+    if (matchesPattern(url, rule.pattern)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+export function findMatchingRule(url, rules) {
+  const index = findMatchingRuleIndex(url, rules);
+  return index >= 0 ? rules[index] : null;
+}
+
+export function defaultSuspendMethod(settings) {
+  return settings?.unsuspendMethod === 'manual' ? 'page' : 'discard';
+}
+
+export function resolveSuspensionPolicy(url, settings) {
+  const rules = settings?.rules || [];
+  const index = findMatchingRuleIndex(url, rules);
+  const rule = index >= 0 ? rules[index] : null;
+  return {
+    rule,
+    ruleIndex: index,
+    never: rule?.action === 'never',
+    autoSuspendMinutes: rule?.timeoutMinutes ?? settings?.autoSuspendMinutes ?? 0,
+    method: rule?.method || defaultSuspendMethod(settings),
+    excludeActive: rule?.excludeActive ?? !!settings?.excludeActive,
+    excludePinned: rule?.excludePinned ?? !!settings?.excludePinned,
+    excludeAudible: rule?.excludeAudible ?? !!settings?.excludeAudible,
+  };
+}
+
+// Shortest timeout any enabled rule can impose, so the alarm cadence keeps up with it.
+export function getShortestTimeoutMinutes(settings) {
+  let shortest = Number(settings?.autoSuspendMinutes) || 0;
+  for (const rule of settings?.rules || []) {
+    if (!rule || rule.enabled === false || rule.action === 'never' || !rule.timeoutMinutes) continue;
+    shortest = shortest > 0 ? Math.min(shortest, rule.timeoutMinutes) : rule.timeoutMinutes;
+  }
+  return shortest;
+}
@@ -0,0 +1,75 @@
+// Search, sort and grouping for lists of suspended tabs. Entries are
+// [tabId, info] pairs as produced by Object.entries(state.suspendedTabs).
+
+export const SORT_OPTIONS = ['newest', 'oldest', 'title', 'domain'];
+export const GROUP_OPTIONS = ['none', 'window', 'domain'];
+
+export function getEntryDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+function entryTitle(info) {
+  return (info.title || info.url || '').toLowerCase();
+}
+
+// Every whitespace-separated term must appear in the title, URL or domain.
+export function filterEntries(entries, query) {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) {
+    return entries;
+  }
+  return entries.filter(([, info]) => {
+    const haystack = `${entryTitle(info)}\n${(info.url || '').toLowerCase()}\n${getEntryDomain(info.url)}`;
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+export function sortEntries(entries, sortBy = 'newest') {
+  const byNewest = (a, b) => (b[1].suspendedAt || 0) - (a[1].suspendedAt || 0);
+  const compare = {
+    newest: byNewest,
+    oldest: (a, b) => -byNewest(a, b),
+    title: (a, b) => entryTitle(a[1]).localeCompare(entryTitle(b[1])) || byNewest(a, b),
+    domain: (a, b) => getEntryDomain(a[1].url).localeCompare(getEntryDomain(b[1].url)) || byNewest(a, b),
+  }[sortBy] || byNewest;
+  return [...entries].sort(compare);
+}
+
+// Splits already-sorted entries into labelled sections, keeping their order within
+// each section. Windows are numbered in ID order, which matches creation order.
+export function groupEntries(entries, groupBy = 'none') {
+  if (groupBy !== 'window' && groupBy !== 'domain') {
+    return [{ key: 'all', label: '', entries }];
+  }
+  const sections = new Map();
+  for (const entry of entries) {
+    const info = entry[1];
+    let key;
+    if (groupBy === 'window') {
+      key = Number.isInteger(info.windowId) ? String(info.windowId) : '';
+    } else {
+      key = getEntryDomain(info.url);
+    }
+    if (!sections.has(key)) {
+      sections.set(key, []);
+    }
+    sections.get(key).push(entry);
+  }
+  const keys = [...sections.keys()].sort((a, b) => {
+    if (!a || !b) return a ? -1 : (b ? 1 : 0); // Unknown goes last
+    return groupBy === 'window' ? Number(a) - Number(b) : a.localeCompare(b);
+  });
+  return keys.map((key, index) => {
+    let label;
+    if (groupBy === 'window') {
+      label = key ? `Window ${index + 1}` : 'Unknown window';
+    } else {
+      label = key || 'Other pages';
+    }
+    return { key, label, entries: sections.get(key) };
+  });
+}
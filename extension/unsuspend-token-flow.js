@@ -8,6 +8,7 @@ export async function processUnsuspendTokenMessage({
   loadState,
   saveState,
   resumeSuspendedTab,
+  recordResume = () => {},
   now = () => Date.now(),
 }) {
   if (!stateIsWritable()) {
@@ -81,6 +82,7 @@ export async function processUnsuspendTokenMessage({
     }
     delete state.suspendedTabs[tabId];
     await saveState(state);
+    recordResume(entry);
     return { ok: true };
   });
 
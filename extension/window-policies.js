@@ -0,0 +1,158 @@
+// Per-window suspension policies. A "focus" window is never auto-suspended; an
+// "archive" window has its background tabs suspended right away and kept that
+// way. Window IDs do not survive a browser restart, so each record also keeps
+// a fingerprint of the window's pages (keyed hashes, never the URLs) and
+// is matched back to its window by content.
+import { duplicateKey } from './duplicates.js';
+
+export const WINDOW_POLICIES_KEY = 'windowPolicies';
+// Per-install HMAC secret, so fingerprints cannot be checked against a list of
+// candidate URLs without it.
+export const WINDOW_FINGERPRINT_SECRET_KEY = 'windowFingerprintSecret';
+export const WINDOW_POLICIES = ['default', 'focus', 'archive'];
+// Records whose window has been gone this long are forgotten.
+export const WINDOW_POLICY_STALE_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Share of pages two fingerprints must have in common to be the same window.
+const MIN_FINGERPRINT_OVERLAP = 0.5;
+const FINGERPRINT_HASH_LENGTH = 16;
+const FINGERPRINT_SECRET_BYTES = 32;
+// A record only seen again is rewritten this often; staleness is measured in days.
+const SEEN_AT_RESOLUTION_MS = 60 * 60 * 1000;
+
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function createFingerprintSecret() {
+  return toHex(crypto.getRandomValues(new Uint8Array(FINGERPRINT_SECRET_BYTES)));
+}
+
+export async function importFingerprintKey(secret) {
+  const bytes = new Uint8Array(secret.match(/../g).map(pair => parseInt(pair, 16)));
+  return crypto.subtle.importKey('raw', bytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+// Sorted, de-duplicated HMACs of the pages open in a window, keyed with a
+// key from importFingerprintKey.
+export async function buildWindowFingerprint(urls, key) {
+  const pages = [...new Set(urls.filter(Boolean).map(url => duplicateKey(url)))];
+  const hashes = await Promise.all(pages.map(async page => {
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(page)));
+    return toHex(mac).slice(0, FINGERPRINT_HASH_LENGTH);
+  }));
+  return hashes.sort();
+}
+
+export function fingerprintOverlap(a, b) {
+  const other = new Set(b);
+  const shared = a.filter(hash => other.has(hash)).length;
+  const union = a.length + b.length - shared;
+  return union ? shared / union : 0;
+}
+
+// Records are { windowId, policy, fingerprint, seenAt }. `windowId` is null
+// while the window is closed or not yet matched after a restart.
+export function normalizeWindowPolicies(raw) {
+  if (!Array.isArray(raw)) {
+    return [];
+  }
+  return raw
+    .filter(record => record && WINDOW_POLICIES.includes(record.policy) && record.policy !== 'default')
+    .map(record => ({
+      windowId: Number.isInteger(record.windowId) ? record.windowId : null,
+      policy: record.policy,
+      fingerprint: Array.isArray(record.fingerprint) ? record.fingerprint.filter(hash => typeof hash === 'string') : [],
+      seenAt: Number.isFinite(record.seenAt) ? record.seenAt : 0,
+    }));
+}
+
+export function getWindowPolicy(records, windowId) {
+  return records.find(record => record.windowId === windowId)?.policy || 'default';
+}
+
+// Tabs automatic suspension may consider: everything outside focus windows.
+export function excludeFocusWindowTabs(records, tabs) {
+  return tabs.filter(tab => getWindowPolicy(records, tab.windowId) !== 'focus');
+}
+
+// Returns a new list with `windowId` set to `policy`; 'default' removes its record.
+export function setWindowPolicy(records, windowId, policy, fingerprint, now = Date.now()) {
+  const rest = records.filter(record => record.windowId !== windowId);
+  if (policy === 'default') {
+    return rest;
+  }
+  return [...rest, { windowId, policy, fingerprint, seenAt: now }];
+}
+
+function sameFingerprint(a, b) {
+  return a.length === b.length && a.every((hash, index) => hash === b[index]);
+}
+
+// Whether reconciling turned `previous` into something worth writing back:
+// a record moved, changed pages or went away, or was last saved long ago.
+export function windowPoliciesChanged(previous, next) {
+  if (previous.length !== next.length) {
+    return true;
+  }
+  return next.some((record, index) => {
+    const before = previous[index];
+    return record.windowId !== before.windowId
+      || record.policy !== before.policy
+      || !sameFingerprint(record.fingerprint, before.fingerprint)
+      || record.seenAt - before.seenAt >= SEEN_AT_RESOLUTION_MS;
+  });
+}
+
+// `windows` are the open windows as { id, fingerprint }. Records keep their
+// window while it is open and take its current fingerprint; the others are
+// matched to open windows without a policy by fingerprint, best overlap first.
+// With `afterRestart`, an open window with a record's ID only counts when its
+// pages agree too, because the browser hands out the same IDs again.
+export function reconcileWindowPolicies(records, windows, { now = Date.now(), afterRestart = false } = {}) {
+  const byId = new Map(windows.map(win => [win.id, win]));
+  const claimed = new Set();
+  const next = [];
+  const orphans = [];
+  for (const record of records) {
+    const win = record.windowId === null ? null : byId.get(record.windowId);
+    const confirmed = win && !claimed.has(win.id)
+      && (!afterRestart || fingerprintOverlap(record.fingerprint, win.fingerprint) >= MIN_FINGERPRINT_OVERLAP);
+    if (confirmed) {
+      claimed.add(win.id);
+      next.push({
+        ...record,
+        // A window still filling up during session restore keeps its old fingerprint.
+        fingerprint: win.fingerprint.length ? win.fingerprint : record.fingerprint,
+        seenAt: now,
+      });
+    } else {
+      orphans.push({ ...record, windowId: null });
+    }
+  }
+
+  const pairs = [];
+  orphans.forEach((record, index) => {
+    for (const win of windows) {
+      if (claimed.has(win.id)) continue;
+      const overlap = fingerprintOverlap(record.fingerprint, win.fingerprint);
+      if (overlap >= MIN_FINGERPRINT_OVERLAP) {
+        pairs.push({ index, win, overlap });
+      }
+    }
+  });
+  pairs.sort((a, b) => b.overlap - a.overlap);
+  const matched = new Set();
+  for (const { index, win } of pairs) {
+    if (matched.has(index) || claimed.has(win.id)) continue;
+    matched.add(index);
+    claimed.add(win.id);
+    orphans[index] = { ...orphans[index], windowId: win.id, fingerprint: win.fingerprint, seenAt: now };
+  }
+  for (const record of orphans) {
+    if (record.windowId !== null || now - record.seenAt < WINDOW_POLICY_STALE_MS) {
+      next.push(record);
+    }
+  }
+  return next;
+}
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeClosedTabRetention,
+  normalizeClosedTabs,
+  createClosedTabRecord,
+  addClosedTabs,
+  pruneClosedTabs,
+} from '../extension/closed-tabs.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1);
+const DEFAULTS = { closedTabsMax: 100, closedTabsRetentionDays: 7 };
+
+function record(id, url, closedAt) {
+  return { id, url, title: id, closedAt };
+}
+
+test('retention limits are clamped and fall back per field', () => {
+  assert.deepEqual(
+    normalizeClosedTabRetention({ closedTabsMax: '900', closedTabsRetentionDays: 0 }, DEFAULTS),
+    { closedTabsMax: 500, closedTabsRetentionDays: 1 }
+  );
+  assert.deepEqual(normalizeClosedTabRetention({ closedTabsMax: '' }, DEFAULTS), DEFAULTS);
+});
+
+test('records keep what is needed to reopen the tab', () => {
+  const entry = {
+    url: 'https://a.com/',
+    title: 'A',
+    windowId: 3,
+    suspendedAt: NOW - DAY,
+    groupId: 4,
+    groupTitle: 'Work',
+    groupColor: 'blue',
+    token: 'secret',
+    pageState: { scrollX: 0, scrollY: 120 },
+  };
+
+  assert.deepEqual(createClosedTabRecord(entry, { cause: 'missing', now: NOW, id: 'r1' }), {
+    id: 'r1',
+    url: 'https://a.com/',
+    title: 'A',
+    favIconUrl: '',
+    windowId: 3,
+    suspendedAt: NOW - DAY,
+    closedAt: NOW,
+    cause: 'missing',
+    groupId: 4,
+    groupTitle: 'Work',
+    groupColor: 'blue',
+    pageState: { scrollX: 0, scrollY: 120 },
+  });
+});
+
+test('malformed journal records are dropped', () => {
+  assert.deepEqual(normalizeClosedTabs('nope'), []);
+  assert.deepEqual(
+    normalizeClosedTabs([record('a', 'https://a.com/', NOW), { id: 'b', url: 'https://b.com/' }, null]).map(item => item.id),
+    ['a']
+  );
+});
+
+test('old records expire and only the newest are kept', () => {
+  const records = [
+    record('old', 'https://old.com/', NOW - 8 * DAY),
+    record('a', 'https://a.com/', NOW - DAY),
+    record('b', 'https://b.com/', NOW - 2 * DAY),
+    record('c', 'https://c.com/', NOW),
+  ];
+
+  assert.deepEqual(
+    pruneClosedTabs(records, { closedTabsMax: 2, closedTabsRetentionDays: 7 }, NOW).map(item => item.id),
+    ['c', 'a']
+  );
+  assert.deepEqual(pruneClosedTabs(records, { closedTabsMax: 0, closedTabsRetentionDays: 7 }, NOW), []);
+});
+
+test('closing a page again replaces its older record', () => {
+  const journal = [record('first', 'https://a.com/doc', NOW - DAY), record('b', 'https://b.com/', NOW - DAY)];
+  const incoming = [record('second', 'https://a.com/doc', NOW)];
+
+  assert.deepEqual(addClosedTabs(journal, incoming, DEFAULTS, NOW).map(item => item.id), ['second', 'b']);
+});
+
+test('pages that differ only in fragment or query keep their own records', () => {
+  const journal = [record('inbox1', 'https://app.test/#/inbox/1', NOW - DAY)];
+  const incoming = [
+    record('inbox2', 'https://app.test/#/inbox/2', NOW),
+    record('search', 'https://app.test/?q=x', NOW),
+  ];
+
+  assert.deepEqual(
+    addClosedTabs(journal, incoming, DEFAULTS, NOW).map(item => item.id),
+    ['inbox2', 'search', 'inbox1']
+  );
+});
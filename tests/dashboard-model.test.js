@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ESTIMATED_TAB_MEMORY_MB,
+  buildWindowRows,
+  flattenRows,
+  findDuplicateGroups,
+  estimateMemoryByDomain,
+  buildTimeline,
+} from '../extension/dashboard-model.js';
+
+const PREFIX = 'chrome-extension://abc/suspended.html';
+
+const windows = [
+  {
+    id: 1,
+    focused: true,
+    tabs: [
+      { id: 10, index: 0, url: 'https://a.com/x', title: 'A live' },
+      { id: 11, index: 1, url: `${PREFIX}#token`, title: 'parked' },
+      { id: 12, index: 2, url: 'https://b.com/', title: 'B', discarded: true },
+    ],
+  },
+  {
+    id: 2,
+    tabs: [
+      { id: 20, index: 0, url: `${PREFIX}?url=${encodeURIComponent('https://a.com/x')}`, title: 'locked parked' },
+    ],
+  },
+];
+const suspendedTabs = {
+  11: { url: 'https://www.a.com/y', title: 'A parked', suspendedAt: 500 },
+};
+
+test('rows merge live tabs with suspended state', () => {
+  const rows = flattenRows(buildWindowRows(windows, suspendedTabs, PREFIX));
+
+  assert.deepEqual(rows.map(row => [row.id, row.status, row.url]), [
+    [10, 'live', 'https://a.com/x'],
+    [11, 'suspended', 'https://www.a.com/y'],
+    [12, 'discarded', 'https://b.com/'],
+    [20, 'suspended', 'https://a.com/x'],
+  ]);
+  assert.equal(rows[1].domain, 'a.com');
+  assert.equal(rows[1].suspendedAt, 500);
+});
+
+test('duplicates group identical URLs with live tabs first', () => {
+  const rows = flattenRows(buildWindowRows(windows, suspendedTabs, PREFIX));
+
+  const groups = findDuplicateGroups(rows);
+
+  assert.equal(groups.length, 1);
+  assert.deepEqual(groups[0].tabs.map(row => row.id), [10, 20]);
+});
+
+test('memory estimates split live use from savings per domain', () => {
+  const rows = flattenRows(buildWindowRows(windows, suspendedTabs, PREFIX));
+
+  const [first, second] = estimateMemoryByDomain(rows);
+
+  assert.deepEqual(first, {
+    domain: 'a.com', live: 1, inactive: 2,
+    estimatedMb: ESTIMATED_TAB_MEMORY_MB, savedMb: 2 * ESTIMATED_TAB_MEMORY_MB,
+  });
+  assert.equal(second.domain, 'b.com');
+});
+
+test('timeline buckets recent timestamps and totals older ones', () => {
+  const { buckets, older } = buildTimeline([5, 95, 99, 100, 150, 0], { now: 100, bucketMs: 10, bucketCount: 2 });
+
+  assert.deepEqual(buckets, [{ start: 80, count: 0 }, { start: 90, count: 3 }]);
+  assert.equal(older, 1);
+});
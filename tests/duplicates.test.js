@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { duplicateKey, findSuspendedDuplicates } from '../extension/duplicates.js';
+
+test('duplicate keys ignore tracking parameters and trailing slashes', () => {
+  const key = duplicateKey('https://Example.com/docs/?b=2&utm_source=x&a=1&fbclid=abc#intro');
+
+  assert.equal(key, 'https://example.com/docs?b=2&a=1#intro');
+  assert.equal(duplicateKey('https://example.com/docs/'), 'https://example.com/docs');
+  assert.equal(duplicateKey('https://example.com/'), 'https://example.com/');
+  assert.equal(duplicateKey('https://example.com/?q=a%20b'), 'https://example.com/?q=a%20b');
+});
+
+test('meaningful query parameters keep pages apart', () => {
+  assert.notEqual(duplicateKey('https://example.com/?page=1'), duplicateKey('https://example.com/?page=2'));
+  assert.notEqual(duplicateKey('https://example.com/?a=1&b=2'), duplicateKey('https://example.com/?a=1'));
+});
+
+test('hash-routed views are different pages', () => {
+  assert.notEqual(duplicateKey('https://mail.test/#/inbox'), duplicateKey('https://mail.test/#/sent'));
+  assert.notEqual(duplicateKey('https://mail.test/app#/inbox/1'), duplicateKey('https://mail.test/app#/inbox/2'));
+  assert.equal(duplicateKey('https://mail.test/app/#/inbox?utm_source=x'), 'https://mail.test/app#/inbox?utm_source=x');
+  assert.deepEqual(findSuspendedDuplicates({
+    1: { url: 'https://mail.test/#/inbox', suspendedAt: 100 },
+    2: { url: 'https://mail.test/#/sent', suspendedAt: 200 },
+  }), []);
+});
+
+test('unparseable URLs compare as-is', () => {
+  assert.equal(duplicateKey('not a url'), 'not a url');
+});
+
+test('the most recently suspended copy is kept', () => {
+  const groups = findSuspendedDuplicates({
+    1: { url: 'https://a.com/x?fbclid=1', title: 'old', suspendedAt: 100 },
+    2: { url: 'https://a.com/x/', title: 'new', suspendedAt: 300 },
+    3: { url: 'https://a.com/x?utm_medium=mail', title: 'mid', suspendedAt: 200 },
+    4: { url: 'https://b.com/', suspendedAt: 50 },
+  });
+
+  assert.deepEqual(groups, [{ key: 'https://a.com/x', title: 'new', keep: 2, extras: [3, 1] }]);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseForeignSuspendedUrl } from '../extension/foreign-suspenders.js';
+
+const TGS = 'chrome-extension://klbibkeccnjlkjkiokjodocebajanakg/suspended.html';
+const MARVELLOUS = 'chrome-extension://noogafoofpebimajpfpamcfhoaifemoa/suspended.html';
+
+test('parses The Great Suspender URLs with an unescaped trailing uri', () => {
+  const parsed = parseForeignSuspendedUrl(
+    `${TGS}#ttl=Search%20results&pos=120&uri=https://example.com/search?q=a&page=2#top`
+  );
+
+  assert.deepEqual(parsed, {
+    extensionId: 'klbibkeccnjlkjkiokjodocebajanakg',
+    source: 'The Great Suspender',
+    url: 'https://example.com/search?q=a&page=2#top',
+    title: 'Search results',
+  });
+});
+
+test('parses Marvellous Suspender URLs and decodes encoded uris', () => {
+  const parsed = parseForeignSuspendedUrl(`${MARVELLOUS}#ttl=Docs&uri=https%3A%2F%2Fdocs.example.com%2F`);
+
+  assert.equal(parsed.source, 'The Marvellous Suspender');
+  assert.equal(parsed.url, 'https://docs.example.com/');
+});
+
+test('recognizes unknown forks but ignores our own parked pages', () => {
+  const forkId = 'abcdefghijklmnopabcdefghijklmnop';
+  const forkUrl = `chrome-extension://${forkId}/suspended.html#uri=https://example.com/`;
+
+  assert.equal(parseForeignSuspendedUrl(forkUrl).source, 'Other suspender');
+  assert.equal(parseForeignSuspendedUrl(forkUrl, forkId), null);
+});
+
+test('rejects missing or unsafe original URLs', () => {
+  assert.equal(parseForeignSuspendedUrl(`${TGS}#ttl=x&pos=0`), null);
+  assert.equal(parseForeignSuspendedUrl(`${TGS}#uri=javascript:alert(1)`), null);
+  assert.equal(parseForeignSuspendedUrl('https://example.com/suspended.html#uri=https://a.test/'), null);
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePageState } from '../extension/page-state.js';
+
+test('normalizePageState clamps offsets and drops malformed fields', () => {
+  const pageState = normalizePageState({
+    x: -5,
+    y: 840.6,
+    fields: [
+      { i: 0, n: 'q', v: 'search' },
+      { i: 1, n: 'agree', c: true },
+      { i: -1, n: 'bad', v: 'x' },
+      { i: 3, n: 'huge', v: 'x'.repeat(5000) },
+      { i: 4, v: 'no name' },
+    ],
+  });
+
+  assert.deepEqual(pageState, {
+    x: 0,
+    y: 841,
+    fields: [{ i: 0, n: 'q', v: 'search' }, { i: 1, n: 'agree', c: true }],
+  });
+});
+
+test('normalizePageState returns null when there is nothing to restore', () => {
+  assert.equal(normalizePageState({ x: 0, y: 0, fields: [] }), null);
+  assert.equal(normalizePageState('nope'), null);
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  clearPause,
+  emptyPauses,
+  findActivePause,
+  getNextPauseExpiry,
+  getPauseKey,
+  normalizePauses,
+  setPause,
+} from '../extension/pauses.js';
+
+const NOW = 1_000_000;
+
+test('a site pause covers subdomains but not lookalike hosts', () => {
+  const pauses = setPause(emptyPauses(), 'site', getPauseKey('site', { url: 'https://www.example.com/' }), NOW + 60_000);
+
+  assert.equal(findActivePause(pauses, { tabId: 1, url: 'https://docs.example.com/a' }, NOW).scope, 'site');
+  assert.equal(findActivePause(pauses, { tabId: 1, url: 'https://myexample.com/' }, NOW), null);
+});
+
+test('global pauses win over narrower ones and expire on time', () => {
+  let pauses = setPause(emptyPauses(), 'tab', '7', NOW + 120_000);
+  pauses = setPause(pauses, 'all', 'all', NOW + 60_000);
+
+  assert.equal(findActivePause(pauses, { tabId: 7, url: 'https://a.test/' }, NOW).scope, 'all');
+  assert.equal(findActivePause(pauses, { tabId: 7, url: 'https://a.test/' }, NOW + 90_000).scope, 'tab');
+  assert.equal(findActivePause(pauses, { tabId: 7, url: 'https://a.test/' }, NOW + 150_000), null);
+});
+
+test('normalizePauses drops expired and malformed entries', () => {
+  const pauses = normalizePauses({
+    all: NOW - 1,
+    tabs: { 3: NOW + 10, x: NOW + 10, 4: NOW - 10 },
+    sites: { 'Example.com': NOW + 20, '': NOW + 20 },
+  }, NOW);
+
+  assert.deepEqual(pauses, { all: 0, tabs: { 3: NOW + 10 }, sites: { 'example.com': NOW + 20 } });
+  assert.equal(getNextPauseExpiry(pauses), NOW + 10);
+  assert.equal(getNextPauseExpiry(clearPause(clearPause(pauses, 'tab', '3'), 'site', 'example.com')), 0);
+});
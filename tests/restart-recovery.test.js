@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseParkedPageUrl, matchRestoredTabs } from '../extension/restart-recovery.js';
+
+const PREFIX = 'chrome-extension://abc/suspended.html';
+
+function parkedUrl(token, url) {
+  const params = new URLSearchParams({ token });
+  if (url) params.set('url', url);
+  return `${PREFIX}?${params}`;
+}
+
+test('parked page URLs expose their token and original URL', () => {
+  assert.deepEqual(parseParkedPageUrl(parkedUrl('t1', 'https://a.com/'), PREFIX), { token: 't1', url: 'https://a.com/' });
+  assert.deepEqual(parseParkedPageUrl(parkedUrl('t1'), PREFIX), { token: 't1', url: '' });
+  assert.equal(parseParkedPageUrl('https://a.com/', PREFIX), null);
+  assert.equal(parseParkedPageUrl(undefined, PREFIX), null);
+});
+
+test('restored pages are matched by token, then by URL', () => {
+  const suspendedTabs = {
+    1: { method: 'page', url: 'https://a.com/', token: 'ta' },
+    2: { method: 'page', url: 'https://b.com/', token: 'tb' },
+    3: { method: 'page', url: 'https://c.com/', token: 'tc' },
+  };
+  const tabs = [
+    { id: 40, windowId: 9, url: parkedUrl('tb', 'https://b.com/') },
+    { id: 41, windowId: 9, url: parkedUrl('old', 'https://a.com/') },
+    { id: 42, windowId: 9, url: 'https://c.com/' },
+  ];
+
+  assert.deepEqual(matchRestoredTabs(suspendedTabs, tabs, PREFIX), [
+    { fromTabId: '2', toTabId: 40, windowId: 9 },
+    { fromTabId: '1', toTabId: 41, windowId: 9 },
+  ]);
+});
+
+test('entries still attached to their tab are left alone', () => {
+  const suspendedTabs = {
+    5: { method: 'page', url: 'https://a.com/', token: 'ta' },
+    6: { method: 'page', url: 'https://a.com/', token: 'gone' },
+  };
+  const tabs = [{ id: 5, windowId: 1, url: parkedUrl('ta', 'https://a.com/') }];
+
+  assert.deepEqual(matchRestoredTabs(suspendedTabs, tabs, PREFIX), []);
+});
+
+test('a reused tab ID showing another parked page counts as stale', () => {
+  const suspendedTabs = {
+    5: { method: 'page', url: 'https://a.com/', token: 'ta' },
+    6: { method: 'page', url: 'https://b.com/', token: 'tb' },
+  };
+  const tabs = [
+    { id: 5, windowId: 1, url: parkedUrl('tb', 'https://b.com/') },
+    { id: 6, windowId: 1, url: parkedUrl('ta', 'https://a.com/') },
+  ];
+
+  assert.deepEqual(matchRestoredTabs(suspendedTabs, tabs, PREFIX), [
+    { fromTabId: '5', toTabId: 6, windowId: 1 },
+    { fromTabId: '6', toTabId: 5, windowId: 1 },
+  ]);
+});
+
+test('live tabs, incognito tabs and discard entries are never matched', () => {
+  const suspendedTabs = {
+    1: { method: 'page', url: 'https://a.com/', token: 'ta' },
+    2: { method: 'discard', url: 'https://b.com/' },
+  };
+  const tabs = [
+    { id: 7, windowId: 1, url: 'https://a.com/' },
+    { id: 8, windowId: 2, incognito: true, url: parkedUrl('ta', 'https://a.com/') },
+    { id: 9, windowId: 1, url: parkedUrl('x', 'https://b.com/') },
+  ];
+
+  assert.deepEqual(matchRestoredTabs(suspendedTabs, tabs, PREFIX), []);
+});
+
+test('a pending navigation to the reissued URL counts as attached', () => {
+  const suspendedTabs = { 3: { method: 'page', url: 'https://a.com/', token: 'new' } };
+  const tabs = [{
+    id: 3,
+    windowId: 1,
+    url: parkedUrl('old', 'https://a.com/'),
+    pendingUrl: parkedUrl('new', 'https://a.com/'),
+  }];
+
+  assert.deepEqual(matchRestoredTabs(suspendedTabs, tabs, PREFIX), []);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_SESSION_NAME_LENGTH,
+  normalizeSessionName,
+  normalizeSavedSessions,
+  summarizeSavedSessions,
+  buildSessionState,
+} from '../extension/saved-sessions.js';
+
+test('session names are trimmed, collapsed and capped', () => {
+  assert.equal(normalizeSessionName('  Release \n week  '), 'Release week');
+  assert.equal(normalizeSessionName('   '), '');
+  assert.equal(normalizeSessionName(42), '');
+  assert.equal(normalizeSessionName('x'.repeat(500)).length, MAX_SESSION_NAME_LENGTH);
+});
+
+test('malformed records are dropped and summaries list newest first', () => {
+  const records = normalizeSavedSessions([
+    { id: 'a', name: 'Older', timestamp: 1, tabCount: 2, data: { plain: {} } },
+    { id: 'b', name: 'Newer', timestamp: 5, tabCount: 1, data: { ct: 'x' } },
+    { id: 'c', name: ' ', timestamp: 9, data: {} },
+    { name: 'No id', data: {} },
+    null,
+  ]);
+
+  assert.deepEqual(summarizeSavedSessions(records), [
+    { id: 'b', name: 'Newer', createdAt: 5, tabCount: 1 },
+    { id: 'a', name: 'Older', createdAt: 1, tabCount: 2 },
+  ]);
+  assert.deepEqual(normalizeSavedSessions('nope'), []);
+});
+
+test('session state keeps parked entries and records live tabs with their group', () => {
+  const parked = { url: 'https://a.com/', title: 'A', windowId: 1, method: 'page', token: 't', suspendedAt: 3 };
+  const state = buildSessionState(
+    [
+      { id: 1, windowId: 7, url: 'chrome-extension://x/suspended.html#t' },
+      { id: 2, windowId: 7, url: 'https://b.com/', title: 'B', groupId: 4 },
+      { id: 3, windowId: 8, url: 'https://c.com/', title: 'C', groupId: -1 },
+    ],
+    { 1: parked },
+    { groups: new Map([[4, { title: 'Work', color: 'blue' }]]), now: 10 }
+  );
+
+  assert.deepEqual(state.suspendedTabs[1], { ...parked, windowId: 7 });
+  assert.deepEqual(state.suspendedTabs[2], {
+    url: 'https://b.com/', title: 'B', favIconUrl: '', windowId: 7, suspendedAt: 10,
+    method: 'page', reason: 'saved-session', groupId: 4, groupTitle: 'Work', groupColor: 'blue',
+  });
+  assert.equal('groupId' in state.suspendedTabs[3], false);
+});
@@ -0,0 +1,156 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTimeOfDay,
+  normalizeSchedule,
+  normalizeSchedules,
+  isScheduleActive,
+  getActiveSchedules,
+  resolveScheduledPolicy,
+  scheduleCoversTab,
+  getLatestOccurrence,
+  registerScheduleRuns,
+  selectDueSchedules,
+  getNextScheduleBoundary,
+  getShortestScheduleTimeout,
+  SCHEDULE_RUN_GRACE_MS,
+} from '../extension/schedules.js';
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+// Local times, so the tests hold in any time zone. 2024-06-14 is a Friday.
+const at = (day, hours, minutes = 0) => new Date(2024, 5, day, hours, minutes).getTime();
+
+function schedule(fields) {
+  return normalizeSchedule({ id: fields.id || 's1', ...fields });
+}
+
+test('times of day parse to minutes after midnight', () => {
+  assert.equal(parseTimeOfDay('09:30'), 570);
+  assert.equal(parseTimeOfDay('0:05'), 5);
+  assert.equal(parseTimeOfDay('24:00'), null);
+  assert.equal(parseTimeOfDay('9am'), null);
+});
+
+test('schedules are normalized with safe defaults', () => {
+  assert.deepEqual(normalizeSchedule({ id: 'a', action: 'explode', days: [5, 1, 9], start: '7:5', timeoutMinutes: 0 }), {
+    id: 'a',
+    enabled: true,
+    action: 'timeout',
+    days: [1, 5],
+    start: '09:00',
+    end: '17:00',
+    timeoutMinutes: 5,
+    pattern: '',
+    scope: 'tabs',
+  });
+  assert.equal(normalizeSchedule(null), null);
+  const [first, second] = normalizeSchedules([{ id: 'x' }, { id: 'x' }, 'junk']);
+  assert.equal(first.id, 'x');
+  assert.notEqual(second.id, 'x');
+});
+
+test('daytime windows cover their days between start and end', () => {
+  const work = schedule({ action: 'pause', days: WEEKDAYS, start: '09:00', end: '10:00' });
+  assert.equal(isScheduleActive(work, at(14, 9, 30)), true);
+  assert.equal(isScheduleActive(work, at(14, 10, 0)), false);
+  assert.equal(isScheduleActive(work, at(15, 9, 30)), false); // Saturday
+  assert.equal(isScheduleActive({ ...work, enabled: false }, at(14, 9, 30)), false);
+});
+
+test('overnight windows belong to the day they start on', () => {
+  const night = schedule({ action: 'timeout', days: [5], start: '22:00', end: '06:00' });
+  assert.equal(isScheduleActive(night, at(14, 23)), true);
+  assert.equal(isScheduleActive(night, at(15, 3)), true); // Saturday morning, started Friday
+  assert.equal(isScheduleActive(night, at(13, 3)), false); // Thursday morning
+  assert.equal(isScheduleActive(night, at(15, 23)), false);
+});
+
+test('suspend-all schedules are never active windows', () => {
+  const evening = schedule({ action: 'suspend-all', start: '18:00' });
+  assert.equal(isScheduleActive(evening, at(14, 18)), false);
+});
+
+test('patterns limit a schedule to matching tabs or their windows', () => {
+  const tabs = schedule({ pattern: 'jira.example.com' });
+  const windows = schedule({ pattern: 'jira.example.com', scope: 'windows' });
+  const jira = { url: 'https://jira.example.com/board' };
+  const docs = { url: 'https://docs.test/' };
+  assert.equal(scheduleCoversTab(tabs, jira), true);
+  assert.equal(scheduleCoversTab(tabs, docs, [jira, docs]), false);
+  assert.equal(scheduleCoversTab(windows, docs, [jira, docs]), true);
+  assert.equal(scheduleCoversTab(windows, docs, [docs]), false);
+  assert.equal(scheduleCoversTab(schedule({}), docs), true);
+});
+
+test('the first active schedule covering a tab decides its policy', () => {
+  const list = normalizeSchedules([
+    { id: 'standup', action: 'pause', start: '09:00', end: '10:00', pattern: 'meet.test' },
+    { id: 'evening', action: 'timeout', start: '08:00', end: '20:00', timeoutMinutes: 5 },
+  ]);
+  const active = getActiveSchedules(list, at(14, 9, 15));
+  assert.deepEqual(active.map(item => item.id), ['standup', 'evening']);
+  const meet = resolveScheduledPolicy(active, { url: 'https://meet.test/abc' });
+  assert.equal(meet.paused, true);
+  const other = resolveScheduledPolicy(active, { url: 'https://news.test/' });
+  assert.deepEqual({ paused: other.paused, timeoutMinutes: other.timeoutMinutes }, { paused: false, timeoutMinutes: 5 });
+  assert.equal(resolveScheduledPolicy(getActiveSchedules(list, at(14, 21)), { url: 'https://news.test/' }), null);
+});
+
+test('the latest occurrence skips days the schedule does not run on', () => {
+  const weekdays = schedule({ action: 'suspend-all', days: WEEKDAYS, start: '18:00' });
+  assert.equal(getLatestOccurrence(weekdays, at(14, 19)), at(14, 18));
+  assert.equal(getLatestOccurrence(weekdays, at(17, 9)), at(14, 18)); // Monday morning
+  assert.equal(getLatestOccurrence(schedule({ days: [] }), at(14, 9)), null);
+});
+
+test('new suspend-all schedules only count runs from when they are first seen', () => {
+  const list = normalizeSchedules([
+    { id: 'evening', action: 'suspend-all', start: '18:00' },
+    { id: 'window', action: 'timeout' },
+  ]);
+  assert.deepEqual(registerScheduleRuns(list, { gone: 1 }, at(14, 18, 5)), { evening: at(14, 18, 5) });
+  const { due, runs } = selectDueSchedules(list, {}, at(14, 18, 5));
+  assert.deepEqual(due, []);
+  assert.deepEqual(runs, { evening: at(14, 18, 5) });
+});
+
+test('suspend-all schedules run once per occurrence within the grace period', () => {
+  const list = normalizeSchedules([{ id: 'evening', action: 'suspend-all', start: '18:00' }]);
+  const before = { evening: at(14, 12) };
+  const first = selectDueSchedules(list, before, at(14, 18, 1));
+  assert.deepEqual(first.due.map(item => item.id), ['evening']);
+  assert.deepEqual(first.runs, { evening: at(14, 18, 1) });
+  assert.deepEqual(selectDueSchedules(list, first.runs, at(14, 18, 2)).due, []);
+
+  const late = selectDueSchedules(list, before, at(14, 18) + SCHEDULE_RUN_GRACE_MS + 60000);
+  assert.deepEqual(late.due, []);
+  assert.deepEqual(late.runs, before);
+});
+
+test('the next boundary is the soonest start or end of any schedule', () => {
+  const list = normalizeSchedules([
+    { id: 'standup', action: 'pause', days: WEEKDAYS, start: '09:00', end: '10:00' },
+    { id: 'evening', action: 'suspend-all', days: WEEKDAYS, start: '18:00' },
+  ]);
+  assert.equal(getNextScheduleBoundary(list, at(14, 8)), at(14, 9));
+  assert.equal(getNextScheduleBoundary(list, at(14, 9)), at(14, 10));
+  assert.equal(getNextScheduleBoundary(list, at(14, 12)), at(14, 18));
+  assert.equal(getNextScheduleBoundary(list, at(14, 19)), at(17, 9)); // over the weekend
+  assert.equal(getNextScheduleBoundary([], at(14, 19)), null);
+});
+
+test('overnight windows end on the morning after an enabled day', () => {
+  const list = normalizeSchedules([{ id: 'night', action: 'timeout', days: [5], start: '22:00', end: '06:00' }]);
+  assert.equal(getNextScheduleBoundary(list, at(14, 23)), at(15, 6));
+  assert.equal(getNextScheduleBoundary(list, at(15, 7)), at(21, 22));
+});
+
+test('the shortest schedule timeout keeps the alarm cadence in step', () => {
+  const list = normalizeSchedules([
+    { action: 'timeout', timeoutMinutes: 15 },
+    { action: 'timeout', timeoutMinutes: 5, enabled: false },
+    { action: 'pause' },
+  ]);
+  assert.equal(getShortestScheduleTimeout(list), 15);
+  assert.equal(getShortestScheduleTimeout([]), 0);
+});
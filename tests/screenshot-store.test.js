@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeScreenshotIndex, selectScreenshotEvictions } from '../extension/screenshot-store.js';
+
+test('malformed index entries are dropped', () => {
+  const index = normalizeScreenshotIndex({
+    a: { bytes: 100, lastUsedAt: 5 },
+    b: { bytes: 0, lastUsedAt: 5 },
+    c: { bytes: 'x', lastUsedAt: 5 },
+    d: null,
+  });
+
+  assert.deepEqual(index, { a: { bytes: 100, lastUsedAt: 5 } });
+  assert.deepEqual(normalizeScreenshotIndex('nope'), {});
+});
+
+test('least recently used screenshots are evicted until under quota', () => {
+  const index = {
+    old: { bytes: 40, lastUsedAt: 1 },
+    mid: { bytes: 40, lastUsedAt: 2 },
+    new: { bytes: 40, lastUsedAt: 3 },
+  };
+
+  assert.deepEqual(selectScreenshotEvictions(index, { quotaBytes: 80 }), ['old']);
+  assert.deepEqual(selectScreenshotEvictions(index, { quotaBytes: 120 }), []);
+});
+
+test('orphans are evicted only after the grace period', () => {
+  const index = {
+    live: { bytes: 10, lastUsedAt: 1 },
+    staleOrphan: { bytes: 10, lastUsedAt: 1 },
+    freshOrphan: { bytes: 10, lastUsedAt: 50 },
+  };
+
+  const evicted = selectScreenshotEvictions(index, {
+    quotaBytes: 1000,
+    liveTokens: new Set(['live']),
+    orphanBefore: 10,
+  });
+
+  assert.deepEqual(evicted, ['staleOrphan']);
+});
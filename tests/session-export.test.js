@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildExportPayload,
+  decodeExportPayload,
+  validateExportFile,
+  wrapExportFile,
+} from '../extension/session-export.js';
+
+const entry = {
+  url: 'https://example.com/a',
+  title: 'A',
+  windowId: 3,
+  suspendedAt: 1_000,
+  method: 'page',
+  reason: 'auto',
+  token: 'tok',
+  tokenIssuedAt: 1_000,
+  tokenUsed: false,
+  favIconUrl: '',
+};
+
+const encrypted = { salt: 'c2FsdHNhbHRzYWx0c2FsdA==', iv: 'aXZpdml2aXZpdml2', iterations: 600000, ct: 'Y3Q=' };
+
+test('export payload round-trips state and snapshots through the v2 codec', () => {
+  const payload = buildExportPayload({
+    state: { suspendedTabs: { 7: entry } },
+    snapshots: [{ id: 'snap-1', timestamp: 500, state: { suspendedTabs: { 9: entry } } }],
+    exportedAt: 2_000,
+  });
+
+  const decoded = decodeExportPayload(JSON.parse(JSON.stringify(payload)));
+
+  assert.equal(decoded.exportedAt, 2_000);
+  assert.deepEqual(decoded.state.suspendedTabs[7], entry);
+  assert.equal(decoded.snapshots.length, 1);
+  assert.equal(decoded.snapshots[0].id, 'snap-1');
+  assert.deepEqual(decoded.snapshots[0].state.suspendedTabs[9], entry);
+});
+
+test('decoding drops empty and duplicate snapshots', () => {
+  const payload = buildExportPayload({
+    state: { suspendedTabs: {} },
+    snapshots: [
+      { id: 'dup', timestamp: 1, state: { suspendedTabs: { 1: entry } } },
+      { id: 'dup', timestamp: 2, state: { suspendedTabs: { 2: entry } } },
+      { id: 'empty', timestamp: 3, state: { suspendedTabs: {} } },
+    ],
+  });
+
+  const decoded = decodeExportPayload(payload);
+
+  assert.deepEqual(decoded.snapshots.map(s => s.timestamp), [1]);
+});
+
+test('validateExportFile accepts wrapped files and extracts the envelope', () => {
+  const result = validateExportFile(wrapExportFile(encrypted, 10));
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.envelope, encrypted);
+});
+
+test('validateExportFile rejects foreign, future and malformed files', () => {
+  const file = wrapExportFile(encrypted, 10);
+
+  assert.equal(validateExportFile({ hello: 'world' }).error, 'invalid-format');
+  assert.equal(validateExportFile({ ...file, version: 99 }).error, 'unsupported-version');
+  assert.equal(validateExportFile({ ...file, ct: 'not base64!' }).error, 'invalid-format');
+  assert.equal(validateExportFile({ ...file, kdf: { ...file.kdf, iterations: 1e9 } }).error, 'invalid-format');
+});
@@ -0,0 +1,18 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { clampInteger, clampSettings } from '../extension/setting-limits.js';
+
+test('integers are rounded into range and blanks fall back', () => {
+  const limits = { min: 1, max: 10 };
+  assert.equal(clampInteger('4.6', limits, 3), 5);
+  assert.equal(clampInteger(50, limits, 3), 10);
+  assert.equal(clampInteger(-2, limits, 3), 1);
+  assert.equal(clampInteger('', limits, 3), 3);
+  assert.equal(clampInteger('abc', limits, 3), 3);
+});
+
+test('only the limited keys are read, each with its own default', () => {
+  const limits = { a: { min: 0, max: 5 }, b: { min: 0, max: 5 } };
+  assert.deepEqual(clampSettings({ a: 9, c: 1 }, limits, { a: 1, b: 2 }), { a: 5, b: 2 });
+  assert.deepEqual(clampSettings(null, limits, { a: 1, b: 2 }), { a: 1, b: 2 });
+});
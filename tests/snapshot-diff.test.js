@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSuspendedTabs } from '../extension/snapshot-diff.js';
+
+test('tabs are split into added, removed and unchanged', () => {
+  const diff = diffSuspendedTabs(
+    {
+      1: { url: 'https://a.com/', title: 'A' },
+      2: { url: 'https://b.com/', title: 'B' },
+    },
+    {
+      7: { url: 'https://b.com/', title: 'B again' },
+      8: { url: 'https://c.com/', title: 'C', favIconUrl: 'https://c.com/icon.png' },
+    }
+  );
+
+  assert.deepEqual(diff.removed, [{ key: 'https://a.com/', url: 'https://a.com/', title: 'A', favIconUrl: '' }]);
+  assert.deepEqual(diff.added, [
+    { key: 'https://c.com/', url: 'https://c.com/', title: 'C', favIconUrl: 'https://c.com/icon.png' },
+  ]);
+  assert.deepEqual(diff.unchanged.map(item => item.title), ['B again']);
+});
+
+test('pages are matched like duplicates and listed once', () => {
+  const diff = diffSuspendedTabs(
+    { 1: { url: 'https://a.com/doc', title: 'Doc' } },
+    {
+      2: { url: 'https://a.com/doc?utm_source=mail', title: 'Doc' },
+      3: { url: 'https://a.com/doc/', title: 'Doc copy' },
+    }
+  );
+
+  assert.equal(diff.added.length, 0);
+  assert.equal(diff.removed.length, 0);
+  assert.equal(diff.unchanged.length, 1);
+});
+
+test('entries without a URL and missing sides are ignored', () => {
+  const diff = diffSuspendedTabs(null, { 1: { title: 'no url' }, 2: { url: 'https://z.com/', title: '' } });
+
+  assert.deepEqual(diff.added.map(item => item.url), ['https://z.com/']);
+  assert.deepEqual(diff.removed, []);
+});
+
+test('results are sorted by title, falling back to the URL', () => {
+  const diff = diffSuspendedTabs({}, {
+    1: { url: 'https://b.com/', title: 'Zeta' },
+    2: { url: 'https://a.com/', title: '' },
+    3: { url: 'https://c.com/', title: 'Alpha' },
+  });
+
+  assert.deepEqual(diff.added.map(item => item.url), ['https://c.com/', 'https://a.com/', 'https://b.com/']);
+});
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeOpenTarget, planRestoreWindows } from '../extension/snapshot-restore.js';
+
+const entries = [
+  { url: 'https://a.com/', windowId: 2 },
+  { url: 'https://b.com/', windowId: 5 },
+  { url: 'https://c.com/' },
+  { url: 'https://d.com/', windowId: 2 },
+];
+
+test('unknown targets fall back to a new window', () => {
+  assert.equal(normalizeOpenTarget('original-windows'), 'original-windows');
+  assert.equal(normalizeOpenTarget('somewhere'), 'new-window');
+  assert.equal(normalizeOpenTarget(undefined), 'new-window');
+});
+
+test('new and current window targets open everything in one batch', () => {
+  assert.deepEqual(planRestoreWindows(entries, 'new-window'), [{ newWindow: true, entries }]);
+  assert.deepEqual(planRestoreWindows(entries, 'current-window'), [{ newWindow: false, entries }]);
+});
+
+test('original windows get one new window each, in order', () => {
+  const batches = planRestoreWindows(entries, 'original-windows');
+
+  assert.deepEqual(batches.map(batch => batch.newWindow), [true, true, true]);
+  assert.deepEqual(batches.map(batch => batch.entries.map(entry => entry.url)), [
+    ['https://a.com/', 'https://d.com/'],
+    ['https://b.com/'],
+    ['https://c.com/'],
+  ]);
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applySnapshotRetention,
+  normalizeRetention,
+  normalizeSnapshotInterval,
+} from '../extension/snapshot-retention.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = 100 * DAY;
+const defaults = { snapshotKeepHourly: 24, snapshotKeepDaily: 7, snapshotKeepWeekly: 4 };
+
+const at = (id, timestamp) => ({ id, timestamp });
+
+test('the newest snapshot per hour is kept within the hourly window', () => {
+  const list = [
+    at('h0-new', NOW - 10 * 60 * 1000),
+    at('h0-old', NOW - 50 * 60 * 1000),
+    at('h1', NOW - 90 * 60 * 1000),
+    at('h3', NOW - 3.5 * HOUR),
+  ];
+
+  const kept = applySnapshotRetention(list, { snapshotKeepHourly: 3, snapshotKeepDaily: 0, snapshotKeepWeekly: 0 }, NOW);
+
+  assert.deepEqual(kept.map(s => s.id), ['h0-new', 'h1']);
+});
+
+test('daily and weekly tiers keep older snapshots sparsely', () => {
+  const list = [
+    at('now', NOW - HOUR),
+    at('d2-a', NOW - 2 * DAY + 2 * HOUR),
+    at('d2-b', NOW - 2 * DAY + HOUR),
+    at('w2', NOW - 15 * DAY),
+    at('w9', NOW - 60 * DAY),
+  ];
+
+  const kept = applySnapshotRetention(list, { snapshotKeepHourly: 0, snapshotKeepDaily: 7, snapshotKeepWeekly: 4 }, NOW);
+
+  assert.deepEqual(kept.map(s => s.id), ['now', 'd2-a', 'w2']);
+});
+
+test('the newest snapshot survives even with every tier off', () => {
+  const list = [at('old', NOW - 30 * DAY), at('older', NOW - 40 * DAY)];
+
+  const kept = applySnapshotRetention(list, { snapshotKeepHourly: 0, snapshotKeepDaily: 0, snapshotKeepWeekly: 0 }, NOW);
+
+  assert.deepEqual(kept.map(s => s.id), ['old']);
+  assert.deepEqual(applySnapshotRetention(null, defaults, NOW), []);
+});
+
+test('retention and interval settings are clamped with defaults for junk', () => {
+  assert.deepEqual(
+    normalizeRetention({ snapshotKeepHourly: 500, snapshotKeepDaily: 'x', snapshotKeepWeekly: -3 }, defaults),
+    { snapshotKeepHourly: 168, snapshotKeepDaily: 7, snapshotKeepWeekly: 0 }
+  );
+  assert.equal(normalizeSnapshotInterval(5, 180), 15);
+  assert.equal(normalizeSnapshotInterval('', 180), 180);
+  assert.equal(normalizeSnapshotInterval(undefined, 180), 180);
+});
+
+test('buckets follow the local calendar, not UTC', () => {
+  const originalTz = process.env.TZ;
+  try {
+    // UTC-4 in June: 23:00 and 01:00 local fall on different days but the same UTC day.
+    process.env.TZ = 'America/New_York';
+    const evening = new Date(2024, 5, 14, 23).getTime();
+    const night = new Date(2024, 5, 15, 1).getTime();
+    const daily = { snapshotKeepHourly: 0, snapshotKeepDaily: 7, snapshotKeepWeekly: 0 };
+    assert.deepEqual(
+      applySnapshotRetention([at('night', night), at('evening', evening)], daily, night + HOUR).map(s => s.id),
+      ['night', 'evening']
+    );
+
+    // UTC+5:30: 10:10 and 10:50 local are one local hour but two UTC hours.
+    process.env.TZ = 'Asia/Kolkata';
+    const early = new Date(2024, 5, 14, 10, 10).getTime();
+    const late = new Date(2024, 5, 14, 10, 50).getTime();
+    const hourly = { snapshotKeepHourly: 24, snapshotKeepDaily: 0, snapshotKeepWeekly: 0 };
+    assert.deepEqual(
+      applySnapshotRetention([at('late', late), at('early', early)], hourly, late + 5 * 60 * 1000).map(s => s.id),
+      ['late']
+    );
+  } finally {
+    if (originalTz === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = originalTz;
+    }
+  }
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeStateAny, encodeStateV2 } from '../extension/state-codec.js';
+
+const entry = {
+  url: 'https://example.com/a',
+  title: 'A',
+  windowId: 3,
+  suspendedAt: 1_000,
+  method: 'discard',
+  reason: 'auto',
+  favIconUrl: '',
+};
+
+test('group fields round-trip through the compact codec', () => {
+  const grouped = { ...entry, groupId: 12, groupTitle: 'Research', groupColor: 'cyan' };
+
+  const decoded = decodeStateAny(encodeStateV2({ suspendedTabs: { 7: grouped, 8: entry } }));
+
+  assert.deepEqual(decoded.suspendedTabs[7], grouped);
+  assert.deepEqual(decoded.suspendedTabs[8], entry);
+});
+
+test('tuples written before group support still decode', () => {
+  const encoded = encodeStateV2({ suspendedTabs: { 7: entry } });
+  encoded.tabs = encoded.tabs.map(tuple => tuple.slice(0, 11));
+
+  assert.deepEqual(decodeStateAny(encoded).suspendedTabs[7], entry);
+});
+
+test('unknown group colors are dropped', () => {
+  const decoded = decodeStateAny({
+    suspendedTabs: { 7: { ...entry, groupId: 4, groupTitle: 'X', groupColor: 'magenta' } },
+  });
+
+  assert.equal(decoded.suspendedTabs[7].groupColor, '');
+});
+
+test('page state is kept for parked entries only', () => {
+  const pageState = { x: 0, y: 1200, fields: [{ i: 2, n: 'comment', v: 'draft' }] };
+  const parked = { ...entry, method: 'page', token: 't', tokenIssuedAt: 1_000, tokenUsed: false, pageState };
+
+  const decoded = decodeStateAny(encodeStateV2({ suspendedTabs: { 7: parked, 8: { ...entry, pageState } } }));
+
+  assert.deepEqual(decoded.suspendedTabs[7].pageState, pageState);
+  assert.equal('pageState' in decoded.suspendedTabs[8], false);
+});
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  dayKey,
+  normalizeStats,
+  recordSuspensions,
+  recordResumes,
+  pruneStats,
+  summarizeStats,
+  buildStatsCsv,
+} from '../extension/stats.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Local noon, so day arithmetic below never lands on a boundary.
+const NOW = new Date(2024, 5, 15, 12).getTime();
+
+test('day keys are local calendar dates', () => {
+  assert.equal(dayKey(NOW), '2024-06-15');
+  assert.equal(dayKey(new Date(2024, 0, 2, 0, 5).getTime()), '2024-01-02');
+});
+
+test('normalizing drops malformed days and counts', () => {
+  const stats = normalizeStats({
+    days: {
+      '2024-06-15': { suspended: { auto: 2, manual: -1, bad: 'x' }, resumed: 1, suspendedMs: 'nope' },
+      yesterday: { resumed: 3 },
+    },
+  });
+  assert.deepEqual(stats, {
+    days: {
+      '2024-06-15': { suspended: { auto: 2 }, resumed: 1, suspendedMs: 0, memoryMb: 0, domains: {} },
+    },
+  });
+  assert.deepEqual(normalizeStats(null), { days: {} });
+});
+
+test('suspensions are counted by reason, domain and memory freed', () => {
+  const stats = normalizeStats(null);
+  recordSuspensions(stats, [
+    { reason: 'auto', url: 'https://www.example.com/a', memoryMb: 80 },
+    { reason: 'auto', url: 'https://example.com/b', memoryMb: 40 },
+    { reason: 'restored-from-snapshot', url: 'https://docs.test/', memoryMb: 0 },
+    { url: 'not a url' },
+  ], NOW);
+  assert.deepEqual(stats.days['2024-06-15'], {
+    suspended: { auto: 2, 'restored-from-snapshot': 1, unknown: 1 },
+    resumed: 0,
+    suspendedMs: 0,
+    memoryMb: 120,
+    domains: { 'example.com': 2, 'docs.test': 1 },
+  });
+});
+
+test('resumes add the time each tab spent suspended', () => {
+  const stats = normalizeStats(null);
+  recordResumes(stats, [
+    { suspendedAt: NOW - 2 * HOUR },
+    { suspendedAt: NOW - 4 * HOUR },
+    { suspendedAt: NOW + HOUR },
+    {},
+  ], NOW);
+  const day = stats.days['2024-06-15'];
+  assert.equal(day.resumed, 4);
+  assert.equal(day.suspendedMs, 6 * HOUR);
+});
+
+test('a day bucket keeps only its most suspended domains', () => {
+  const stats = normalizeStats(null);
+  const events = Array.from({ length: 60 }, (_, i) => ({ reason: 'auto', url: `https://site${i}.test/` }));
+  events.push({ reason: 'auto', url: 'https://site59.test/other' });
+  recordSuspensions(stats, events, NOW);
+  const domains = stats.days['2024-06-15'].domains;
+  assert.equal(Object.keys(domains).length, 50);
+  assert.equal(domains['site59.test'], 2);
+});
+
+test('pruning drops days past the retention window', () => {
+  const stats = normalizeStats(null);
+  recordSuspensions(stats, [{ reason: 'manual', url: 'https://a.test/' }], NOW - 10 * DAY);
+  recordSuspensions(stats, [{ reason: 'manual', url: 'https://a.test/' }], NOW - 9 * DAY);
+  recordSuspensions(stats, [{ reason: 'manual', url: 'https://a.test/' }], NOW);
+  const pruned = pruneStats(stats, NOW, 10);
+  assert.deepEqual(Object.keys(pruned.days).sort(), [dayKey(NOW - 9 * DAY), dayKey(NOW)]);
+});
+
+test('summaries cover every day in range, oldest first', () => {
+  const stats = normalizeStats(null);
+  recordSuspensions(stats, [
+    { reason: 'auto', url: 'https://a.test/', memoryMb: 75 },
+    { reason: 'manual', url: 'https://b.test/', memoryMb: 75 },
+  ], NOW - DAY);
+  recordSuspensions(stats, [{ reason: 'auto', url: 'https://a.test/', memoryMb: 75 }], NOW);
+  recordSuspensions(stats, [{ reason: 'tab-budget', url: 'https://old.test/' }], NOW - 20 * DAY);
+  recordResumes(stats, [{ suspendedAt: NOW - 3 * HOUR }, { suspendedAt: NOW - HOUR }], NOW);
+
+  const summary = summarizeStats(stats, { now: NOW, days: 7 });
+  assert.equal(summary.days.length, 7);
+  assert.equal(summary.days[0].day, dayKey(NOW - 6 * DAY));
+  assert.equal(summary.days[6].day, '2024-06-15');
+  assert.deepEqual(summary.days[5].suspended, { auto: 1, manual: 1 });
+  assert.equal(summary.days[5].total, 2);
+  assert.equal(summary.days[6].avgSuspendedMs, 2 * HOUR);
+  assert.equal(summary.days[0].total, 0);
+  assert.deepEqual(summary.reasons, ['auto', 'manual']);
+  assert.deepEqual(summary.totals, {
+    suspended: 3,
+    byReason: { auto: 2, manual: 1 },
+    resumed: 2,
+    avgSuspendedMs: 2 * HOUR,
+    memoryMb: 225,
+  });
+  assert.deepEqual(summary.topDomains, [{ domain: 'a.test', count: 2 }, { domain: 'b.test', count: 1 }]);
+});
+
+test('the CSV has one column per reason and one row per day', () => {
+  const stats = normalizeStats(null);
+  recordSuspensions(stats, [
+    { reason: 'auto', url: 'https://a.test/', memoryMb: 75 },
+    { reason: 'memory-pressure', url: 'https://b.test/', memoryMb: 50 },
+  ], NOW);
+  recordResumes(stats, [{ suspendedAt: NOW - 90 * 60 * 1000 }], NOW);
+  const csv = buildStatsCsv(summarizeStats(stats, { now: NOW, days: 2 }));
+  assert.equal(csv, [
+    'date,suspended_auto,suspended_memory-pressure,suspended_total,resumed,avg_suspended_minutes,estimated_memory_saved_mb',
+    `${dayKey(NOW - DAY)},0,0,0,0,0,0`,
+    '2024-06-15,1,1,2,1,90,125',
+    '',
+  ].join('\r\n'));
+});
@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findMatchingRule,
+  mergeWhitelistIntoRules,
+  normalizeRules,
+  resolveSuspensionPolicy,
+  getShortestTimeoutMinutes,
+  hasNeverRule,
+  removeNeverRules,
+  toggleNeverRule,
+  pageRulePattern,
+  siteRulePattern,
+} from '../extension/suspension-rules.js';
+
+const baseSettings = {
+  autoSuspendMinutes: 30,
+  excludeActive: true,
+  excludePinned: true,
+  excludeAudible: true,
+  unsuspendMethod: 'activate',
+};
+
+test('first enabled matching rule wins', () => {
+  const rules = normalizeRules([
+    { id: 'off', pattern: 'docs.example.com', enabled: false, action: 'never' },
+    { id: 'docs', pattern: 'docs.example.com', timeoutMinutes: 5 },
+    { id: 'all', pattern: 'example.com', action: 'never' },
+  ]);
+
+  assert.equal(findMatchingRule('https://docs.example.com/guide', rules).id, 'docs');
+  assert.equal(findMatchingRule('https://www.example.com/dashboard', rules).id, 'all');
+  assert.equal(findMatchingRule('https://myexample.com/', rules), null);
+});
+
+test('matching rule overrides timeout, method and exclusions', () => {
+  const settings = {
+    ...baseSettings,
+    rules: normalizeRules([
+      { pattern: 'docs.example.com', timeoutMinutes: 5, method: 'page', excludePinned: false },
+    ]),
+  };
+
+  const policy = resolveSuspensionPolicy('https://docs.example.com/a', settings);
+
+  assert.equal(policy.ruleIndex, 0);
+  assert.equal(policy.never, false);
+  assert.equal(policy.autoSuspendMinutes, 5);
+  assert.equal(policy.method, 'page');
+  assert.equal(policy.excludePinned, false);
+  assert.equal(policy.excludeAudible, true);
+});
+
+test('unmatched URLs fall back to global settings', () => {
+  const policy = resolveSuspensionPolicy('https://other.test/', { ...baseSettings, rules: [] });
+
+  assert.equal(policy.rule, null);
+  assert.equal(policy.autoSuspendMinutes, 30);
+  assert.equal(policy.method, 'discard');
+});
+
+test('legacy whitelist migrates to never rules without duplicating patterns', () => {
+  const existing = normalizeRules([{ pattern: 'mail.google.com', action: 'never' }]);
+
+  const merged = mergeWhitelistIntoRules(existing, ['mail.google.com', 'github.com/*', '']);
+
+  assert.deepEqual(merged.map(rule => [rule.pattern, rule.action]), [
+    ['mail.google.com', 'never'],
+    ['github.com/*', 'never'],
+  ]);
+});
+
+test('shortest timeout considers enabled suspend rules only', () => {
+  const settings = {
+    ...baseSettings,
+    rules: normalizeRules([
+      { pattern: 'a.test', timeoutMinutes: 10 },
+      { pattern: 'b.test', timeoutMinutes: 2, enabled: false },
+      { pattern: 'c.test', timeoutMinutes: 1, action: 'never' },
+    ]),
+  };
+
+  assert.equal(getShortestTimeoutMinutes(settings), 10);
+});
+
+test('site and page patterns derived from a URL', () => {
+  const url = 'https://www.Example.com/docs/guide/?q=1#top';
+
+  assert.equal(siteRulePattern(url), 'example.com');
+  assert.equal(pageRulePattern(url), 'example.com/docs/guide');
+  assert.equal(pageRulePattern('https://example.com/'), 'example.com');
+  assert.equal(siteRulePattern('not a url'), '');
+});
+
+test('hasNeverRule ignores disabled and suspend rules', () => {
+  const rules = normalizeRules([
+    { pattern: 'a.test', action: 'never', enabled: false },
+    { pattern: 'b.test', timeoutMinutes: 5 },
+    { pattern: 'C.test', action: 'never' },
+  ]);
+
+  assert.equal(hasNeverRule(rules, 'a.test'), false);
+  assert.equal(hasNeverRule(rules, 'b.test'), false);
+  assert.equal(hasNeverRule(rules, 'c.test'), true);
+});
+
+test('page rules for mixed-case paths can be toggled off', () => {
+  const pattern = pageRulePattern('https://www.Example.com/Docs/Page/');
+  assert.equal(pattern, 'example.com/Docs/Page');
+  const rules = normalizeRules([
+    { pattern: 'example.com/Docs/Page', action: 'never' },
+    { pattern: 'example.com', timeoutMinutes: 5 },
+  ]);
+  assert.equal(hasNeverRule(rules, pattern), true);
+  assert.deepEqual(removeNeverRules(rules, pattern).map(rule => rule.pattern), ['example.com']);
+  assert.equal(hasNeverRule(removeNeverRules(rules, pattern), pattern), false);
+});
+
+test('toggling never-suspend on and off keeps a custom rule for the pattern', () => {
+  const rules = normalizeRules([{ pattern: 'example.com', timeoutMinutes: 5, method: 'page' }]);
+  const on = toggleNeverRule(rules, 'example.com');
+  assert.equal(on.neverSuspend, true);
+  assert.deepEqual(on.rules.map(rule => rule.action), ['never', 'suspend']);
+  assert.equal(resolveSuspensionPolicy('https://example.com/', { ...baseSettings, rules: on.rules }).never, true);
+  const off = toggleNeverRule(on.rules, 'example.com');
+  assert.equal(off.neverSuspend, false);
+  assert.deepEqual(off.rules, rules);
+});
+
+test('removing a never rule leaves other rules for the same pattern alone', () => {
+  const rules = normalizeRules([
+    { pattern: 'example.com/Docs', action: 'never' },
+    { pattern: 'Example.com/docs', timeoutMinutes: 5 },
+    { pattern: 'example.com/docs', action: 'never', enabled: false },
+  ]);
+  assert.deepEqual(
+    removeNeverRules(rules, 'example.com/docs').map(rule => [rule.pattern, rule.action, rule.enabled]),
+    [['Example.com/docs', 'suspend', true], ['example.com/docs', 'never', false]]
+  );
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { filterEntries, sortEntries, groupEntries, getEntryDomain } from '../extension/tab-list.js';
+
+const entries = [
+  ['1', { url: 'https://www.example.com/docs', title: 'Example Docs', windowId: 20, suspendedAt: 300 }],
+  ['2', { url: 'https://news.site.org/today', title: 'Daily news', windowId: 10, suspendedAt: 100 }],
+  ['3', { url: 'https://example.com/blog', title: 'Blog', windowId: 10, suspendedAt: 200 }],
+  ['4', { url: 'not a url', title: '', suspendedAt: 50 }],
+];
+
+test('search matches title, URL and domain with every term', () => {
+  assert.deepEqual(filterEntries(entries, 'example').map(([id]) => id), ['1', '3']);
+  assert.deepEqual(filterEntries(entries, 'EXAMPLE blog').map(([id]) => id), ['3']);
+  assert.deepEqual(filterEntries(entries, 'site.org').map(([id]) => id), ['2']);
+  assert.equal(filterEntries(entries, '   '), entries);
+});
+
+test('sort orders by time, title or domain', () => {
+  const ids = sortBy => sortEntries(entries, sortBy).map(([id]) => id);
+
+  assert.deepEqual(ids('newest'), ['1', '3', '2', '4']);
+  assert.deepEqual(ids('oldest'), ['4', '2', '3', '1']);
+  assert.deepEqual(ids('title'), ['3', '2', '1', '4']);
+  assert.deepEqual(ids('domain'), ['4', '1', '3', '2']);
+});
+
+test('grouping by window numbers windows and puts unknown last', () => {
+  const sections = groupEntries(sortEntries(entries, 'newest'), 'window');
+
+  assert.deepEqual(sections.map(s => s.label), ['Window 1', 'Window 2', 'Unknown window']);
+  assert.deepEqual(sections[0].entries.map(([id]) => id), ['3', '2']);
+});
+
+test('grouping by domain strips www', () => {
+  const sections = groupEntries(entries, 'domain');
+
+  assert.deepEqual(sections.map(s => s.label), ['example.com', 'news.site.org', 'Other pages']);
+  assert.equal(getEntryDomain('https://WWW.Example.com/'), 'example.com');
+});
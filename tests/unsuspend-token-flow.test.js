@@ -10,6 +10,7 @@ function createHarness({
 } = {}) {
   const state = structuredClone(initialState);
   let saveCount = 0;
+  const recorded = [];
   const resumeQueue = Array.isArray(resumeResult) ? [...resumeResult] : null;
 
   return {
@@ -17,6 +18,7 @@ function createHarness({
     get saveCount() {
       return saveCount;
     },
+    recorded,
     async invoke({ tabId = 1, token = 'token-1', tokenTtlMs = 100_000 } = {}) {
       return processUnsuspendTokenMessage({
         tabId,
@@ -35,6 +37,7 @@ function createHarness({
           }
           return resumeResult;
         },
+        recordResume: entry => recorded.push(entry),
         now: () => now,
       });
     },
@@ -75,6 +78,7 @@ test('UNSUSPEND_TOKEN rejects second use after successful wake', async () => {
   assert.deepEqual(secondAttempt, { ok: false, error: 'invalid-token' });
   assert.equal(harness.state.suspendedTabs[1], undefined);
   assert.equal(harness.saveCount, 2);
+  assert.equal(harness.recorded.length, 1);
 });
 
 test('UNSUSPEND_TOKEN rolls back tokenUsed when resume fails so retry can succeed', async () => {
@@ -91,6 +95,7 @@ test('UNSUSPEND_TOKEN rolls back tokenUsed when resume fails so retry can succee
 
   assert.deepEqual(firstAttempt, { ok: false, error: 'resume-failed' });
   assert.equal(harness.state.suspendedTabs[1].tokenUsed, false);
+  assert.equal(harness.recorded.length, 0);
 
   const secondAttempt = await harness.invoke();
 
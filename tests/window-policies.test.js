@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createFingerprintSecret,
+  importFingerprintKey,
+  buildWindowFingerprint,
+  fingerprintOverlap,
+  normalizeWindowPolicies,
+  getWindowPolicy,
+  excludeFocusWindowTabs,
+  setWindowPolicy,
+  reconcileWindowPolicies,
+  windowPoliciesChanged,
+  WINDOW_POLICY_STALE_MS,
+} from '../extension/window-policies.js';
+
+const NOW = 1_700_000_000_000;
+
+test('fingerprints hash each page once and never keep the URL', async () => {
+  const key = await importFingerprintKey(createFingerprintSecret());
+  const fingerprint = await buildWindowFingerprint([
+    'https://example.com/a',
+    'https://example.com/a/',
+    'https://docs.test/',
+    '',
+  ], key);
+  assert.equal(fingerprint.length, 2);
+  assert.deepEqual(fingerprint, [...fingerprint].sort());
+  assert.ok(fingerprint.every(hash => /^[0-9a-f]{16}$/.test(hash)));
+  assert.deepEqual(await buildWindowFingerprint(['https://docs.test/', 'https://example.com/a'], key), fingerprint);
+});
+
+test('fingerprints depend on the install secret', async () => {
+  const urls = ['https://example.com/a'];
+  const [first, second] = await Promise.all([
+    importFingerprintKey(createFingerprintSecret()),
+    importFingerprintKey(createFingerprintSecret()),
+  ]).then(keys => Promise.all(keys.map(key => buildWindowFingerprint(urls, key))));
+  assert.notDeepEqual(first, second);
+  assert.match(createFingerprintSecret(), /^[0-9a-f]{64}$/);
+});
+
+test('overlap is the share of pages two windows have in common', () => {
+  assert.equal(fingerprintOverlap(['a', 'b', 'c'], ['b', 'c', 'd']), 0.5);
+  assert.equal(fingerprintOverlap(['a'], ['a']), 1);
+  assert.equal(fingerprintOverlap([], []), 0);
+});
+
+test('records are normalized and default policies are not stored', () => {
+  assert.deepEqual(normalizeWindowPolicies([
+    { windowId: 4, policy: 'focus', fingerprint: ['a', 7], seenAt: NOW },
+    { windowId: 'x', policy: 'archive' },
+    { windowId: 5, policy: 'default' },
+    { windowId: 6, policy: 'nap' },
+    null,
+  ]), [
+    { windowId: 4, policy: 'focus', fingerprint: ['a'], seenAt: NOW },
+    { windowId: null, policy: 'archive', fingerprint: [], seenAt: 0 },
+  ]);
+  assert.deepEqual(normalizeWindowPolicies('junk'), []);
+});
+
+test('setting a policy replaces the window record; default clears it', () => {
+  let records = setWindowPolicy([], 1, 'focus', ['a'], NOW);
+  records = setWindowPolicy(records, 1, 'archive', ['a', 'b'], NOW);
+  assert.deepEqual(records, [{ windowId: 1, policy: 'archive', fingerprint: ['a', 'b'], seenAt: NOW }]);
+  assert.equal(getWindowPolicy(records, 1), 'archive');
+  assert.equal(getWindowPolicy(records, 2), 'default');
+  assert.deepEqual(setWindowPolicy(records, 1, 'default', [], NOW), []);
+});
+
+test('tabs in focus windows are left out of automatic suspension', () => {
+  const records = [
+    { windowId: 1, policy: 'focus', fingerprint: [], seenAt: NOW },
+    { windowId: 2, policy: 'archive', fingerprint: [], seenAt: NOW },
+  ];
+  const tabs = [{ id: 10, windowId: 1 }, { id: 11, windowId: 2 }, { id: 12, windowId: 3 }, { id: 13, windowId: 1 }];
+  assert.deepEqual(excludeFocusWindowTabs(records, tabs).map(tab => tab.id), [11, 12]);
+  assert.deepEqual(excludeFocusWindowTabs([], tabs), tabs);
+});
+
+test('open windows keep their records and refresh the fingerprint', () => {
+  const records = [{ windowId: 1, policy: 'focus', fingerprint: ['a', 'b'], seenAt: 0 }];
+  assert.deepEqual(reconcileWindowPolicies(records, [{ id: 1, fingerprint: ['x'] }], { now: NOW }), [
+    { windowId: 1, policy: 'focus', fingerprint: ['x'], seenAt: NOW },
+  ]);
+  // Still empty while the session is being restored.
+  assert.deepEqual(reconcileWindowPolicies(records, [{ id: 1, fingerprint: [] }], { now: NOW })[0].fingerprint, ['a', 'b']);
+});
+
+test('after a restart records follow their pages to new window IDs', () => {
+  const records = [
+    { windowId: 1, policy: 'archive', fingerprint: ['a', 'b', 'c'], seenAt: NOW - 1000 },
+    { windowId: 2, policy: 'focus', fingerprint: ['x', 'y'], seenAt: NOW - 1000 },
+  ];
+  const windows = [
+    { id: 1, fingerprint: ['x', 'y', 'z'] },
+    { id: 7, fingerprint: ['a', 'b', 'c', 'd'] },
+  ];
+  assert.deepEqual(reconcileWindowPolicies(records, windows, { now: NOW, afterRestart: true }), [
+    { windowId: 7, policy: 'archive', fingerprint: ['a', 'b', 'c', 'd'], seenAt: NOW },
+    { windowId: 1, policy: 'focus', fingerprint: ['x', 'y', 'z'], seenAt: NOW },
+  ]);
+});
+
+test('unmatched records wait for their window until they go stale', () => {
+  const records = [
+    { windowId: 3, policy: 'focus', fingerprint: ['a'], seenAt: NOW - 1000 },
+    { windowId: null, policy: 'archive', fingerprint: ['b'], seenAt: NOW - WINDOW_POLICY_STALE_MS - 1 },
+  ];
+  assert.deepEqual(reconcileWindowPolicies(records, [{ id: 9, fingerprint: ['z'] }], { now: NOW }), [
+    { windowId: null, policy: 'focus', fingerprint: ['a'], seenAt: NOW - 1000 },
+  ]);
+});
+
+test('records are only rewritten when something about them changed', () => {
+  const records = [{ windowId: 1, policy: 'focus', fingerprint: ['a'], seenAt: NOW }];
+  const windows = [{ id: 1, fingerprint: ['a'] }];
+  assert.equal(windowPoliciesChanged(records, reconcileWindowPolicies(records, windows, { now: NOW + 60000 })), false);
+  assert.equal(windowPoliciesChanged(records, reconcileWindowPolicies(records, windows, { now: NOW + 2 * 60 * 60 * 1000 })), true);
+  assert.equal(windowPoliciesChanged(records, reconcileWindowPolicies(records, [{ id: 1, fingerprint: ['b'] }], { now: NOW })), true);
+  assert.equal(windowPoliciesChanged(records, reconcileWindowPolicies(records, [], { now: NOW })), true);
+});
+
+test('a window with no known pages is never matched by content', () => {
+  const records = [{ windowId: null, policy: 'archive', fingerprint: [], seenAt: NOW }];
+  const [record] = reconcileWindowPolicies(records, [{ id: 2, fingerprint: [] }], { now: NOW });
+  assert.equal(record.windowId, null);
+});